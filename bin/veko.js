@@ -55,13 +55,15 @@ function showHelp() {
   console.log('  build           Build for production');
   console.log();
   console.log(c('bold', 'Options:'));
-  console.log('  -v, --version   Show version');
-  console.log('  -h, --help      Show this help');
+  console.log('  -w, --workers [n]  Cluster mode for start (default: CPU count)');
+  console.log('  -v, --version      Show version');
+  console.log('  -h, --help         Show this help');
   console.log();
   console.log(c('bold', 'Examples:'));
   console.log(c('gray', '  $ veko init my-app'));
   console.log(c('gray', '  $ veko dev'));
   console.log(c('gray', '  $ veko start'));
+  console.log(c('gray', '  $ veko start --workers 4'));
   console.log();
 }
 
@@ -255,6 +257,26 @@ function runStart() {
     console.log(c('red', '✗ No entry file found'));
     process.exit(1);
   }
+
+  // Cluster mode: this process becomes the primary and forks workers
+  const workersIndex = args.findIndex(arg => arg === '--workers' || arg === '-w' || arg.startsWith('--workers='));
+  if (workersIndex !== -1) {
+    const { runCluster, CLUSTER_DEFAULTS } = require('../lib/cluster');
+    const flag = args[workersIndex];
+    const value = flag.includes('=') ? flag.split('=')[1] : args[workersIndex + 1];
+    const workers = parseInt(value, 10) > 0 ? parseInt(value, 10) : CLUSTER_DEFAULTS.workers;
+
+    console.log(c('gray', `  ${entry} x ${workers} workers (SIGHUP: reload, SIGUSR2: status)`));
+    console.log();
+
+    process.env.NODE_ENV = 'production';
+    runCluster({
+      exec: path.join(process.cwd(), entry),
+      workers,
+      log: (type, message) => console.log(c(type === 'error' ? 'red' : 'gray', `  [primary] ${message}`))
+    });
+    return;
+  }
   
   const child = spawn('node', [entry], { 
     cwd: process.cwd(), 
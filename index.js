@@ -5,6 +5,19 @@
  */
 
 const App = require('./lib/app');
+const Router = require('./lib/router');
+const { HttpError, createError } = require('./lib/errors');
+const { serveStatic, serveFile } = require('./lib/static');
+const { rateLimit, RateLimiter, MemoryStore, FileStore } = require('./lib/rate-limit');
+const { session, MemorySessionStore, FileSessionStore } = require('./lib/session');
+const { csrf } = require('./lib/csrf');
+const { cors } = require('./lib/cors');
+const { accessLog, addLogToken } = require('./lib/access-log');
+const { securityHeaders } = require('./lib/security-headers');
+const { validate, serialize, addFormat } = require('./lib/schema');
+const { Logger, createLogger } = require('./lib/logger');
+const { currentContext } = require('./lib/context');
+const { Registry, Counter, Gauge, Histogram } = require('./lib/metrics');
 
 // Import VSV support
 let VSVSupport = null;
@@ -21,10 +34,40 @@ try {
 // Export principal
 module.exports = {
   App,
+  Router,
+  HttpError,
+  createError,
+  serveStatic,
+  serveFile,
+  rateLimit,
+  RateLimiter,
+  MemoryStore,
+  FileStore,
+  session,
+  MemorySessionStore,
+  FileSessionStore,
+  csrf,
+  cors,
+  accessLog,
+  addLogToken,
+  securityHeaders,
+  validate,
+  serialize,
+  addFormat,
+  Logger,
+  createLogger,
+  currentContext,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
   
   // Create a new app
   createApp: (options = {}) => new App(options),
   
+  // Create a standalone router (mount it with app.use(path, router))
+  createRouter: () => new Router(),
+  
   // Start in development mode
   startDev: (options = {}) => {
     const app = new App({
@@ -40,6 +83,7 @@ module.exports = {
       ...options,
       isDev: false
     });
+    app.closeOnSignals();
     return app.listen(options.port || 3000);
   },
   
@@ -62,6 +106,7 @@ module.exports = {
       isDev: true
     });
     await app.enableVSV(options.vsv || options);
+    app.closeOnSignals();
     return app.listen(options.port || 3000);
   }
 };
@@ -0,0 +1,244 @@
+/**
+ * VekoJS Access Log
+ * One line per request, written when the response finishes or the client
+ * goes away: common, combined, json, dev or custom formats, to stdout or
+ * a rotating file (no dependencies)
+ */
+
+const { FileTransport } = require('./logger');
+const { headersCommitted } = require('./compression');
+
+const DEFAULTS = {
+  format: 'combined',       // 'common', 'combined', 'json', 'dev', ':token string' or (tokens, req, res) => string|object
+  skip: null,               // (req, res) => bool, path ('/health'), RegExp, or a list of them
+  stream: process.stdout,   // any writable
+  file: false,              // true or { dir, name, maxSize, interval, maxFiles } (rotating, see Logger)
+  tokens: {}                // extra tokens: { tenant: (req, res, arg) => req.tenant }
+};
+
+const FORMATS = {
+  common: ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :bytes',
+  combined: ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :bytes ":referrer" ":user-agent"'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 10/Oct/2000:13:55:36 +0000
+function clfDate(date) {
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+function basicUser(req) {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(req.headers.authorization || '');
+  if (!match) return undefined;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf-8');
+  const colon = decoded.indexOf(':');
+  return colon === -1 ? undefined : decoded.slice(0, colon);
+}
+
+/**
+ * Token functions: (req, res, arg) => value. `res.accessLog` holds what the
+ * middleware measured (start, duration, bytes, aborted).
+ */
+const TOKENS = {
+  'remote-addr': req => req.ip || (req.socket && req.socket.remoteAddress),
+  'remote-user': req => basicUser(req),
+  date: (req, res, format) => {
+    const date = new Date();
+    if (format === 'iso') return date.toISOString();
+    if (format === 'web') return date.toUTCString();
+    return clfDate(date);
+  },
+  method: req => req.method,
+  url: req => req.originalUrl || req.url,
+  'http-version': req => req.httpVersion,
+  status: (req, res) => (headersCommitted(res) ? res.statusCode : undefined),
+  bytes: (req, res) => res.accessLog.bytes || undefined,
+  referrer: req => req.headers.referer || req.headers.referrer,
+  'user-agent': req => req.headers['user-agent'],
+  'response-time': (req, res) => res.accessLog.duration.toFixed(3),
+  id: req => req.id,
+  aborted: (req, res) => (res.accessLog.aborted ? 'aborted' : undefined),
+  req: (req, res, name) => req.headers[String(name).toLowerCase()],
+  res: (req, res, name) => res.getHeader(String(name))
+};
+
+/**
+ * Register a token for every access log
+ * Usage: addLogToken('tenant', req => req.tenant && req.tenant.slug)
+ */
+function addLogToken(name, fn) {
+  TOKENS[name] = fn;
+}
+
+// Inside quotes and between spaces: no control characters, quotes or
+// backslashes from the client (log injection)
+function escapeValue(value) {
+  return String(value).replace(/[\x00-\x1f\x7f"\\]/g, c => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+const TOKEN_RE = /:([a-zA-Z][\w-]*)(?:\[([^\]]*)\])?/g;
+
+/**
+ * Turn ':method :url :status' into (req, res) => line; unknown tokens
+ * throw here rather than on the first request
+ */
+function compileFormat(format, tokens) {
+  const parts = [];
+  let last = 0;
+  for (const match of format.matchAll(TOKEN_RE)) {
+    const [text, name, arg] = match;
+    const fn = tokens[name];
+    if (!fn) throw new Error(`Unknown access log token ":${name}"`);
+    parts.push(format.slice(last, match.index), { fn, arg });
+    last = match.index + text.length;
+  }
+  parts.push(format.slice(last));
+
+  return (req, res) => parts.map((part) => {
+    if (typeof part === 'string') return part;
+    const value = part.fn(req, res, part.arg);
+    return value === undefined || value === null || value === '' ? '-' : escapeValue(value);
+  }).join('');
+}
+
+function jsonFormat(req, res) {
+  const { duration, bytes, aborted } = res.accessLog;
+  const record = {
+    time: new Date().toISOString(),
+    id: req.id,
+    method: req.method,
+    url: req.originalUrl || req.url,
+    httpVersion: req.httpVersion,
+    status: headersCommitted(res) ? res.statusCode : null,
+    bytes,
+    duration: Math.round(duration * 1000) / 1000,
+    ip: TOKENS['remote-addr'](req),
+    referrer: TOKENS.referrer(req) || null,
+    userAgent: req.headers['user-agent'] || null
+  };
+  if (aborted) record.aborted = true;
+  return JSON.stringify(record);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}b`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}kb`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}mb`;
+}
+
+// GET /users 200 4.218 ms - 1.2kb, coloured by status
+function devFormat(req, res) {
+  const status = headersCommitted(res) ? res.statusCode : 0;
+  const color = status >= 500 ? 31 : status >= 400 ? 33 : status >= 300 ? 36 : status ? 32 : 90;
+  const { duration, bytes, aborted } = res.accessLog;
+  return `${req.method} ${escapeValue(req.originalUrl || req.url)} \x1b[${color}m${status || '-'}\x1b[0m ` +
+    `${duration.toFixed(3)} ms - ${formatSize(bytes)}${aborted ? ' \x1b[90m(aborted)\x1b[0m' : ''}`;
+}
+
+function compileLine(format, tokens) {
+  if (typeof format === 'function') {
+    return (req, res) => {
+      const line = format(tokens, req, res);
+      return line && typeof line === 'object' ? JSON.stringify(line) : line;
+    };
+  }
+  if (format === 'json') return jsonFormat;
+  if (format === 'dev') return devFormat;
+  return compileFormat(FORMATS[format] || String(format), tokens);
+}
+
+function compileSkip(skip) {
+  if (!skip) return () => false;
+  if (typeof skip === 'function') return skip;
+  const rules = [].concat(skip).map((rule) => {
+    if (typeof rule === 'function') return rule;
+    if (rule instanceof RegExp) return req => rule.test(req.pathname || req.url);
+    const prefix = String(rule).replace(/\/+$/, '');
+    return (req) => {
+      const pathname = req.pathname || req.url.split('?')[0];
+      return pathname === prefix || pathname.startsWith(`${prefix}/`);
+    };
+  });
+  return (req, res) => rules.some(rule => rule(req, res));
+}
+
+/**
+ * Count the body bytes passed to write()/end() when there is no
+ * Content-Length (streams, chunked responses)
+ */
+function countBytes(res, state) {
+  const { write, end } = res;
+  const add = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      state.counted += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    add(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    add(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+}
+
+/**
+ * Access log middleware; put it first to see every request
+ * Usage: app.use(accessLog({ format: 'json', skip: ['/health', /\.(css|js|png)$/], file: { name: 'access' } }))
+ */
+function accessLog(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const tokens = { ...TOKENS, ...opts.tokens };
+  const line = compileLine(opts.format, tokens);
+  const skip = compileSkip(opts.skip);
+  const file = opts.file ? new FileTransport({ name: 'access', ...(opts.file === true ? {} : opts.file) }) : null;
+  const output = file ? text => file.writeLine(text) : text => opts.stream.write(`${text}\n`);
+
+  const middleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const state = { counted: 0 };
+    countBytes(res, state);
+
+    let logged = false;
+    const log = () => {
+      if (logged) return;
+      logged = true;
+      const length = Number(res.getHeader('Content-Length'));
+      res.accessLog = {
+        start,
+        duration: Number(process.hrtime.bigint() - start) / 1e6,
+        bytes: req.method === 'HEAD' ? 0 : (Number.isFinite(length) ? length : state.counted),
+        aborted: !res.writableFinished
+      };
+      if (skip(req, res)) return;
+      try {
+        const text = line(req, res);
+        if (text !== undefined && text !== null && text !== false) output(text);
+      } catch (error) {
+        process.stderr.write(`[veko:access-log] ${error.message}\n`);
+      }
+    };
+    res.once('finish', log);
+    res.once('close', log);
+    next();
+  };
+
+  // Flush the log file (app.close() does it for the accessLog option)
+  middleware.close = () => (file ? file.close() : Promise.resolve());
+  return middleware;
+}
+
+module.exports = {
+  accessLog,
+  addLogToken,
+  compileFormat,
+  ACCESS_LOG_FORMATS: FORMATS,
+  ACCESS_LOG_DEFAULTS: DEFAULTS
+};
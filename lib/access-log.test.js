@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const App = require('./app');
+const { accessLog, addLogToken, compileFormat } = require('./access-log');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// Lines are written once the response finished: wait for the next tick
+function request(app, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const allHeaders = { ...headers };
+      if (body !== undefined) allHeaders['content-length'] = Buffer.byteLength(body);
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: allHeaders, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          setImmediate(() => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(body);
+    });
+  });
+}
+
+function memoryStream() {
+  const lines = [];
+  return { lines, write: text => lines.push(text.replace(/\n$/, '')) };
+}
+
+test('common and combined formats, with escaped client values', async () => {
+  const stream = memoryStream();
+  const app = createApp();
+  app.use(accessLog({ format: 'combined', stream }));
+  app.get('/hello', (req, res) => res.send('hi'));
+
+  await request(app, 'GET', '/hello?x=1', {
+    headers: { 'user-agent': 'agent "x"\\', referer: 'https://example.com/', authorization: `Basic ${Buffer.from('ann:pw').toString('base64')}` }
+  });
+  assert.match(stream.lines[0], /^127\.0\.0\.1 - ann \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/hello\?x=1 HTTP\/1\.1" 200 2 "https:\/\/example\.com\/" "agent \\x22x\\x22\\x5c"$/);
+
+  const line = compileFormat(':method :url :status', { method: req => req.method, url: req => req.url, status: () => undefined });
+  assert.equal(line({ method: 'GET', url: '/a\r\nfake' }, {}), 'GET /a\\x0d\\x0afake -');
+  assert.throws(() => accessLog({ format: ':method :nope' }), /Unknown access log token ":nope"/);
+});
+
+test('json, custom tokens and function formats', async () => {
+  const json = memoryStream();
+  const custom = memoryStream();
+  const fn = memoryStream();
+  addLogToken('tenant', req => req.headers['x-tenant']);
+  const app = createApp();
+  app.use(accessLog({ format: 'json', stream: json }));
+  app.use(accessLog({ format: ':tenant :res[x-powered] :shout', stream: custom, tokens: { shout: req => req.method.toLowerCase() } }));
+  app.use(accessLog({ format: (tokens, req, res) => ({ path: req.pathname, status: res.statusCode }), stream: fn }));
+  app.get('/data', (req, res) => res.setHeader('X-Powered', 'veko').json({ ok: true }));
+
+  await request(app, 'GET', '/data', { headers: { 'x-tenant': 'acme', 'x-request-id': 'req-1' } });
+  const record = JSON.parse(json.lines[0]);
+  assert.equal(record.id, 'req-1');
+  assert.equal(record.status, 200);
+  assert.equal(record.bytes, 11);
+  assert.equal(typeof record.duration, 'number');
+  assert.equal(custom.lines[0], 'acme veko get');
+  assert.deepEqual(JSON.parse(fn.lines[0]), { path: '/data', status: 200 });
+});
+
+test('skip rules: paths, RegExps and functions', async () => {
+  const stream = memoryStream();
+  const app = createApp();
+  app.use(accessLog({ format: ':url', stream, skip: ['/health', /\.css$/, (req, res) => res.statusCode === 304] }));
+  app.get('/health/live', (req, res) => res.send('ok'));
+  app.get('/app.css', (req, res) => res.send(''));
+  app.get('/cached', (req, res) => res.status(304).end());
+  app.get('/healthy', (req, res) => res.send('ok'));
+
+  for (const url of ['/health/live', '/app.css', '/cached', '/healthy']) await request(app, 'GET', url);
+  assert.deepEqual(stream.lines, ['/healthy']);
+});
+
+test('the file option writes to a rotating file flushed by close()', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-access-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const app = createApp({ accessLog: { format: ':method :url :status', file: { dir } } });
+  app.get('/', (req, res) => res.send('home'));
+  await request(app, 'GET', '/');
+  await app.close();
+  assert.equal(fs.readFileSync(path.join(dir, 'access.log'), 'utf8'), 'GET / 200\n');
+});
@@ -3,268 +3,30 @@
  * Pure Node.js HTTP Server with VSV support
  */
 
-const http = require('http');
-const https = require('https');
 const path = require('path');
 const fs = require('fs');
-const url = require('url');
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
-
-/**
- * Simple Logger (no dependencies)
- */
-class Logger {
-  constructor(options = {}) {
-    this.silent = options.silent || false;
-    this.verbose = options.verbose || false;
-  }
-
-  log(type, message, details = '') {
-    if (this.silent) return;
-    const colors = {
-      info: '\x1b[36m',
-      success: '\x1b[32m',
-      warning: '\x1b[33m',
-      error: '\x1b[31m',
-      reset: '\x1b[0m'
-    };
-    const color = colors[type] || colors.info;
-    const symbol = { info: 'ℹ', success: '✓', warning: '⚠', error: '✗' }[type] || '●';
-    console.log(`${color}${symbol} ${message}${details ? ` ${details}` : ''}${colors.reset}`);
-  }
-}
-
-/**
- * Simple Rate Limiter (no dependencies)
- */
-class RateLimiter {
-  constructor(options = {}) {
-    this.windowMs = options.windowMs || 15 * 60 * 1000;
-    this.max = options.max || 100;
-    this.message = options.message || 'Too many requests';
-    this.requests = new Map();
-  }
-
-  check(ip) {
-    const now = Date.now();
-    const record = this.requests.get(ip);
-    
-    if (!record || now - record.start > this.windowMs) {
-      this.requests.set(ip, { start: now, count: 1 });
-      return true;
-    }
-    
-    if (record.count >= this.max) {
-      return false;
-    }
-    
-    record.count++;
-    return true;
-  }
-
-  middleware() {
-    return (req, res, next) => {
-      const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-      if (!this.check(ip)) {
-        res.statusCode = 429;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: this.message }));
-        return;
-      }
-      next();
-    };
-  }
-}
-
-/**
- * Request/Response Helpers
- */
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
-      if (body.length > 10 * 1024 * 1024) { // 10MB limit
-        reject(new Error('Request body too large'));
-      }
-    });
-    req.on('end', () => {
-      try {
-        const contentType = req.headers['content-type'] || '';
-        if (contentType.includes('application/json')) {
-          resolve(JSON.parse(body || '{}'));
-        } else if (contentType.includes('application/x-www-form-urlencoded')) {
-          resolve(Object.fromEntries(new URLSearchParams(body)));
-        } else {
-          resolve(body);
-        }
-      } catch (e) {
-        resolve(body);
-      }
-    });
-    req.on('error', reject);
-  });
-}
-
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (!cookieHeader) return cookies;
-  cookieHeader.split(';').forEach(cookie => {
-    const [name, ...rest] = cookie.trim().split('=');
-    cookies[name] = rest.join('=');
-  });
-  return cookies;
-}
-
-/**
- * Static File Server
- */
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.htm': 'text/html',
-  '.css': 'text/css',
-  '.js': 'application/javascript',
-  '.mjs': 'application/javascript',
-  '.json': 'application/json',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.gif': 'image/gif',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon',
-  '.woff': 'font/woff',
-  '.woff2': 'font/woff2',
-  '.ttf': 'font/ttf',
-  '.eot': 'application/vnd.ms-fontobject',
-  '.mp4': 'video/mp4',
-  '.webm': 'video/webm',
-  '.mp3': 'audio/mpeg',
-  '.wav': 'audio/wav',
-  '.pdf': 'application/pdf',
-  '.zip': 'application/zip',
-  '.txt': 'text/plain',
-  '.xml': 'application/xml',
-  '.vsv': 'text/html',
-  '.jsv': 'text/html'
-};
-
-function serveStatic(staticDir, maxAge = 0) {
-  const root = path.resolve(process.cwd(), staticDir);
-  
-  return async (req, res, next) => {
-    if (req.method !== 'GET' && req.method !== 'HEAD') {
-      return next();
-    }
-
-    const urlPath = decodeURIComponent(url.parse(req.url).pathname);
-    
-    // Prevent directory traversal
-    if (urlPath.includes('..') || urlPath.includes('\0')) {
-      return next();
-    }
-
-    const filePath = path.join(root, urlPath);
-    
-    // Make sure we're still in the static directory
-    if (!filePath.startsWith(root)) {
-      return next();
-    }
-
-    try {
-      const stat = await fs.promises.stat(filePath);
-      
-      if (stat.isDirectory()) {
-        // Try index.html
-        const indexPath = path.join(filePath, 'index.html');
-        try {
-          await fs.promises.access(indexPath);
-          return serveFile(res, indexPath, maxAge);
-        } catch {
-          return next();
-        }
-      }
-      
-      return serveFile(res, filePath, maxAge);
-    } catch {
-      return next();
-    }
-  };
-}
-
-async function serveFile(res, filePath, maxAge = 0) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
-  
-  const stat = await fs.promises.stat(filePath);
-  
-  res.setHeader('Content-Type', mimeType);
-  res.setHeader('Content-Length', stat.size);
-  res.setHeader('Cache-Control', maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache');
-  
-  const stream = fs.createReadStream(filePath);
-  stream.pipe(res);
-}
-
-/**
- * Router
- */
-class Router {
-  constructor() {
-    this.routes = [];
-    this.middlewares = [];
-  }
-
-  use(pathOrFn, fn) {
-    if (typeof pathOrFn === 'function') {
-      this.middlewares.push({ path: '/', handler: pathOrFn });
-    } else {
-      this.middlewares.push({ path: pathOrFn, handler: fn });
-    }
-  }
-
-  add(method, path, ...handlers) {
-    const pattern = this.pathToRegex(path);
-    this.routes.push({ method: method.toUpperCase(), path, pattern, handlers });
-  }
-
-  get(path, ...handlers) { this.add('GET', path, ...handlers); }
-  post(path, ...handlers) { this.add('POST', path, ...handlers); }
-  put(path, ...handlers) { this.add('PUT', path, ...handlers); }
-  delete(path, ...handlers) { this.add('DELETE', path, ...handlers); }
-  patch(path, ...handlers) { this.add('PATCH', path, ...handlers); }
-  all(path, ...handlers) { this.add('ALL', path, ...handlers); }
-
-  pathToRegex(path) {
-    if (path instanceof RegExp) return { regex: path, keys: [] };
-    
-    const keys = [];
-    const pattern = path
-      .replace(/\*/g, '.*')
-      .replace(/:(\w+)/g, (_, key) => {
-        keys.push(key);
-        return '([^/]+)';
-      });
-    
-    return { regex: new RegExp(`^${pattern}/?$`), keys };
-  }
-
-  match(method, pathname) {
-    for (const route of this.routes) {
-      if (route.method !== 'ALL' && route.method !== method) continue;
-      
-      const match = pathname.match(route.pattern.regex);
-      if (match) {
-        const params = {};
-        route.pattern.keys.forEach((key, i) => {
-          params[key] = match[i + 1];
-        });
-        return { route, params };
-      }
-    }
-    return null;
-  }
-}
+const Router = require('./router');
+const { HttpError, createError, errorStatus, prefersJson, STATUS_CODES } = require('./errors');
+const { cleanupFiles } = require('./multipart');
+const { parseBody, parseQuery, resolveParsers } = require('./body');
+const { attachCompression, appendVary, responseEnded, headersCommitted } = require('./compression');
+const { serveStatic, serveFile, pipeFile } = require('./static');
+const { accepts, acceptsLanguages, acceptsEncodings, lookupType, contentDisposition, encodeLocation } = require('./negotiation');
+const { createServer, createRedirectServer, closeGracefully, isHttp2, HTTP1_ONLY_HEADERS } = require('./server');
+const { attachWorker } = require('./cluster');
+const { RateLimiter } = require('./rate-limit');
+const { compileTrust, applyProxy } = require('./proxy');
+const { cors } = require('./cors');
+const { accessLog } = require('./access-log');
+const { Logger } = require('./logger');
+const { compileRequestId, assignRequestId, runWithRequest, currentContext } = require('./context');
+const { createAppMetrics, metricsAccess, recordRequest } = require('./metrics');
+const { HealthChecks } = require('./health');
+const { serialize, responseSchema } = require('./schema');
+const { compileSecurityHeaders, applySecurityHeaders, cspReportHandler } = require('./security-headers');
+const { parseCookies, readSignedCookies, setCookie, signValue, encryptValue } = require('./cookies');
 
 /**
  * Main App Class
@@ -283,19 +45,117 @@ class App extends EventEmitter {
     };
     
     this.router = new Router();
-    this.logger = new Logger({ verbose: this.options.isDev });
+    // Pretty and debug in dev, NDJSON at info in production
+    this.logger = this.options.logger instanceof Logger
+      ? this.options.logger
+      : new Logger({
+        pretty: this.options.isDev,
+        level: this.options.isDev ? 'debug' : 'info',
+        ...this.options.logger
+      });
     this.server = null;
+    this.redirectServer = null;
     this.vsv = null;
+    this.notFoundHandler = null;
+    this.errorHandler = null;
+    this.closeHooks = [];
+    this.closing = null;
+    this.stats = { requests: 0, activeRequests: 0, errors: 0, startedAt: Date.now() };
+    this.trustProxy = compileTrust(this.options.trustProxy);
+    this.requestId = compileRequestId(this.options.requestId);
+
+    // Health checks (app.health() adds the routes); not ready while
+    // shutting down or precompiling VSV components
+    this.healthChecks = new HealthChecks();
+    this.healthChecks.addBlocker(() => (this.closing ? 'shutting_down' : null));
+    this.healthChecks.addBlocker(() => (this.vsv && this.vsv.precompiling ? 'precompiling' : null));
+
+    // Prometheus metrics (opt-in): custom ones go through app.metrics
+    this.metrics = null;
+    if (this.options.metrics) {
+      const metricsOptions = this.options.metrics === true ? {} : this.options.metrics;
+      this.metrics = createAppMetrics(this, metricsOptions);
+      const metricsPath = metricsOptions.path === undefined ? '/metrics' : metricsOptions.path;
+      if (metricsPath) this.get(metricsPath, metricsAccess(metricsOptions, this.trustProxy), this.metrics.handler());
+      this.onClose(() => this.metrics.close());
+    }
+
+    // Cookies: secrets for signed/encrypted cookies (first one signs) and
+    // res.setCookie defaults, stricter in production
+    const { secret: cookieSecret, ...cookieDefaults } = this.options.cookies || {};
+    this.cookieSecrets = [].concat(cookieSecret || []).filter(Boolean);
+    this.cookieDefaults = {
+      path: '/',
+      sameSite: 'Lax',
+      ...(this.options.isDev ? {} : { httpOnly: true, secure: 'auto' }),
+      ...cookieDefaults
+    };
     
-    // Rate limiter
+    // Security headers, compiled once (CSP nonce and HSTS per request)
+    this.securityHeaders = compileSecurityHeaders(this.options.securityHeaders, this.options.isDev);
+    const csp = this.securityHeaders && this.securityHeaders.csp;
+    if (csp && csp.reportUri && csp.reportUri.startsWith('/')) {
+      this.post(csp.reportUri, {
+        bodyParser: { json: { limit: '64kb', type: ['application/csp-report', 'application/reports+json', 'application/json'] } }
+      }, cspReportHandler((report, req) => {
+        if (this.listenerCount('cspViolation') > 0) {
+          this.emit('cspViolation', report, req);
+        } else {
+          req.log.warn('CSP violation', {
+            directive: report['violated-directive'] || report.effectiveDirective,
+            blocked: report['blocked-uri'] || report.blockedURL || 'inline'
+          });
+        }
+      }));
+    }
+
+    // Access log first, so every answer is logged (preflights, 429, 503,
+    // body errors, static files)
+    this.accessLog = null;
+    if (this.options.accessLog) {
+      this.accessLog = accessLog({
+        format: this.options.isDev ? 'dev' : 'combined',
+        ...(this.options.accessLog === true ? {} : this.options.accessLog)
+      });
+      this.use(this.accessLog);
+      this.onClose(() => this.accessLog.close());
+    }
+
+    // CORS first, so every response (429 included) carries its headers
+    if (this.options.cors) {
+      this.use(cors(this.options.cors === true ? {} : this.options.cors));
+    }
+
+    // Rate limiter (load balancer probes of app.health() are not counted)
     if (options.rateLimit !== false) {
-      this.rateLimiter = new RateLimiter(options.rateLimit || {});
+      const rateLimitOptions = options.rateLimit || {};
+      this.rateLimiter = new RateLimiter({
+        ...rateLimitOptions,
+        skip: req => this.healthChecks.paths.has(req.pathname) || Boolean(rateLimitOptions.skip && rateLimitOptions.skip(req))
+      });
       this.use(this.rateLimiter.middleware());
+      this.onClose(() => this.rateLimiter.close());
     }
+
+    // Shutdown 503 and request bodies after the access log, CORS and the
+    // rate limiter, so they see those answers too (400, 413, 415, 503)
+    this.use((req, res, next) => this.refuseWhileClosing(req, res, next));
+    this.use((req, res, next) => this.parseRequestBody(req, res, next));
     
     // Static files
+    this.spaFallback = null;
     if (this.options.staticDir) {
-      this.use(serveStatic(this.options.staticDir, this.options.isDev ? 0 : 86400));
+      const staticOptions = {
+        maxAge: this.options.isDev ? 0 : 86400,
+        compression: this.options.compression,
+        ...this.options.static
+      };
+      this.use(serveStatic(this.options.staticDir, { ...staticOptions, spa: false }));
+
+      // The SPA page is only served once no route matched
+      if (staticOptions.spa) {
+        this.spaFallback = serveStatic(this.options.staticDir, { ...staticOptions, fallthrough: true });
+      }
     }
   }
 
@@ -313,6 +173,15 @@ class App extends EventEmitter {
   patch(path, ...handlers) { this.router.patch(path, ...handlers); return this; }
   all(path, ...handlers) { this.router.all(path, ...handlers); return this; }
   
+  /**
+   * Build the URL of a named route
+   * Usage: app.get('/users/:id', { name: 'user.show' }, handler)
+   *        app.url('user.show', { id: 5 }) -> '/users/5'
+   */
+  url(name, params = {}) {
+    return this.router.url(name, params);
+  }
+
   // Backward compatibility
   createRoute(method, path, ...handlers) {
     const m = method.toLowerCase();
@@ -324,18 +193,57 @@ class App extends EventEmitter {
     return this;
   }
 
-  // Request handler
-  async handleRequest(req, res) {
-    const startTime = Date.now();
+  /**
+   * Request handler: assigns req.id and runs the request in its own async
+   * context, so app.context() works anywhere below (services, VSV, PHP)
+   */
+  handleRequest(req, res) {
+    assignRequestId(req, res, this.requestId);
+    return runWithRequest(req, res, () => this.processRequest(req, res));
+  }
+
+  /**
+   * Current request, user and locals, null outside a request
+   * Usage: const { id, req, user, locals } = app.context()
+   */
+  context() {
+    return currentContext();
+  }
+
+  async processRequest(req, res) {
+    const start = process.hrtime.bigint();
+    this.stats.requests++;
+    this.stats.activeRequests++;
+    let counted = false;
+    const done = () => {
+      if (counted) return;
+      counted = true;
+      this.stats.activeRequests--;
+      if (res.statusCode >= 500) this.stats.errors++;
+      if (this.metrics) recordRequest(this.metrics, req, res, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+    res.once('finish', done);
+    res.once('close', done);
     
+    req.app = this;
+
     // Parse URL
-    const parsedUrl = url.parse(req.url, true);
-    req.pathname = parsedUrl.pathname;
-    req.query = parsedUrl.query;
+    const queryIndex = req.url.indexOf('?');
+    req.pathname = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+    req.query = queryIndex === -1 ? {} : parseQuery(req.url.slice(queryIndex + 1));
     req.cookies = parseCookies(req.headers.cookie);
+    req.signedCookies = readSignedCookies(req.cookies, this.cookieSecrets);
+    req.files = {};
+    applyProxy(req, this.trustProxy);
+    req.log = this.logger.child({ requestId: req.id, method: req.method, path: req.pathname, ip: req.ip });
+    res.locals = {};
     
     // Enhanced response methods
+    // Routes with schema.response only send the declared fields
     res.json = (data) => {
+      const schema = req.route && req.route.options.schema &&
+        responseSchema(req.route.options.schema.response, res.statusCode);
+      if (schema) data = serialize(schema, data);
       res.setHeader('Content-Type', 'application/json');
       res.end(JSON.stringify(data));
     };
@@ -345,18 +253,34 @@ class App extends EventEmitter {
       res.end(html);
     };
     
+    // Buffers and streams are sent as is; a Content-Type set before wins
     res.send = (data) => {
-      if (typeof data === 'object') {
+      if (data === undefined) {
+        res.end();
+      } else if (Buffer.isBuffer(data)) {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Length', data.length);
+        res.end(data);
+      } else if (data && typeof data.pipe === 'function') {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+        return pipeFile(data, res);
+      } else if (typeof data === 'object') {
         res.json(data);
       } else {
-        res.setHeader('Content-Type', 'text/plain');
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/plain; charset=utf-8');
         res.end(String(data));
       }
     };
     
+    res.location = (url) => {
+      const target = url === 'back' ? (req.headers.referer || '/') : url;
+      res.setHeader('Location', encodeLocation(target));
+      return res;
+    };
+
     res.redirect = (location, statusCode = 302) => {
       res.statusCode = statusCode;
-      res.setHeader('Location', location);
+      res.location(location);
       res.end();
     };
     
@@ -365,116 +289,296 @@ class App extends EventEmitter {
       return res;
     };
     
+    // Cookies accumulate; `signed` / `encrypted` need the cookies.secret option
     res.setCookie = (name, value, options = {}) => {
-      let cookie = `${name}=${encodeURIComponent(value)}`;
-      if (options.maxAge) cookie += `; Max-Age=${options.maxAge}`;
-      if (options.path) cookie += `; Path=${options.path}`;
-      if (options.httpOnly) cookie += '; HttpOnly';
-      if (options.secure) cookie += '; Secure';
-      if (options.sameSite) cookie += `; SameSite=${options.sameSite}`;
-      res.setHeader('Set-Cookie', cookie);
+      const opts = { ...this.cookieDefaults, ...options };
+      if (opts.secure === 'auto') opts.secure = req.secure;
+      if (opts.encrypted) {
+        value = encryptValue(value, this.cookieSecrets);
+      } else if (opts.signed) {
+        value = signValue(String(value), this.cookieSecrets);
+      }
+      setCookie(res, name, value, opts);
+      return res;
+    };
+
+    res.clearCookie = (name, options = {}) => {
+      return res.setCookie(name, '', { ...options, maxAge: 0, expires: new Date(0), signed: false, encrypted: false });
     };
 
-    // Security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
+    // Content negotiation
+    req.accepts = (...types) => accepts(req.headers.accept, types.flat());
+    req.acceptsLanguages = (...langs) => acceptsLanguages(req.headers['accept-language'], langs.flat());
+    req.acceptsEncodings = (...encodings) => acceptsEncodings(req.headers['accept-encoding'], encodings.flat());
 
-    // Parse body for POST/PUT/PATCH
-    if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-      try {
-        req.body = await parseBody(req);
-      } catch (e) {
-        res.statusCode = 400;
-        res.json({ error: 'Invalid request body' });
-        return;
+    res.type = (type) => {
+      const mime = lookupType(type) || 'application/octet-stream';
+      res.setHeader('Content-Type', /^text\/|^application\/(json|javascript)/.test(mime) && !mime.includes('charset')
+        ? `${mime}; charset=utf-8`
+        : mime);
+      return res;
+    };
+
+    res.vary = (field) => {
+      appendVary(res, field);
+      return res;
+    };
+
+    // res.format({ html: () => ..., json: () => ..., default: () => ... })
+    res.format = (handlers) => {
+      res.vary('Accept');
+      const type = accepts(req.headers.accept, Object.keys(handlers).filter(key => key !== 'default'));
+      if (!type && !handlers.default) {
+        throw createError(406, 'Not Acceptable');
+      }
+      if (type && !res.getHeader('Content-Type')) res.type(type);
+      return handlers[type || 'default'](req, res);
+    };
+
+    res.attachment = (filename) => {
+      if (filename !== undefined && !res.getHeader('Content-Type')) res.type(path.extname(String(filename)) || 'bin');
+      res.setHeader('Content-Disposition', contentDisposition(filename));
+      return res;
+    };
+
+    // Through serveFile: ETag, Last-Modified, 304, Range, compression
+    res.sendFile = async (file, options = {}) => {
+      const { root, headers, dotfiles = 'ignore', ...fileOptions } = options;
+      const base = root ? path.resolve(root) : null;
+      const target = base ? path.resolve(base, `.${path.sep}${file}`) : path.resolve(file);
+      if (base && target !== base && !target.startsWith(base + path.sep)) {
+        throw createError(403, 'Forbidden');
       }
+      const checked = base ? path.relative(base, target).split(path.sep) : [path.basename(target)];
+      if (dotfiles !== 'allow' && checked.some(part => part.startsWith('.'))) {
+        throw createError(dotfiles === 'deny' ? 403 : 404, dotfiles === 'deny' ? 'Forbidden' : 'File not found');
+      }
+
+      const stat = await fs.promises.stat(target).catch(() => null);
+      if (!stat || !stat.isFile()) throw createError(404, 'File not found');
+      for (const [name, value] of Object.entries(headers || {})) res.setHeader(name, value);
+      return serveFile(req, res, target, { compression: this.options.compression, ...fileOptions, stat });
+    };
+
+    res.download = (file, filename, options) => {
+      if (filename && typeof filename === 'object') {
+        options = filename;
+        filename = undefined;
+      }
+      res.attachment(filename || path.basename(String(file)));
+      return res.sendFile(file, options).catch((error) => {
+        // The error page must not be offered as the download
+        if (!headersCommitted(res)) {
+          res.removeHeader('Content-Disposition');
+          res.removeHeader('Content-Type');
+        }
+        throw error;
+      });
+    };
+
+    if (this.options.compression !== false) {
+      attachCompression(req, res, this.options.compression);
     }
 
-    // Run middlewares
-    let middlewareIndex = 0;
-    const middlewares = this.router.middlewares;
-    
-    const runNext = async () => {
-      if (middlewareIndex < middlewares.length) {
-        const mw = middlewares[middlewareIndex++];
-        if (req.pathname.startsWith(mw.path)) {
-          await new Promise((resolve, reject) => {
-            try {
-              const result = mw.handler(req, res, (err) => {
-                if (err) reject(err);
-                else resolve();
-              });
-              if (result instanceof Promise) {
-                result.then(resolve).catch(reject);
-              }
-            } catch (e) {
-              reject(e);
-            }
-          });
-          if (!res.writableEnded) {
-            await runNext();
+    // Security headers (options.securityHeaders)
+    applySecurityHeaders(req, res, this.securityHeaders);
+
+    try {
+      req.originalUrl = req.url;
+      req.baseUrl = '';
+      req.params = {};
+
+      const allowed = new Set();
+      const handled = await this.router.handle(req, res, allowed);
+
+      if (!handled && !responseEnded(res)) {
+        if (allowed.size > 0) {
+          // Path exists under other methods
+          res.setHeader('Allow', this.allowHeader(allowed));
+          if (req.method !== 'OPTIONS') {
+            throw createError(405, 'Method not allowed');
           }
+          res.statusCode = 204;
+          res.end();
         } else {
-          await runNext();
+          await this.sendNotFound(req, res);
         }
       }
-    };
+    } catch (error) {
+      await this.handleError(error, req, res);
+    }
+    
+    // Log request (the access log, when enabled, writes its own line)
+    if (!this.accessLog) {
+      req.log.debug('Request completed', { status: res.statusCode, duration: Number(process.hrtime.bigint() - start) / 1e6 });
+    }
+  }
+
+  /**
+   * Shutting down: refuse new work, let the client retry elsewhere.
+   * Health routes still answer (liveness ok, readiness false).
+   */
+  refuseWhileClosing(req, res, next) {
+    if (!this.closing || this.healthChecks.paths.has(req.pathname)) return next();
+    if (!isHttp2(req)) res.setHeader('Connection', 'close');
+    res.setHeader('Retry-After', '5');
+    this.sendError(createError(503, 'Server is shutting down'), req, res);
+  }
 
+  /**
+   * Parse the body of POST/PUT/PATCH requests with the target route's
+   * parser options; errors go through the error handlers (400, 413, 415)
+   */
+  async parseRequestBody(req, res, next) {
+    if (!['POST', 'PUT', 'PATCH'].includes(req.method)) return next();
+
+    const route = this.router.resolve(req.method, req.pathname);
+    const parsers = resolveParsers(
+      { multipart: this.options.multipart },
+      this.options.bodyParser,
+      route && route.options.bodyParser
+    );
+    // No route: the 404 wins over a 415
+    if (!route) parsers.strictType = false;
     try {
-      await runNext();
-      
-      if (res.writableEnded) return;
-
-      // Match route
-      const match = this.router.match(req.method, req.pathname);
-      
-      if (match) {
-        req.params = match.params;
-        
-        for (const handler of match.route.handlers) {
-          if (res.writableEnded) break;
-          await handler(req, res);
-        }
-      } else {
-        // 404
-        res.statusCode = 404;
-        res.html(`<!DOCTYPE html>
+      req.body = await parseBody(req, parsers);
+    } catch (e) {
+      throw e.status ? e : createError(400, 'Invalid request body');
+    }
+
+    // Uploaded temp files live until the response is done
+    if (req.uploads && req.uploads.length) {
+      const cleanup = () => cleanupFiles(req.uploads);
+      res.once('finish', cleanup);
+      res.once('close', cleanup);
+    }
+    next();
+  }
+
+  // No route matched: SPA page, custom 404 handler or default 404
+  async sendNotFound(req, res) {
+    if (this.spaFallback) {
+      let passed = false;
+      await this.spaFallback(req, res, () => { passed = true; });
+      if (!passed) return;
+    }
+
+    if (this.notFoundHandler) {
+      await this.notFoundHandler(req, res);
+      return;
+    }
+    this.sendError(createError(404, 'Page not found'), req, res);
+  }
+
+  /**
+   * Custom 404 handler
+   * Usage: app.notFound((req, res) => res.status(404).json({ error: 'Nope' }))
+   */
+  notFound(handler) {
+    this.notFoundHandler = handler;
+    return this;
+  }
+
+  /**
+   * Final error handler, called for errors no error middleware handled
+   * Usage: app.onError((err, req, res) => { report(err); res.status(err.status || 500).json({ ... }) })
+   */
+  onError(handler) {
+    this.errorHandler = handler;
+    return this;
+  }
+
+  /**
+   * Build an Allow header value (GET implies HEAD, OPTIONS is automatic)
+   */
+  allowHeader(methods) {
+    const allow = new Set(methods.has('ALL') ? ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'] : methods);
+    if (allow.has('GET')) allow.add('HEAD');
+    allow.add('OPTIONS');
+    return [...allow].join(', ');
+  }
+
+  /**
+   * Minimal status page (404, 405, ...)
+   */
+  statusPage(status, message) {
+    return `<!DOCTYPE html>
 <html>
-<head><title>404 Not Found</title></head>
+<head><title>${status} ${this.escapeHtml(message)}</title></head>
 <body style="font-family: system-ui; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #f5f5f5;">
   <div style="text-align: center;">
-    <h1 style="font-size: 72px; margin: 0; color: #333;">404</h1>
-    <p style="color: #666;">Page not found</p>
+    <h1 style="font-size: 72px; margin: 0; color: #333;">${status}</h1>
+    <p style="color: #666;">${this.escapeHtml(message)}</p>
   </div>
 </body>
-</html>`);
-      }
-    } catch (error) {
-      this.handleError(error, req, res);
+</html>`;
+  }
+
+  // Error handler
+  async handleError(error, req, res) {
+    const status = errorStatus(error);
+    const log = req.log || this.logger;
+    if (status >= 500) {
+      log.error('Request failed', { err: error, status });
     }
-    
-    // Log request
-    const duration = Date.now() - startTime;
-    if (this.options.isDev) {
-      const statusColor = res.statusCode >= 400 ? '\x1b[31m' : '\x1b[32m';
-      console.log(`${statusColor}${req.method}\x1b[0m ${req.pathname} ${res.statusCode} ${duration}ms`);
+
+    if (this.errorHandler) {
+      try {
+        await this.errorHandler(error, req, res);
+        return;
+      } catch (handlerError) {
+        log.error('onError handler failed', { err: handlerError });
+      }
     }
+
+    this.sendError(error, req, res);
   }
 
-  // Error handler
-  handleError(error, req, res) {
-    console.error('\x1b[31mError:\x1b[0m', error.message);
-    if (this.options.isDev) {
-      console.error(error.stack);
+  /**
+   * Default error response: JSON when the client accepts it, HTML otherwise.
+   * 4xx messages are shown (err.expose), 5xx messages only in dev.
+   */
+  sendError(error, req, res) {
+    if (headersCommitted(res)) {
+      if (!responseEnded(res)) res.end();
+      return;
     }
-    
-    res.statusCode = 500;
+
+    const status = errorStatus(error);
+    const expose = error && error.expose !== undefined ? error.expose : status < 500;
+    const message = (expose || this.options.isDev) && error && error.message
+      ? error.message
+      : STATUS_CODES[status];
+
+    if (error && error.headers) {
+      for (const [name, value] of Object.entries(error.headers)) {
+        if (isHttp2(req) && HTTP1_ONLY_HEADERS.has(name.toLowerCase())) continue;
+        res.setHeader(name, value);
+      }
+    }
+    res.statusCode = status;
+
+    // Errors with details (validation) stay JSON unless HTML was asked for
+    const json = prefersJson(req) ||
+      (expose && error.details && !String(req.headers.accept || '').includes('text/html'));
+    if (json) {
+      const body = { error: message, status };
+      if (expose && error.details) body.details = error.details;
+      if (status >= 500 && req.id) body.requestId = req.id;
+      res.json(body);
+      return;
+    }
+
+    if (status < 500) {
+      res.html(this.statusPage(status, message));
+      return;
+    }
+
     res.html(`<!DOCTYPE html>
 <html>
 <head>
-  <title>500 - Server Error</title>
-  <style>
+  <title>${status} - Server Error</title>
+  <style${req.cspNonce ? ` nonce="${req.cspNonce}"` : ''}>
     body { font-family: system-ui; background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%); color: #fff; margin: 0; min-height: 100vh; display: flex; justify-content: center; align-items: center; }
     .container { max-width: 800px; padding: 40px; }
     h1 { color: #ff6b6b; margin-bottom: 20px; }
@@ -487,9 +591,10 @@ class App extends EventEmitter {
   <div class="container">
     <h1>⚠️ Server Error</h1>
     <div class="error-box">
-      <strong>${this.escapeHtml(error.message)}</strong>
-      ${this.options.isDev ? `<pre class="stack">${this.escapeHtml(error.stack)}</pre>` : ''}
+      <strong>${this.escapeHtml(message)}</strong>
+      ${this.options.isDev && error && error.stack ? `<pre class="stack">${this.escapeHtml(error.stack)}</pre>` : ''}
     </div>
+    ${req.id ? `<p class="stack">Request ID: ${this.escapeHtml(req.id)}</p>` : ''}
   </div>
 </body>
 </html>`);
@@ -525,7 +630,8 @@ class App extends EventEmitter {
         ...options.props,
         params: req.params,
         query: req.query,
-        path: req.pathname
+        path: req.pathname,
+        session: req.session
       };
 
       if (options.getProps) {
@@ -579,7 +685,7 @@ class App extends EventEmitter {
 
       try {
         const html = await this.vsv.php.renderFile(template, data, req, res);
-        if (!res.writableEnded) {
+        if (!responseEnded(res)) {
           res.html(html);
         }
       } catch (e) {
@@ -631,26 +737,142 @@ class App extends EventEmitter {
       port = null;
     }
     const finalPort = Number(port) || this.options.port;
+    const protocol = this.options.https ? 'https' : 'http';
+
+    // Optional port 80 listener redirecting to HTTPS, created first so a
+    // missing host fails before anything listens
+    let redirectPort = null;
+    if (this.options.https && this.options.httpsRedirect) {
+      const redirect = typeof this.options.httpsRedirect === 'object' ? this.options.httpsRedirect : { port: this.options.httpsRedirect };
+      redirectPort = redirect.port === true || redirect.port === undefined ? 80 : Number(redirect.port);
+      this.redirectServer = createRedirectServer(finalPort, redirect);
+    }
     
-    this.server = http.createServer((req, res) => {
+    this.server = createServer(this.options, (req, res) => {
       this.handleRequest(req, res);
     });
 
+    // Under `veko start --workers`, answer the primary (metrics, retire)
+    attachWorker(this);
+
     this.server.listen(finalPort, this.options.host, () => {
-      this.logger.log('success', `Server running at http://localhost:${finalPort}`);
+      const mode = this.options.http2 ? ' (HTTP/2)' : '';
+      this.logger.info(`Server running at ${protocol}://localhost:${finalPort}${mode}`, { port: finalPort });
       if (callback) callback();
       this.emit('listening', finalPort);
     });
 
+    if (this.redirectServer) {
+      // Port 80 taken or not allowed (EADDRINUSE, EACCES): HTTPS keeps running
+      this.redirectServer.on('error', (error) => {
+        this.logger.error(`HTTPS redirect on port ${redirectPort} failed`, { err: error, port: redirectPort });
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      });
+      this.redirectServer.listen(redirectPort, this.options.host, () => {
+        this.logger.info(`Redirecting http://localhost:${redirectPort} to HTTPS`);
+      });
+    }
+
     return this.server;
   }
 
-  // Close
-  close() {
-    if (this.server) {
-      this.server.close();
+  /**
+   * Process and request counters, plus VSV metrics when enabled
+   */
+  getMetrics() {
+    const memory = process.memoryUsage();
+    return {
+      pid: process.pid,
+      uptime: Math.round((Date.now() - this.stats.startedAt) / 1000),
+      requests: this.stats.requests,
+      activeRequests: this.stats.activeRequests,
+      errors: this.stats.errors,
+      memory: { rss: memory.rss, heapUsed: memory.heapUsed },
+      ...(this.vsv ? { vsv: this.vsv.getMetrics() } : {})
+    };
+  }
+
+  /**
+   * Liveness and readiness routes for load balancers and orchestrators
+   * Usage: app.health({ path: '/healthz', readyPath: '/readyz', cacheMs: 1000 })
+   */
+  health(options = {}) {
+    this.healthChecks.configure(options);
+    const { path: livePath, readyPath } = this.healthChecks.options;
+    for (const [routePath, kind] of [[livePath, 'liveness'], [readyPath, 'readiness']]) {
+      if (!routePath) continue;
+      this.healthChecks.paths.add(routePath);
+      this.get(routePath, this.healthChecks.handler(kind, this.options.isDev));
+    }
+    return this;
+  }
+
+  /**
+   * Register a check run by the readiness route, in parallel with the others
+   * Usage: app.addHealthCheck('db', () => db.query('SELECT 1'), { timeout: 2000, critical: true })
+   */
+  addHealthCheck(name, fn, options = {}) {
+    this.healthChecks.add(name, fn, options);
+    return this;
+  }
+
+  /**
+   * Register a hook run by app.close() once connections are drained
+   * Hooks run in registration order; async hooks are awaited.
+   * Usage: app.onClose(async () => { await db.end(); })
+   */
+  onClose(fn) {
+    this.closeHooks.push(fn);
+    return this;
+  }
+
+  /**
+   * Graceful shutdown: stop accepting connections, answer new requests
+   * with 503, wait for in-flight requests (at most `timeout` ms), then run
+   * the onClose hooks. Returns a promise; calling it again returns the same one.
+   */
+  close(options = {}) {
+    if (this.closing) return this.closing;
+
+    const timeout = options.timeout !== undefined ? options.timeout : (this.options.shutdownTimeout || 10000);
+    const servers = [this.server, this.redirectServer].filter(Boolean);
+
+    this.closing = (async () => {
+      await Promise.all(servers.map(server => closeGracefully(server, timeout)));
+      this.redirectServer = null;
+
+      for (const hook of this.closeHooks) {
+        try {
+          await hook();
+        } catch (error) {
+          this.logger.error('onClose hook failed', { err: error });
+        }
+      }
+      // Log files last, once the hooks had their say
+      await this.logger.close();
+      this.emit('close');
+    })();
+
+    return this.closing;
+  }
+
+  /**
+   * Close gracefully on SIGTERM/SIGINT, then exit. A second signal exits
+   * immediately.
+   */
+  closeOnSignals(signals = ['SIGTERM', 'SIGINT'], options = {}) {
+    for (const signal of signals) {
+      process.once(signal, () => {
+        this.logger.info(`${signal} received, shutting down...`);
+        process.once(signal, () => process.exit(1));
+        this.close(options).then(() => process.exit(0), () => process.exit(1));
+      });
     }
+    return this;
   }
 }
 
 module.exports = App;
+module.exports.Router = Router;
+module.exports.HttpError = HttpError;
+module.exports.createError = createError;
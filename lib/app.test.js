@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { createServer } = require('./server');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// Tracked server on an ephemeral port, as app.listen() builds it
+function serve(app) {
+  app.server = createServer({}, (req, res) => app.handleRequest(req, res));
+  return new Promise(resolve => app.server.listen(0, '127.0.0.1', () => resolve(app.server.address().port)));
+}
+
+function get(port, path, agent) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, agent, headers: { accept: 'application/json' } }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('close() lets in-flight requests finish and stops accepting connections', async () => {
+  const app = createApp();
+  let release;
+  app.get('/slow', (req, res) => new Promise((resolve) => {
+    release = () => resolve(res.json({ done: true }));
+  }));
+  app.get('/fast', (req, res) => res.json({ fast: true }));
+  const port = await serve(app);
+
+  const slow = get(port, '/slow', false);
+  while (!release) await new Promise(resolve => setImmediate(resolve));
+
+  const closing = app.close({ timeout: 5000 });
+  assert.equal(app.close(), closing);
+  await assert.rejects(get(port, '/fast', false), { code: 'ECONNREFUSED' });
+
+  release();
+  assert.deepEqual(JSON.parse((await slow).body), { done: true });
+  await closing;
+  assert.equal(app.server.listening, false);
+});
+
+test('requests arriving while closing get 503, health routes still answer', async () => {
+  const app = createApp();
+  app.get('/fast', (req, res) => res.json({ fast: true }));
+  app.health();
+  app.closing = Promise.resolve();
+  const port = await serve(app);
+
+  const refused = await get(port, '/fast', false);
+  assert.equal(refused.status, 503);
+  assert.equal(refused.headers.connection, 'close');
+  assert.equal((await get(port, '/healthz', false)).status, 200);
+  assert.equal((await get(port, '/readyz', false)).status, 503);
+  await new Promise(resolve => app.server.close(resolve));
+});
+
+test('the shutdown 503 is logged and carries CORS headers', async () => {
+  const lines = [];
+  const app = createApp({
+    accessLog: { format: ':method :url :status', stream: { write: text => lines.push(text.trim()) } },
+    cors: { origin: ['https://app.example.com'] }
+  });
+  app.post('/items', (req, res) => res.json(req.body));
+  app.closing = Promise.resolve();
+  const port = await serve(app);
+
+  const refused = await new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port, path: '/items', method: 'POST', agent: false,
+      headers: { origin: 'https://app.example.com', 'content-type': 'application/json', 'content-length': 2 }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    });
+    req.on('error', reject);
+    req.end('{}');
+  });
+  assert.equal(refused.statusCode, 503);
+  assert.equal(refused.headers['access-control-allow-origin'], 'https://app.example.com');
+  await new Promise(resolve => app.server.close(resolve));
+  assert.deepEqual(lines, ['POST /items 503']);
+});
+
+test('onClose hooks run in order after draining, even when one fails', async () => {
+  const app = createApp();
+  const calls = [];
+  app.onClose(async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    calls.push('first');
+  });
+  app.onClose(() => {
+    calls.push('second');
+    throw new Error('boom');
+  });
+  app.onClose(() => calls.push('third'));
+  app.on('close', () => calls.push('event'));
+  await serve(app);
+
+  await app.close();
+  assert.deepEqual(calls, ['first', 'second', 'third', 'event']);
+});
+
+test('connections still open after the timeout are destroyed', async () => {
+  const app = createApp();
+  let started = false;
+  app.get('/hang', () => {
+    started = true;
+    return new Promise(() => {});
+  });
+  const port = await serve(app);
+
+  const hanging = get(port, '/hang', false).then(() => 'answered', () => 'reset');
+  while (!started) await new Promise(resolve => setImmediate(resolve));
+  await app.close({ timeout: 50 });
+  assert.equal(await hanging, 'reset');
+});
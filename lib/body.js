@@ -0,0 +1,327 @@
+/**
+ * VekoJS Body Parsing
+ * json / urlencoded / text / raw / multipart parsers and the nested
+ * query string parser (no dependencies)
+ */
+
+const zlib = require('zlib');
+const { createError } = require('./errors');
+const { isHttp2 } = require('./server');
+
+const DEFAULTS = {
+  json: { limit: '1mb', strict: true, type: ['application/json', '+json'] },
+  urlencoded: { limit: '1mb', type: ['application/x-www-form-urlencoded'], depth: 20, parameterLimit: 1000 },
+  text: { limit: '1mb', type: ['text/plain'] },
+  raw: { limit: '10mb', type: ['application/octet-stream'] },
+  multipart: { type: ['multipart/form-data'] }
+};
+
+const PARSERS = ['json', 'urlencoded', 'text', 'raw', 'multipart'];
+
+// Keys that would reach Object.prototype
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Highest numeric index turned into an array slot (a[3]=x); above, an object key
+const ARRAY_LIMIT = 20;
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Convert a size ('100kb', '1mb', 2048) to bytes
+ */
+function toBytes(size) {
+  if (typeof size === 'number') return size;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(size));
+  if (!match) throw new Error(`Invalid size: ${size}`);
+  return Math.floor(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Decode a query string component ('+' means space)
+ */
+function decode(str) {
+  const value = str.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Split 'a[b][]' into ['a', 'b', '']. Brackets past `depth` stay in the
+ * last key as literal text.
+ */
+function splitKey(key, depth) {
+  const open = key.indexOf('[');
+  if (open <= 0) return [key];
+
+  const parts = [key.slice(0, open)];
+  let rest = key.slice(open);
+  while (rest && parts.length <= depth) {
+    const match = /^\[([^[\]]*)\]/.exec(rest);
+    if (!match) break;
+    parts.push(match[1]);
+    rest = rest.slice(match[0].length);
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+function isIndex(part) {
+  return part === '' || (/^\d+$/.test(part) && Number(part) <= ARRAY_LIMIT);
+}
+
+/**
+ * Set a value at a key path, creating objects and arrays on the way.
+ * Repeated keys collect into an array.
+ */
+function assign(target, parts, value) {
+  let node = target;
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (UNSAFE_KEYS.has(part)) return;
+
+    let key = part;
+    if (part === '') key = Array.isArray(node) ? node.length : String(Object.keys(node).length);
+    else if (Array.isArray(node)) key = Number(part);
+
+    if (i === parts.length - 1) {
+      const existing = node[key];
+      if (existing === undefined) node[key] = value;
+      else if (Array.isArray(existing)) existing.push(value);
+      else if (typeof existing === 'string') node[key] = [existing, value];
+      return;
+    }
+
+    const next = parts[i + 1];
+    let child = node[key];
+    if (child === undefined) {
+      child = isIndex(next) ? [] : {};
+      node[key] = child;
+    } else if (typeof child !== 'object') {
+      // 'a=1&a[b]=2': keep the first shape
+      return;
+    } else if (Array.isArray(child) && !isIndex(next)) {
+      child = Object.assign({}, child);
+      node[key] = child;
+    }
+    node = child;
+  }
+}
+
+/**
+ * Parse a query string or urlencoded body, with nested keys
+ * Usage: parseQuery('a[b][]=1&a[b][]=2&c=3') // { a: { b: ['1', '2'] }, c: '3' }
+ * Pairs past `parameterLimit` are ignored.
+ */
+function parseQuery(str, options = {}) {
+  const depth = options.depth !== undefined ? options.depth : DEFAULTS.urlencoded.depth;
+  const limit = options.parameterLimit || DEFAULTS.urlencoded.parameterLimit;
+  const result = {};
+  if (!str) return result;
+
+  const pairs = str.split('&', limit);
+  for (const pair of pairs) {
+    if (!pair) continue;
+    const eq = pair.indexOf('=');
+    const key = decode(eq === -1 ? pair : pair.slice(0, eq));
+    const value = eq === -1 ? '' : decode(pair.slice(eq + 1));
+    if (key) assign(result, splitKey(key, depth), value);
+  }
+  return result;
+}
+
+/**
+ * Whether a MIME type matches one of 'application/json', '+json',
+ * 'text/*' or '*\/*'
+ */
+function typeMatches(mime, types) {
+  return [].concat(types).some(type => {
+    if (typeof type === 'function') return type(mime);
+    if (type === '*/*') return true;
+    if (type.startsWith('+')) return mime.endsWith(type);
+    if (type.endsWith('/*')) return mime.startsWith(type.slice(0, -1));
+    return mime === type;
+  });
+}
+
+/**
+ * Merge parser options: defaults, then app level, then route level.
+ * `false` at any level turns a parser (or all of them) off. `strictType`
+ * (last level that sets it wins) answers 415 to a Content-Type no parser
+ * accepts, instead of leaving the body unread.
+ */
+function resolveParsers(...levels) {
+  const parsers = {};
+  for (const name of PARSERS) {
+    let merged = { ...DEFAULTS[name] };
+    for (const level of levels) {
+      if (level === false) { merged = false; break; }
+      if (!level || level[name] === undefined) continue;
+      if (level[name] === false) { merged = false; break; }
+      merged = { ...merged, ...level[name] };
+    }
+    parsers[name] = merged;
+  }
+  parsers.strictType = levels.reduce((strict, level) =>
+    (level && level.strictType !== undefined ? Boolean(level.strictType) : strict), false);
+  return parsers;
+}
+
+/**
+ * Read the request into a Buffer, inflating gzip/deflate/br bodies.
+ * Stops reading as soon as `limit` bytes are exceeded.
+ */
+function readBody(req, limit) {
+  const encoding = String(req.headers['content-encoding'] || 'identity').toLowerCase();
+  const length = Number(req.headers['content-length']);
+
+  // Too large: answer before reading anything
+  if (encoding === 'identity' && length > limit) {
+    return Promise.reject(tooLarge(limit));
+  }
+
+  let stream = req;
+  if (encoding === 'gzip' || encoding === 'x-gzip') stream = req.pipe(zlib.createGunzip());
+  else if (encoding === 'deflate') stream = req.pipe(zlib.createInflate());
+  else if (encoding === 'br') stream = req.pipe(zlib.createBrotliDecompress());
+  else if (encoding !== 'identity') {
+    return Promise.reject(createError(415, `Unsupported Content-Encoding "${encoding}"`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    let done = false;
+
+    const finish = (err, body) => {
+      if (done) return;
+      done = true;
+      stream.removeListener('data', onData);
+      if (err) {
+        if (stream !== req) req.unpipe(stream);
+        req.pause();
+        reject(err);
+      } else {
+        resolve(body);
+      }
+    };
+
+    const onData = (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        finish(tooLarge(limit));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', () => finish(null, Buffer.concat(chunks, received)));
+    stream.on('error', (err) => finish(err.status ? err : createError(400, 'Invalid request body')));
+    if (stream !== req) req.on('error', (err) => finish(err));
+  });
+}
+
+function tooLarge(limit) {
+  // Close the connection rather than draining the rest of the upload
+  return createError(413, `Request body exceeds the ${limit} bytes limit`, { headers: { Connection: 'close' } });
+}
+
+/**
+ * Decode a Buffer with the charset of the Content-Type (utf-8 by default)
+ */
+function decodeText(buffer, contentType) {
+  const match = /charset=["']?([\w-]+)/i.exec(contentType);
+  const charset = match ? match[1].toLowerCase() : 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (e) {
+    throw createError(415, `Unsupported charset "${charset}"`);
+  }
+}
+
+function parseJson(text, options) {
+  const trimmed = text.trim();
+  if (trimmed === '') return {};
+  if (options.strict && trimmed[0] !== '{' && trimmed[0] !== '[') {
+    throw createError(400, 'Invalid JSON body: expected an object or an array');
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    throw createError(400, `Invalid JSON body: ${e.message}`);
+  }
+}
+
+/**
+ * Parse the body of a request with the parser matching its Content-Type.
+ * Sets req.rawBody (Buffer) for json/urlencoded/text/raw, req.files for
+ * multipart. Resolves to undefined without reading when every parser is
+ * off or none accepts the Content-Type (XML, webhooks...: the handler
+ * reads the stream). Rejects with 413 (too large), 415 (unsupported
+ * encoding or charset, or type with `strictType`) or 400 (malformed).
+ *
+ * Usage: req.body = await parseBody(req, resolveParsers(app.options.bodyParser))
+ */
+async function parseBody(req, parsers = resolveParsers()) {
+  const contentType = req.headers['content-type'] || '';
+  const mime = contentType.split(';')[0].trim().toLowerCase();
+  // HTTP/2 has no Transfer-Encoding: the stream tells whether data follows
+  const hasBody = isHttp2(req) && req.stream
+    ? !req.stream.endAfterHeaders
+    : req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+
+  // Parsing turned off: the handler reads the stream itself
+  if (PARSERS.every(p => !parsers[p])) return undefined;
+
+  if (!hasBody) {
+    req.rawBody = Buffer.alloc(0);
+    return {};
+  }
+
+  const name = PARSERS.find(p => parsers[p] && typeMatches(mime, parsers[p].type));
+  if (!name) {
+    if (!parsers.strictType) return undefined;
+    throw createError(415, mime ? `Unsupported Content-Type "${mime}"` : 'Missing Content-Type');
+  }
+  const options = parsers[name];
+
+  if (name === 'multipart') {
+    // Fields become the body, uploads go to req.files (temp files).
+    // Required here: the multipart parser reuses UNSAFE_KEYS from this module.
+    const { parseMultipart } = require('./multipart');
+    const { fields, files, list } = await parseMultipart(req, options);
+    req.files = files;
+    req.uploads = list;
+    return fields;
+  }
+
+  const limit = toBytes(options.limit);
+  const raw = await readBody(req, limit);
+  req.rawBody = raw;
+
+  if (name === 'raw') return raw;
+
+  const text = decodeText(raw, contentType);
+  if (name === 'text') return text;
+  if (name === 'json') return parseJson(text, options);
+
+  if (text.split('&').length > options.parameterLimit) {
+    throw createError(413, 'Too many parameters');
+  }
+  return parseQuery(text, options);
+}
+
+module.exports = {
+  parseBody,
+  parseQuery,
+  resolveParsers,
+  readBody,
+  typeMatches,
+  toBytes,
+  UNSAFE_KEYS,
+  BODY_DEFAULTS: DEFAULTS
+};
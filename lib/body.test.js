@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const App = require('./app');
+const { parseQuery, resolveParsers, typeMatches, toBytes } = require('./body');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// `chunked` sends the body without Content-Length
+function request(app, method, path, { headers = {}, body, chunked = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const payload = body === undefined ? null : Buffer.from(body);
+      const allHeaders = { accept: 'application/json', ...headers };
+      if (payload && !chunked) allHeaders['content-length'] = payload.length;
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: allHeaders, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          const text = Buffer.concat(chunks).toString();
+          const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(text) : null;
+          resolve({ status: res.statusCode, headers: res.headers, body: text, json });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(payload);
+    });
+  });
+}
+
+// Echoes what the parser produced
+function echoApp(options) {
+  const app = createApp(options);
+  const echo = (req, res) => res.json({
+    body: req.body === undefined ? '<undefined>' : Buffer.isBuffer(req.body) ? req.body.toString('hex') : req.body,
+    raw: req.rawBody ? req.rawBody.toString() : null
+  });
+  app.post('/echo', echo);
+  app.post('/strict', { bodyParser: { strictType: true } }, echo);
+  app.post('/xml', async (req, res) => {
+    let xml = '';
+    for await (const chunk of req) xml += chunk;
+    res.json({ body: req.body === undefined ? '<undefined>' : req.body, xml });
+  });
+  return app;
+}
+
+test('toBytes and typeMatches', () => {
+  assert.equal(toBytes('1kb'), 1024);
+  assert.equal(toBytes('1.5mb'), 1572864);
+  assert.equal(toBytes(10), 10);
+  assert.throws(() => toBytes('lots'), /Invalid size/);
+  assert.equal(typeMatches('application/vnd.api+json', ['+json']), true);
+  assert.equal(typeMatches('text/csv', ['text/*']), true);
+  assert.equal(typeMatches('image/png', ['text/*', 'application/json']), false);
+  assert.equal(typeMatches('anything/else', ['*/*']), true);
+});
+
+test('parseQuery: nested keys, arrays and repeated keys', () => {
+  assert.deepEqual(parseQuery('a[b][]=1&a[b][]=2&c=3&c=4&items[0][id]=7&q=hello+world%21'), {
+    a: { b: ['1', '2'] },
+    c: ['3', '4'],
+    items: [{ id: '7' }],
+    q: 'hello world!'
+  });
+  assert.deepEqual(parseQuery('a[99]=x'), { a: { 99: 'x' } });
+  assert.deepEqual(parseQuery('bad=%E0%A4%A'), { bad: '%E0%A4%A' });
+  assert.deepEqual(parseQuery('a=1&b=2&c=3', { parameterLimit: 2 }), { a: '1', b: '2' });
+});
+
+test('parseQuery: keys reaching Object.prototype are ignored', () => {
+  const parsed = parseQuery('__proto__[admin]=1&a[constructor][prototype][x]=1&ok=1');
+  assert.deepEqual(parsed, { ok: '1', a: {} });
+  assert.equal({}.admin, undefined);
+  assert.equal(Object.getPrototypeOf(parsed), Object.prototype);
+});
+
+test('resolveParsers merges levels; false turns parsers off', () => {
+  const parsers = resolveParsers({ json: { limit: '2mb' } }, { json: { strict: false }, text: false });
+  assert.equal(parsers.json.limit, '2mb');
+  assert.equal(parsers.json.strict, false);
+  assert.equal(parsers.text, false);
+  assert.equal(parsers.strictType, false);
+  assert.equal(resolveParsers({ strictType: true }, { strictType: false }).strictType, false);
+  assert.equal(resolveParsers(false).json, false);
+});
+
+test('json, urlencoded, text and raw bodies with req.rawBody', async () => {
+  const app = echoApp();
+  const jsonRes = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/json' }, body: '{"a":[1,2]}' });
+  assert.deepEqual(jsonRes.json, { body: { a: [1, 2] }, raw: '{"a":[1,2]}' });
+
+  const form = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: 'user[name]=Ann&tags[]=x' });
+  assert.deepEqual(form.json.body, { user: { name: 'Ann' }, tags: ['x'] });
+
+  const text = await request(app, 'POST', '/echo', { headers: { 'content-type': 'text/plain; charset=latin1' }, body: Buffer.from([0x63, 0x61, 0x66, 0xe9]) });
+  assert.equal(text.json.body, 'café');
+
+  const raw = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/octet-stream' }, body: Buffer.from([0, 255]) });
+  assert.equal(raw.json.body, '00ff');
+});
+
+test('malformed JSON and non-object JSON in strict mode are 400', async () => {
+  const app = echoApp();
+  const headers = { 'content-type': 'application/json' };
+  assert.equal((await request(app, 'POST', '/echo', { headers, body: '{"a":' })).status, 400);
+  assert.equal((await request(app, 'POST', '/echo', { headers, body: '"just a string"' })).status, 400);
+});
+
+test('bodies over the limit are 413, from Content-Length or while reading', async () => {
+  const app = echoApp({ bodyParser: { json: { limit: '10b' } } });
+  const headers = { 'content-type': 'application/json' };
+  const declared = await request(app, 'POST', '/echo', { headers, body: '{"a":"0123456789"}' });
+  assert.equal(declared.status, 413);
+  assert.equal(declared.headers.connection, 'close');
+
+  const streamed = await request(app, 'POST', '/echo', { headers, body: '{"a":"0123456789"}', chunked: true });
+  assert.equal(streamed.status, 413);
+});
+
+test('gzip bodies are inflated; unknown encodings and charsets are 415', async () => {
+  const app = echoApp();
+  const zipped = await request(app, 'POST', '/echo', {
+    headers: { 'content-type': 'application/json', 'content-encoding': 'gzip' },
+    body: zlib.gzipSync('{"zipped":true}')
+  });
+  assert.deepEqual(zipped.json.body, { zipped: true });
+
+  const encoding = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/json', 'content-encoding': 'zstd' }, body: '{}' });
+  assert.equal(encoding.status, 415);
+
+  const charset = await request(app, 'POST', '/echo', { headers: { 'content-type': 'text/plain; charset=klingon' }, body: 'x' });
+  assert.equal(charset.status, 415);
+});
+
+test('an unknown Content-Type leaves the body unread for the handler', async () => {
+  const app = echoApp();
+  const xml = await request(app, 'POST', '/xml', { headers: { 'content-type': 'application/xml' }, body: '<a>1</a>' });
+  assert.equal(xml.status, 200);
+  assert.deepEqual(xml.json, { body: '<undefined>', xml: '<a>1</a>' });
+
+  const echoed = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/soap+xml' }, body: '<x/>' });
+  assert.equal(echoed.json.body, '<undefined>');
+});
+
+test('strictType answers 415, but an unknown path stays a 404', async () => {
+  const app = echoApp();
+  const strict = await request(app, 'POST', '/strict', { headers: { 'content-type': 'application/xml' }, body: '<a/>' });
+  assert.equal(strict.status, 415);
+
+  const strictApp = echoApp({ bodyParser: { strictType: true } });
+  const missing = await request(strictApp, 'POST', '/nowhere', { headers: { 'content-type': 'application/xml' }, body: '<a/>' });
+  assert.equal(missing.status, 404);
+  const rejected = await request(strictApp, 'POST', '/echo', { headers: { 'content-type': 'application/xml' }, body: '<a/>' });
+  assert.equal(rejected.status, 415);
+});
+
+test('query strings are parsed into req.query', async () => {
+  const app = createApp();
+  app.get('/search', (req, res) => res.json(req.query));
+  const res = await request(app, 'GET', '/search?filter[status][]=open&filter[status][]=closed&page=2');
+  assert.deepEqual(res.json, { filter: { status: ['open', 'closed'] }, page: '2' });
+});
+
+test('body errors are logged and carry CORS and rate limit headers', async () => {
+  const lines = [];
+  const app = echoApp({
+    accessLog: { format: ':method :url :status', stream: { write: text => lines.push(text.trim()) } },
+    cors: { origin: ['https://app.example.com'] },
+    rateLimit: { max: 100 }
+  });
+  app.post('/small', { bodyParser: { json: { limit: 10 } } }, (req, res) => res.json(req.body));
+  const headers = { origin: 'https://app.example.com', 'content-type': 'application/json' };
+
+  const invalid = await request(app, 'POST', '/echo', { headers, body: '{nope' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.headers['access-control-allow-origin'], 'https://app.example.com');
+  assert.ok(invalid.headers['ratelimit-remaining']);
+  assert.equal((await request(app, 'POST', '/small', { headers, body: '{"a":"0123456789"}' })).status, 413);
+  assert.equal((await request(app, 'POST', '/strict', { headers: { ...headers, 'content-type': 'application/xml' }, body: '<a/>' })).status, 415);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(lines, ['POST /echo 400', 'POST /small 413', 'POST /strict 415']);
+});
+
+test('app middleware and error handlers see the parsed body and its errors', async () => {
+  const app = createApp();
+  app.use((req, res, next) => {
+    res.setHeader('X-Body-Keys', Object.keys(req.body || {}).join(','));
+    next();
+  });
+  app.post('/echo', (req, res) => res.json(req.body));
+  app.use((err, req, res, next) => res.status(err.status).json({ handled: err.message }));
+
+  const ok = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/json' }, body: '{"a":1,"b":2}' });
+  assert.equal(ok.headers['x-body-keys'], 'a,b');
+  const bad = await request(app, 'POST', '/echo', { headers: { 'content-type': 'application/json' }, body: '{nope' });
+  assert.equal(bad.status, 400);
+  assert.ok(bad.json.handled);
+});
@@ -0,0 +1,329 @@
+/**
+ * VekoJS Cluster
+ * Primary process running N workers on a shared port: crash restarts
+ * with backoff, rolling reload on SIGHUP, health and metrics (no dependencies)
+ */
+
+const os = require('os');
+const cluster = require('cluster');
+const { EventEmitter } = require('events');
+
+const DEFAULTS = {
+  workers: (os.availableParallelism ? os.availableParallelism() : os.cpus().length),
+  minBackoff: 1000,          // first restart delay after a crash
+  maxBackoff: 30000,
+  stableAfter: 10000,        // a worker alive this long resets the backoff
+  listenTimeout: 30000,      // max wait for a new worker to listen during reload
+  shutdownTimeout: 10000,    // graceful close given to each worker
+  heartbeatInterval: 10000,  // metrics poll, 0 to disable
+  heartbeatTimeout: 5000,
+  env: {},
+  log: (type, message) => console.log(`[veko:primary] ${type === 'error' ? '✗' : '•'} ${message}`)
+};
+
+/**
+ * Sum numeric metrics across workers; `avg*` fields are averaged, uptime
+ * is the longest and pid is dropped
+ */
+function mergeMetrics(list) {
+  const merged = {};
+  const counts = {};
+  for (const metrics of list) {
+    for (const [key, value] of Object.entries(metrics || {})) {
+      if (key === 'pid') continue;
+      if (key === 'uptime') {
+        merged.uptime = Math.max(merged.uptime || 0, value);
+      } else if (typeof value === 'number') {
+        merged[key] = (merged[key] || 0) + value;
+        counts[key] = (counts[key] || 0) + 1;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = mergeMetrics(list.map(m => m && m[key]).filter(Boolean));
+      }
+    }
+  }
+  for (const key of Object.keys(merged)) {
+    if (/^avg/i.test(key)) merged[key] = merged[key] / counts[key];
+  }
+  return merged;
+}
+
+/**
+ * Primary-side worker pool
+ * Usage: new ClusterManager({ exec: 'server.js', workers: 4 }).start()
+ */
+class ClusterManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+    this.workers = new Map();     // worker.id -> state
+    this.stopping = false;
+    this.reloading = null;
+    this.crashes = 0;
+    this.heartbeat = null;
+    this.requestId = 0;
+  }
+
+  log(type, message) {
+    this.options.log(type, message);
+  }
+
+  start() {
+    cluster.setupPrimary({ exec: this.options.exec, args: this.options.args || [] });
+
+    for (let i = 0; i < this.options.workers; i++) this.fork();
+
+    cluster.on('exit', (worker, code, signal) => this.onExit(worker, code, signal));
+
+    process.on('SIGHUP', () => this.reload());
+    process.on('SIGUSR2', () => this.printStatus());
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => {
+        this.log('info', `${signal} received, stopping workers...`);
+        this.shutdown().then(() => process.exit(0));
+      });
+    }
+
+    if (this.options.heartbeatInterval > 0) {
+      this.heartbeat = setInterval(() => this.checkHealth(), this.options.heartbeatInterval);
+      this.heartbeat.unref();
+    }
+
+    this.log('info', `Primary ${process.pid} starting ${this.options.workers} workers`);
+    return this;
+  }
+
+  fork() {
+    const worker = cluster.fork({ ...this.options.env, VEKO_CLUSTER: '1' });
+    const state = {
+      worker,
+      startedAt: Date.now(),
+      listening: false,
+      retiring: false,
+      healthy: true,
+      lastSeen: Date.now(),
+      metrics: null
+    };
+    this.workers.set(worker.id, state);
+
+    worker.on('listening', () => {
+      state.listening = true;
+      this.emit('worker:listening', worker);
+    });
+    worker.on('message', (msg) => this.onMessage(state, msg));
+    return worker;
+  }
+
+  onExit(worker, code, signal) {
+    const state = this.workers.get(worker.id);
+    this.workers.delete(worker.id);
+    if (!state || state.retiring || this.stopping) return;
+
+    // Crash: restart with exponential backoff, reset once workers stay up
+    const lived = Date.now() - state.startedAt;
+    this.crashes = lived > this.options.stableAfter ? 0 : this.crashes + 1;
+    const delay = this.crashes === 0
+      ? 0
+      : Math.min(this.options.minBackoff * 2 ** (this.crashes - 1), this.options.maxBackoff);
+
+    this.log('error', `Worker ${worker.process.pid} died (${signal || `code ${code}`}), restarting in ${delay}ms`);
+    const timer = setTimeout(() => {
+      if (!this.stopping) this.fork();
+    }, delay);
+    timer.unref();
+  }
+
+  onMessage(state, msg) {
+    if (!msg || msg.type !== 'veko:metrics') return;
+    state.metrics = msg.data;
+    state.lastSeen = Date.now();
+    state.healthy = true;
+    this.emit(`metrics:${msg.id}`, state);
+  }
+
+  /**
+   * Ask a worker for its metrics, resolves null on timeout
+   */
+  requestMetrics(state) {
+    const id = ++this.requestId;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.removeAllListeners(`metrics:${id}`);
+        resolve(null);
+      }, this.options.heartbeatTimeout);
+      this.once(`metrics:${id}`, () => {
+        clearTimeout(timer);
+        resolve(state.metrics);
+      });
+      try {
+        state.worker.send({ type: 'veko:metrics', id });
+      } catch (e) {
+        clearTimeout(timer);
+        resolve(null);
+      }
+    });
+  }
+
+  async checkHealth() {
+    await Promise.all([...this.workers.values()].map(async (state) => {
+      const metrics = await this.requestMetrics(state);
+      if (!metrics && state.healthy && state.listening) {
+        state.healthy = false;
+        this.log('error', `Worker ${state.worker.process.pid} is not responding`);
+      }
+    }));
+  }
+
+  /**
+   * Health of every worker plus metrics merged across workers
+   */
+  async status() {
+    await this.checkHealth();
+    const workers = [...this.workers.values()].map(state => ({
+      id: state.worker.id,
+      pid: state.worker.process.pid,
+      state: state.retiring ? 'retiring' : (state.listening ? 'listening' : 'starting'),
+      healthy: state.healthy,
+      uptime: Math.round((Date.now() - state.startedAt) / 1000),
+      lastSeen: new Date(state.lastSeen).toISOString(),
+      metrics: state.metrics
+    }));
+    return {
+      primary: process.pid,
+      workers,
+      metrics: mergeMetrics(workers.map(w => w.metrics).filter(Boolean))
+    };
+  }
+
+  async printStatus() {
+    const status = await this.status();
+    for (const w of status.workers) {
+      this.log('info', `worker ${w.pid} ${w.state} ${w.healthy ? 'healthy' : 'UNHEALTHY'} up ${w.uptime}s`);
+    }
+    this.log('info', `metrics ${JSON.stringify(status.metrics)}`);
+  }
+
+  waitListening(worker) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Worker ${worker.process.pid} did not start listening`));
+      }, this.options.listenTimeout);
+      const onListening = (w) => {
+        if (w !== worker) return;
+        cleanup();
+        resolve();
+      };
+      const onExit = () => {
+        cleanup();
+        reject(new Error(`Worker ${worker.process.pid} exited during startup`));
+      };
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener('worker:listening', onListening);
+        worker.removeListener('exit', onExit);
+      };
+      this.on('worker:listening', onListening);
+      worker.once('exit', onExit);
+    });
+  }
+
+  /**
+   * Gracefully stop one worker: it closes its app, then exits; killed
+   * if it takes longer than the shutdown timeout
+   */
+  retire(state) {
+    state.retiring = true;
+    const { worker } = state;
+    return new Promise((resolve) => {
+      if (worker.isDead()) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => worker.process.kill('SIGKILL'), this.options.shutdownTimeout + 5000);
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      try {
+        worker.send({ type: 'veko:shutdown', timeout: this.options.shutdownTimeout });
+      } catch (e) {
+        worker.process.kill('SIGTERM');
+      }
+    });
+  }
+
+  /**
+   * Rolling reload: one at a time, a new worker must be listening before
+   * the old one is retired. Stops at the first worker that fails to start.
+   */
+  reload() {
+    if (this.reloading) return this.reloading;
+
+    this.reloading = (async () => {
+      const old = [...this.workers.values()].filter(s => !s.retiring);
+      this.log('info', `Rolling reload of ${old.length} workers`);
+
+      for (const state of old) {
+        const fresh = this.fork();
+        try {
+          await this.waitListening(fresh);
+        } catch (error) {
+          this.log('error', `Reload aborted: ${error.message}`);
+          const freshState = this.workers.get(fresh.id);
+          if (freshState) {
+            freshState.retiring = true;
+            fresh.process.kill('SIGKILL');
+          }
+          return false;
+        }
+        await this.retire(state);
+      }
+
+      this.log('info', 'Reload complete');
+      return true;
+    })().finally(() => {
+      this.reloading = null;
+    });
+
+    return this.reloading;
+  }
+
+  async shutdown() {
+    this.stopping = true;
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    await Promise.all([...this.workers.values()].map(state => this.retire(state)));
+  }
+}
+
+/**
+ * Worker side: answer the primary's metrics requests and close the app
+ * gracefully when asked to retire
+ */
+function attachWorker(app) {
+  if (!cluster.isWorker || app.clusterAttached) return;
+  app.clusterAttached = true;
+
+  process.on('message', (msg) => {
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'veko:metrics') {
+      process.send({ type: 'veko:metrics', id: msg.id, data: app.getMetrics() });
+    } else if (msg.type === 'veko:shutdown') {
+      app.close({ timeout: msg.timeout }).then(() => process.exit(0), () => process.exit(1));
+    }
+  });
+}
+
+/**
+ * Start a primary running `exec` in `workers` processes
+ */
+function runCluster(options) {
+  return new ClusterManager(options).start();
+}
+
+module.exports = {
+  ClusterManager,
+  runCluster,
+  attachWorker,
+  mergeMetrics,
+  CLUSTER_DEFAULTS: DEFAULTS
+};
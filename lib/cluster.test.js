@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const { ClusterManager, mergeMetrics } = require('./cluster');
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+}
+
+function until(check) {
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      if (!check()) return;
+      clearInterval(timer);
+      resolve();
+    }, 20);
+  });
+}
+
+const listening = manager => [...manager.workers.values()].filter(s => s.listening && !s.retiring);
+
+test('mergeMetrics sums counters, averages avg* and keeps the longest uptime', () => {
+  const merged = mergeMetrics([
+    { pid: 1, uptime: 10, requests: 3, memory: { rss: 100 }, avgDuration: 4 },
+    { pid: 2, uptime: 30, requests: 5, memory: { rss: 50 }, avgDuration: 2 }
+  ]);
+  assert.deepEqual(merged, { uptime: 30, requests: 8, memory: { rss: 150 }, avgDuration: 3 });
+});
+
+test('workers share the port, restart after a crash, reload one by one and stop', { timeout: 60000 }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-cluster-'));
+  const exec = path.join(dir, 'server.js');
+  fs.writeFileSync(exec, `
+    const App = require(${JSON.stringify(path.join(__dirname, 'app'))});
+    const app = new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' } });
+    app.get('/pid', (req, res) => res.send(String(process.pid)));
+    app.listen(Number(process.env.PORT));
+  `);
+  const port = await freePort();
+  const before = new Map(['SIGHUP', 'SIGUSR2', 'SIGTERM', 'SIGINT'].map(s => [s, process.listeners(s)]));
+  const logs = [];
+  const manager = new ClusterManager({
+    exec,
+    workers: 2,
+    minBackoff: 10,
+    heartbeatInterval: 0,
+    heartbeatTimeout: 2000,
+    shutdownTimeout: 1000,
+    env: { PORT: port },
+    log: (type, message) => logs.push(`${type} ${message}`)
+  });
+  t.after(() => {
+    for (const [signal, listeners] of before) {
+      for (const listener of process.listeners(signal)) {
+        if (!listeners.includes(listener)) process.removeListener(signal, listener);
+      }
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  manager.start();
+  await until(() => listening(manager).length === 2);
+  assert.match(await get(port, '/pid'), /^\d+$/);
+
+  const status = await manager.status();
+  assert.equal(status.workers.length, 2);
+  assert.ok(status.workers.every(w => w.healthy && w.state === 'listening'));
+  assert.ok(status.metrics.requests >= 1);
+  assert.equal(status.metrics.pid, undefined);
+
+  // Crash: a replacement is forked
+  const crashed = listening(manager)[0].worker;
+  crashed.process.kill('SIGKILL');
+  await until(() => listening(manager).length === 2 && !manager.workers.has(crashed.id));
+  assert.ok(logs.some(line => /died .*restarting/.test(line)));
+
+  // Rolling reload: every worker is replaced
+  const oldIds = [...manager.workers.keys()];
+  assert.equal(await manager.reload(), true);
+  assert.equal(manager.workers.size, 2);
+  assert.ok(oldIds.every(id => !manager.workers.has(id)));
+  assert.match(await get(port, '/pid'), /^\d+$/);
+
+  const workers = [...manager.workers.values()].map(s => s.worker);
+  await manager.shutdown();
+  assert.ok(workers.every(worker => worker.isDead()));
+});
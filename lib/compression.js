@@ -0,0 +1,263 @@
+/**
+ * VekoJS Compression
+ * gzip / brotli / deflate response compression with zlib (no dependencies)
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { typeMatches } = require('./body');
+
+const DEFAULTS = {
+  threshold: 1024,                       // bytes, smaller bodies are sent as is
+  encodings: ['br', 'gzip', 'deflate'],  // server preference order
+  level: zlib.constants.Z_DEFAULT_COMPRESSION,
+  brotliQuality: 4,                      // 11 is far too slow for dynamic responses
+  syncLimit: 64 * 1024,                  // larger bodies are compressed off the event loop
+  types: [
+    'text/*',
+    'application/json',
+    'application/javascript',
+    'application/xml',
+    'application/manifest+json',
+    'application/wasm',
+    'image/svg+xml',
+    'image/x-icon',
+    'font/ttf',
+    '+json',
+    '+xml'
+  ]
+};
+
+// Extensions of precompressed siblings (app.js.br, app.js.gz)
+const PRECOMPRESSED = { br: '.br', gzip: '.gz' };
+
+function resolveOptions(options) {
+  return { ...DEFAULTS, ...(options || {}) };
+}
+
+/**
+ * Pick the best encoding from an Accept-Encoding header
+ * Usage: negotiateEncoding('gzip;q=0.8, br') // 'br'
+ * Returns null when only identity is acceptable.
+ */
+function negotiateEncoding(header, available = DEFAULTS.encodings) {
+  if (!header) return null;
+
+  const accepted = new Map();
+  for (const part of String(header).split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+    accepted.set(name, q ? parseFloat(q[1]) : 1);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of available) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0);
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Add a field to the Vary header once
+ */
+function appendVary(res, field) {
+  const current = String(res.getHeader('Vary') || '');
+  if (current === '*') return;
+  const fields = current.split(',').map(f => f.trim()).filter(Boolean);
+  if (fields.some(f => f.toLowerCase() === field.toLowerCase())) return;
+  fields.push(field);
+  res.setHeader('Vary', fields.join(', '));
+}
+
+function isCompressible(contentType, options) {
+  const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return mime !== '' && typeMatches(mime, options.types);
+}
+
+/**
+ * Encoding to use for a response, or null. Sets Vary when the response
+ * could have been compressed.
+ */
+function chooseEncoding(req, res, size, options) {
+  if (req.method === 'HEAD') return null;
+  if (res.statusCode === 204 || res.statusCode === 304) return null;
+  // Byte ranges refer to the identity body
+  if (res.statusCode === 206 || res.getHeader('Content-Range')) return null;
+  if (res.getHeader('Content-Encoding')) return null;
+  if (!isCompressible(res.getHeader('Content-Type'), options)) return null;
+
+  appendVary(res, 'Accept-Encoding');
+  if (size < options.threshold) return null;
+  if (/\bno-transform\b/.test(String(res.getHeader('Cache-Control') || ''))) return null;
+
+  return negotiateEncoding(req.headers['accept-encoding'], options.encodings);
+}
+
+function zlibOptions(encoding, options) {
+  if (encoding === 'br') {
+    return { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality } };
+  }
+  return { level: options.level };
+}
+
+/**
+ * Compress a whole body synchronously
+ */
+function compressSync(encoding, body, options) {
+  if (encoding === 'br') return zlib.brotliCompressSync(body, zlibOptions(encoding, options));
+  if (encoding === 'gzip') return zlib.gzipSync(body, zlibOptions(encoding, options));
+  return zlib.deflateSync(body, zlibOptions(encoding, options));
+}
+
+/**
+ * Compress a whole body on the libuv threadpool
+ */
+function compressAsync(encoding, body, options, callback) {
+  if (encoding === 'br') return zlib.brotliCompress(body, zlibOptions(encoding, options), callback);
+  if (encoding === 'gzip') return zlib.gzip(body, zlibOptions(encoding, options), callback);
+  return zlib.deflate(body, zlibOptions(encoding, options), callback);
+}
+
+// Set while a body is compressed asynchronously (or a session saved):
+// res.end() has been called but nothing is sent yet
+const PENDING_END = Symbol('veko.pendingEnd');
+
+/**
+ * Flag res as ended before the real end() call, which happens once `pending`
+ * is set back to false
+ */
+function setPendingEnd(res, pending) {
+  res[PENDING_END] = pending;
+}
+
+/**
+ * res.writableEnded, counting a body still being compressed as ended, so
+ * handlers, the router and error handling behave as after a synchronous end()
+ */
+function responseEnded(res) {
+  return res.writableEnded || res[PENDING_END] === true;
+}
+
+/**
+ * res.headersSent, counting a body still being compressed as sent: status
+ * and headers must not change any more
+ */
+function headersCommitted(res) {
+  return res.headersSent || res[PENDING_END] === true;
+}
+
+/**
+ * Create a compression stream for an encoding
+ */
+function createCompressStream(encoding, options) {
+  const opts = resolveOptions(options);
+  if (encoding === 'br') return zlib.createBrotliCompress(zlibOptions(encoding, opts));
+  if (encoding === 'gzip') return zlib.createGzip(zlibOptions(encoding, opts));
+  return zlib.createDeflate(zlibOptions(encoding, opts));
+}
+
+/**
+ * Compress bodies sent in one res.end() call (res.html, res.json,
+ * res.send...). Responses written with res.write() are left alone; static
+ * files are stream-compressed by serveFile. Bodies over `syncLimit` are
+ * compressed asynchronously.
+ */
+function attachCompression(req, res, options) {
+  const opts = resolveOptions(options);
+  const write = res.write;
+  const end = res.end;
+  let streaming = false;
+  let ending = false;
+
+  res.write = function (...args) {
+    streaming = true;
+    return write.apply(this, args);
+  };
+
+  res.end = function (chunk, encoding, callback) {
+    if (typeof chunk === 'function') {
+      callback = chunk;
+      chunk = undefined;
+    } else if (typeof encoding === 'function') {
+      callback = encoding;
+      encoding = undefined;
+    }
+
+    if (ending) return this;
+    if (streaming || chunk === undefined || chunk === null || headersCommitted(this)) {
+      return end.call(this, chunk, encoding, callback);
+    }
+
+    const body = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    const coding = chooseEncoding(req, this, body.length, opts);
+    if (!coding) {
+      return end.call(this, body, callback);
+    }
+
+    this.setHeader('Content-Encoding', coding);
+    if (body.length <= opts.syncLimit) {
+      const compressed = compressSync(coding, body, opts);
+      this.setHeader('Content-Length', compressed.length);
+      return end.call(this, compressed, callback);
+    }
+
+    ending = true;
+    setPendingEnd(this, true);
+    compressAsync(coding, body, opts, (err, compressed) => {
+      if (this.destroyed) return;
+      if (err) {
+        this.destroy(err);
+        return;
+      }
+      this.setHeader('Content-Length', compressed.length);
+      setPendingEnd(this, false);
+      end.call(this, compressed, callback);
+    });
+    return this;
+  };
+}
+
+/**
+ * Precompressed sibling of a static file (file.br / file.gz) matching the
+ * client's Accept-Encoding and the `encodings` option, or null
+ */
+async function findPrecompressed(req, filePath, options) {
+  const available = resolveOptions(options).encodings.filter(encoding => PRECOMPRESSED[encoding]);
+  const header = req.headers['accept-encoding'];
+
+  // Try encodings in order of preference, dropping those that are missing
+  while (available.length > 0) {
+    const encoding = negotiateEncoding(header, available);
+    if (!encoding) return null;
+    const candidate = filePath + PRECOMPRESSED[encoding];
+    try {
+      const stat = await fs.promises.stat(candidate);
+      if (stat.isFile()) return { encoding, path: candidate, stat };
+    } catch (e) {
+      // not there
+    }
+    available.splice(available.indexOf(encoding), 1);
+  }
+  return null;
+}
+
+module.exports = {
+  attachCompression,
+  negotiateEncoding,
+  chooseEncoding,
+  createCompressStream,
+  findPrecompressed,
+  isCompressible,
+  appendVary,
+  responseEnded,
+  headersCommitted,
+  setPendingEnd,
+  resolveCompression: resolveOptions,
+  COMPRESSION_DEFAULTS: DEFAULTS
+};
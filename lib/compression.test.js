@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const App = require('./app');
+const {
+  negotiateEncoding,
+  appendVary,
+  isCompressible,
+  responseEnded,
+  headersCommitted,
+  COMPRESSION_DEFAULTS
+} = require('./compression');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// Raw (still compressed) response body
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const DECODE = { br: zlib.brotliDecompressSync, gzip: zlib.gunzipSync, deflate: zlib.inflateSync };
+
+test('negotiateEncoding follows q-values, server preference and *', () => {
+  assert.equal(negotiateEncoding('gzip, br'), 'br');
+  assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0, *'), 'gzip');
+  assert.equal(negotiateEncoding('identity'), null);
+  assert.equal(negotiateEncoding(undefined), null);
+  assert.equal(negotiateEncoding('br, gzip', ['gzip']), 'gzip');
+});
+
+test('appendVary adds a field once and keeps *', () => {
+  const headers = {};
+  const res = { getHeader: name => headers[name], setHeader: (name, value) => { headers[name] = value; } };
+  appendVary(res, 'Origin');
+  appendVary(res, 'accept-encoding');
+  appendVary(res, 'Accept-Encoding');
+  assert.equal(headers.Vary, 'Origin, accept-encoding');
+  headers.Vary = '*';
+  appendVary(res, 'Origin');
+  assert.equal(headers.Vary, '*');
+});
+
+test('isCompressible checks the type allowlist', () => {
+  assert.equal(isCompressible('text/html; charset=utf-8', COMPRESSION_DEFAULTS), true);
+  assert.equal(isCompressible('application/ld+json', COMPRESSION_DEFAULTS), true);
+  assert.equal(isCompressible('image/png', COMPRESSION_DEFAULTS), false);
+  assert.equal(isCompressible(undefined, COMPRESSION_DEFAULTS), false);
+});
+
+test('bodies over the threshold are compressed with the negotiated encoding', async () => {
+  const app = createApp();
+  const data = { items: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `item ${i}` })) };
+  app.get('/data', (req, res) => res.json(data));
+  app.get('/small', (req, res) => res.json({ ok: true }));
+
+  for (const encoding of ['br', 'gzip', 'deflate']) {
+    const res = await request(app, '/data', { 'accept-encoding': encoding });
+    assert.equal(res.headers['content-encoding'], encoding);
+    assert.equal(Number(res.headers['content-length']), res.body.length);
+    assert.deepEqual(JSON.parse(DECODE[encoding](res.body)), data);
+  }
+
+  const small = await request(app, '/small', { 'accept-encoding': 'gzip' });
+  assert.equal(small.headers['content-encoding'], undefined);
+  assert.equal(small.headers.vary, 'Accept-Encoding');
+
+  const identity = await request(app, '/data');
+  assert.equal(identity.headers['content-encoding'], undefined);
+});
+
+test('large bodies are compressed asynchronously and still end the response', async () => {
+  const app = createApp();
+  const html = `<p>${'lorem ipsum '.repeat(20000)}</p>`;
+  const seen = [];
+  app.get('/big', (req, res) => {
+    res.html(html);
+    seen.push(responseEnded(res), headersCommitted(res), Object.hasOwn(res, 'writableEnded'), res.headersSent);
+    throw new Error('after the response');
+  }, () => seen.push('next handler'));
+
+  const res = await request(app, '/big', { 'accept-encoding': 'gzip' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['content-encoding'], 'gzip');
+  assert.equal(zlib.gunzipSync(res.body).toString(), html);
+  // Node's own stream state is left alone
+  assert.deepEqual(seen, [true, true, false, false]);
+});
+
+test('the access log and metrics see the status of an asynchronously compressed body', async () => {
+  const lines = [];
+  const app = createApp({
+    accessLog: { format: ':status', stream: { write: text => lines.push(text.trim()) } },
+    metrics: { process: false }
+  });
+  app.get('/big', (req, res) => res.status(201).html(`<p>${'lorem ipsum '.repeat(20000)}</p>`));
+
+  assert.equal((await request(app, '/big', { 'accept-encoding': 'br' })).status, 201);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(lines, ['201']);
+  assert.equal(app.metrics.get('http_requests_total').get({ method: 'GET', route: '/big', status: 201 }), 1);
+});
+
+test('partial responses are not compressed', async () => {
+  const app = createApp();
+  const text = 'x'.repeat(4096);
+  app.get('/partial', (req, res) => {
+    res.status(206).setHeader('Content-Range', `bytes 0-4095/8192`);
+    res.type('txt').end(text);
+  });
+
+  const res = await request(app, '/partial', { 'accept-encoding': 'gzip' });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers['content-encoding'], undefined);
+  assert.equal(res.body.toString(), text);
+});
+
+test('precompressed siblings follow compression.encodings; ranges stay identity', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-compression-'));
+  const script = `console.log(${JSON.stringify('x'.repeat(4096))});`;
+  fs.writeFileSync(path.join(dir, 'app.js'), script);
+  fs.writeFileSync(path.join(dir, 'app.js.br'), zlib.brotliCompressSync(script));
+  fs.writeFileSync(path.join(dir, 'app.js.gz'), zlib.gzipSync(script));
+
+  try {
+    const app = createApp({ staticDir: dir });
+    const br = await request(app, '/app.js', { 'accept-encoding': 'br, gzip' });
+    assert.equal(br.headers['content-encoding'], 'br');
+    assert.equal(zlib.brotliDecompressSync(br.body).toString(), script);
+
+    const gzipOnly = createApp({ staticDir: dir, compression: { encodings: ['gzip'] } });
+    const gz = await request(gzipOnly, '/app.js', { 'accept-encoding': 'br, gzip' });
+    assert.equal(gz.headers['content-encoding'], 'gzip');
+    assert.equal(zlib.gunzipSync(gz.body).toString(), script);
+
+    const range = await request(app, '/app.js', { 'accept-encoding': 'br, gzip', range: 'bytes=0-9' });
+    assert.equal(range.status, 206);
+    assert.equal(range.headers['content-encoding'], undefined);
+    assert.equal(range.body.toString(), script.slice(0, 10));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
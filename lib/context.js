@@ -0,0 +1,68 @@
+/**
+ * VekoJS Request Context
+ * Request IDs and the per-request async context behind app.context()
+ * (no dependencies)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULTS = {
+  header: 'X-Request-Id',     // read from the request, echoed on the response
+  trustIncoming: true,        // false: always generate (ignore the client's value)
+  generate: () => crypto.randomUUID()
+};
+
+// Incoming IDs end up in logs and headers: short, printable, no spaces
+const ID_RE = /^[\w.:@/+=-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function compileRequestId(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  return { ...opts, key: opts.header.toLowerCase() };
+}
+
+/**
+ * Set req.id from the incoming header when it is well-formed, a new ID
+ * otherwise, and echo it back
+ */
+function assignRequestId(req, res, compiled) {
+  const incoming = compiled.trustIncoming ? req.headers[compiled.key] : undefined;
+  req.id = typeof incoming === 'string' && ID_RE.test(incoming) ? incoming : String(compiled.generate(req));
+  res.setHeader(compiled.header, req.id);
+  return req.id;
+}
+
+/**
+ * Run fn with { req, res } as the current request
+ */
+function runWithRequest(req, res, fn) {
+  return storage.run({ req, res }, fn);
+}
+
+/**
+ * Current request context, null outside a request. `user` and `locals`
+ * are read when called, so values set by later middleware are seen.
+ * Usage: const { id, req, user, locals } = currentContext()
+ */
+function currentContext() {
+  const store = storage.getStore();
+  if (!store) return null;
+  const { req, res } = store;
+  return { id: req.id, req, res, user: req.user || null, locals: res.locals, log: req.log };
+}
+
+function currentRequest() {
+  const store = storage.getStore();
+  return store ? store.req : null;
+}
+
+module.exports = {
+  compileRequestId,
+  assignRequestId,
+  runWithRequest,
+  currentContext,
+  currentRequest,
+  REQUEST_ID_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { compileRequestId, assignRequestId, currentContext, currentRequest, runWithRequest } = require('./context');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers: { accept: 'application/json', ...headers }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+test('assignRequestId keeps well-formed incoming IDs only', () => {
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  const compiled = compileRequestId();
+
+  assert.equal(assignRequestId({ headers: { 'x-request-id': 'lb-1234:abc' } }, res, compiled), 'lb-1234:abc');
+  assert.equal(headers['X-Request-Id'], 'lb-1234:abc');
+  assert.match(assignRequestId({ headers: { 'x-request-id': 'a b\r\nX-Injected: 1' } }, res, compiled), UUID_RE);
+  assert.match(assignRequestId({ headers: { 'x-request-id': 'x'.repeat(129) } }, res, compiled), UUID_RE);
+
+  const own = compileRequestId({ header: 'X-Trace-Id', trustIncoming: false, generate: () => 42 });
+  assert.equal(assignRequestId({ headers: { 'x-trace-id': 'client' } }, res, own), '42');
+  assert.equal(headers['X-Trace-Id'], '42');
+});
+
+test('context is null outside a request and follows async work inside one', async () => {
+  assert.equal(currentContext(), null);
+  assert.equal(currentRequest(), null);
+
+  const req = { id: 'r1', user: null };
+  const res = { locals: {} };
+  const ctx = await runWithRequest(req, res, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    req.user = { id: 7 };
+    res.locals.tenant = 'acme';
+    return currentContext();
+  });
+  assert.equal(ctx.id, 'r1');
+  assert.equal(ctx.req, req);
+  assert.deepEqual(ctx.user, { id: 7 });
+  assert.deepEqual(ctx.locals, { tenant: 'acme' });
+  assert.equal(currentContext(), null);
+});
+
+test('app.context() sees the current request, even in concurrent requests', async () => {
+  const app = createApp();
+  // A service that never receives req
+  const whoAmI = async () => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const ctx = app.context();
+    return { id: ctx.id, path: ctx.req.pathname };
+  };
+  app.get('/a', async (req, res) => res.json({ id: req.id, seen: await whoAmI() }));
+  app.get('/b', async (req, res) => res.json({ id: req.id, seen: await whoAmI() }));
+
+  const [a, b] = await Promise.all([
+    request(app, '/a', { 'x-request-id': 'req-a' }),
+    request(app, '/b')
+  ]);
+  assert.deepEqual(a.json, { id: 'req-a', seen: { id: 'req-a', path: '/a' } });
+  assert.equal(a.headers['x-request-id'], 'req-a');
+  assert.match(b.json.id, UUID_RE);
+  assert.deepEqual(b.json.seen, { id: b.json.id, path: '/b' });
+  assert.equal(app.context(), null);
+});
+
+test('5xx JSON errors and req.log lines carry the request ID', async () => {
+  const records = [];
+  const app = createApp({
+    logger: { level: 'info', console: false, transports: [{ write: record => records.push(record) }] },
+    requestId: { header: 'X-Correlation-Id' }
+  });
+  app.get('/fail', () => { throw new Error('boom'); });
+  app.get('/missing', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+  const failed = await request(app, '/fail', { 'x-correlation-id': 'corr-1' });
+  assert.equal(failed.status, 500);
+  assert.equal(failed.json.requestId, 'corr-1');
+  assert.equal(failed.headers['x-correlation-id'], 'corr-1');
+  const logged = records.find(record => record.err);
+  assert.equal(logged.requestId, 'corr-1');
+  assert.equal(logged.err.message, 'boom');
+
+  assert.equal((await request(app, '/missing')).json.requestId, undefined);
+});
@@ -0,0 +1,199 @@
+/**
+ * VekoJS Cookies
+ * Parsing, serialization, signing (HMAC) and encryption (AES-GCM) of
+ * cookies (no dependencies)
+ */
+
+const crypto = require('crypto');
+
+// RFC 6265 cookie-name (token)
+const NAME_RE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// Attribute values must not end the attribute or the header
+const ATTRIBUTE_RE = /^[^\x00-\x1f\x7f;]*$/;
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+const SIGNED_PREFIX = 's:';
+const ENCRYPTED_PREFIX = 'e:';
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Parse a Cookie header: values are URL-decoded, the first occurrence of
+ * a name wins (the most specific path is sent first)
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of String(header).split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+    let value = part.slice(index + 1).trim();
+    if (value.length >= 2 && value[0] === '"' && value[value.length - 1] === '"') value = value.slice(1, -1);
+    cookies[name] = decode(value);
+  }
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie value
+ * Usage: serializeCookie('theme', 'dark', { maxAge: 86400, sameSite: 'Lax' })
+ * maxAge is in seconds, expires a Date or a timestamp in ms.
+ */
+function serializeCookie(name, value, options = {}) {
+  if (!NAME_RE.test(name)) throw new TypeError(`Invalid cookie name "${name}"`);
+
+  let cookie = `${name}=${encodeURIComponent(value === undefined || value === null ? '' : String(value))}`;
+
+  if (options.maxAge !== undefined && options.maxAge !== null) {
+    const maxAge = Math.floor(Number(options.maxAge));
+    if (!Number.isFinite(maxAge)) throw new TypeError('Invalid cookie maxAge');
+    cookie += `; Max-Age=${maxAge}`;
+  }
+  if (options.expires !== undefined && options.expires !== null) {
+    const expires = options.expires instanceof Date ? options.expires : new Date(options.expires);
+    if (Number.isNaN(expires.getTime())) throw new TypeError('Invalid cookie expires');
+    cookie += `; Expires=${expires.toUTCString()}`;
+  }
+  for (const [attribute, key] of [['Domain', 'domain'], ['Path', 'path']]) {
+    if (!options[key]) continue;
+    if (!ATTRIBUTE_RE.test(options[key])) throw new TypeError(`Invalid cookie ${key}`);
+    cookie += `; ${attribute}=${options[key]}`;
+  }
+  if (options.httpOnly) cookie += '; HttpOnly';
+  if (options.secure) cookie += '; Secure';
+  if (options.partitioned) cookie += '; Partitioned';
+  if (options.sameSite) {
+    const sameSite = options.sameSite === true ? 'Strict' : SAME_SITE[String(options.sameSite).toLowerCase()];
+    if (!sameSite) throw new TypeError(`Invalid cookie sameSite "${options.sameSite}"`);
+    cookie += `; SameSite=${sameSite}`;
+  }
+  return cookie;
+}
+
+/**
+ * Add a Set-Cookie header without dropping the ones already set
+ */
+function appendSetCookie(res, cookie) {
+  const current = res.getHeader('Set-Cookie');
+  const list = current === undefined ? [] : [].concat(current);
+  list.push(cookie);
+  res.setHeader('Set-Cookie', list);
+}
+
+/**
+ * Serialize and append a cookie (shared by res.setCookie and VekoPHP)
+ */
+function setCookie(res, name, value, options = {}) {
+  appendSetCookie(res, serializeCookie(name, value, options));
+}
+
+function secretList(secrets) {
+  const list = [].concat(secrets || []).filter(Boolean);
+  if (list.length === 0) throw new Error('A cookie secret is required to sign or encrypt cookies');
+  return list;
+}
+
+function hmac(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Sign a value with the first secret: "s:<value>.<hmac>"
+ */
+function signValue(value, secrets) {
+  const [secret] = secretList(secrets);
+  return `${SIGNED_PREFIX}${value}.${hmac(value, secret)}`;
+}
+
+/**
+ * Verify a signed value against every secret (rotation: new secret first,
+ * old ones still accepted). Returns the value or false.
+ */
+function unsignValue(signed, secrets) {
+  if (typeof signed !== 'string' || !signed.startsWith(SIGNED_PREFIX)) return false;
+  const body = signed.slice(SIGNED_PREFIX.length);
+  const dot = body.lastIndexOf('.');
+  if (dot === -1) return false;
+  const value = body.slice(0, dot);
+  const mac = Buffer.from(body.slice(dot + 1));
+  for (const secret of secretList(secrets)) {
+    const expected = Buffer.from(hmac(value, secret));
+    if (expected.length === mac.length && crypto.timingSafeEqual(expected, mac)) return value;
+  }
+  return false;
+}
+
+function encryptionKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'veko-cookie-encryption', 32));
+}
+
+/**
+ * Encrypt a value with AES-256-GCM under the first secret: "e:<base64url>"
+ */
+function encryptValue(value, secrets) {
+  const [secret] = secretList(secrets);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(secret), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+}
+
+/**
+ * Decrypt a value with any of the secrets. Returns the value or false.
+ */
+function decryptValue(encrypted, secrets) {
+  if (typeof encrypted !== 'string' || !encrypted.startsWith(ENCRYPTED_PREFIX)) return false;
+  const raw = Buffer.from(encrypted.slice(ENCRYPTED_PREFIX.length), 'base64url');
+  if (raw.length < 28) return false;
+  for (const secret of secretList(secrets)) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(secret), raw.subarray(0, 12));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    } catch (e) {
+      // wrong secret or tampered value
+    }
+  }
+  return false;
+}
+
+/**
+ * Move signed / encrypted cookies out of `cookies` into a separate object.
+ * Cookies that fail verification are set to false.
+ */
+function readSignedCookies(cookies, secrets) {
+  const signed = {};
+  if (!secrets || [].concat(secrets).filter(Boolean).length === 0) return signed;
+  for (const [name, value] of Object.entries(cookies)) {
+    if (value.startsWith(SIGNED_PREFIX)) {
+      signed[name] = unsignValue(value, secrets);
+    } else if (value.startsWith(ENCRYPTED_PREFIX)) {
+      signed[name] = decryptValue(value, secrets);
+    } else {
+      continue;
+    }
+    delete cookies[name];
+  }
+  return signed;
+}
+
+module.exports = {
+  parseCookies,
+  serializeCookie,
+  appendSetCookie,
+  setCookie,
+  signValue,
+  unsignValue,
+  encryptValue,
+  decryptValue,
+  readSignedCookies
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const {
+  parseCookies,
+  serializeCookie,
+  signValue,
+  unsignValue,
+  encryptValue,
+  decryptValue,
+  readSignedCookies
+} = require('./cookies');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers: { accept: 'application/json', ...headers }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+test('parseCookies decodes values, unquotes and keeps the first occurrence', () => {
+  assert.deepEqual(parseCookies('a=1; name=Jos%C3%A9; quoted="x y"; a=2; bad=%E0%A4%A; flag'), {
+    a: '1',
+    name: 'José',
+    quoted: 'x y',
+    bad: '%E0%A4%A'
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('serializeCookie encodes the value and writes every attribute', () => {
+  const cookie = serializeCookie('theme', 'dark mode', {
+    maxAge: 3600.7,
+    expires: new Date('2030-01-01T00:00:00Z'),
+    domain: 'example.com',
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    partitioned: true,
+    sameSite: 'none'
+  });
+  assert.equal(cookie, 'theme=dark%20mode; Max-Age=3600; Expires=Tue, 01 Jan 2030 00:00:00 GMT; Domain=example.com; Path=/; HttpOnly; Secure; Partitioned; SameSite=None');
+});
+
+test('serializeCookie rejects names and attributes that would break the header', () => {
+  assert.throws(() => serializeCookie('a b', 'x'), /Invalid cookie name/);
+  assert.throws(() => serializeCookie('a', 'x', { path: '/; Domain=evil.test' }), /Invalid cookie path/);
+  assert.throws(() => serializeCookie('a', 'x', { sameSite: 'sometimes' }), /Invalid cookie sameSite/);
+  assert.throws(() => serializeCookie('a', 'x', { maxAge: 'soon' }), /Invalid cookie maxAge/);
+});
+
+test('signed values verify with any secret and fail when tampered', () => {
+  const signed = signValue('42', ['new', 'old']);
+  assert.equal(unsignValue(signed, ['new']), '42');
+  assert.equal(unsignValue(signValue('42', 'old'), ['new', 'old']), '42');
+  assert.equal(unsignValue(signed.replace('42', '43'), ['new']), false);
+  assert.equal(unsignValue('42', ['new']), false);
+  assert.throws(() => signValue('42', []), /A cookie secret is required/);
+});
+
+test('encrypted values round-trip and reject other secrets', () => {
+  const encrypted = encryptValue('{"cart":[1,2]}', 'secret');
+  assert.notEqual(encryptValue('{"cart":[1,2]}', 'secret'), encrypted);
+  assert.equal(decryptValue(encrypted, ['other', 'secret']), '{"cart":[1,2]}');
+  assert.equal(decryptValue(encrypted, 'other'), false);
+  assert.equal(decryptValue('e:short', 'secret'), false);
+});
+
+test('readSignedCookies moves signed and encrypted cookies, false when invalid', () => {
+  const cookies = { plain: 'x', uid: signValue('7', 's'), forged: 's:8.AAAA', box: encryptValue('hi', 's') };
+  assert.deepEqual(readSignedCookies(cookies, ['s']), { uid: '7', forged: false, box: 'hi' });
+  assert.deepEqual(cookies, { plain: 'x' });
+});
+
+test('res.setCookie accumulates, signs and applies defaults; res.clearCookie expires', async () => {
+  const app = createApp({ isDev: false, cookies: { secret: 's3cret' } });
+  app.get('/set', (req, res) => {
+    res.setCookie('a', '1').setCookie('uid', '7', { signed: true }).clearCookie('old');
+    res.json({ ok: true });
+  });
+  app.get('/read', (req, res) => res.json({ cookies: req.cookies, signed: req.signedCookies }));
+
+  const set = await request(app, '/set');
+  const cookies = set.headers['set-cookie'];
+  assert.equal(cookies.length, 3);
+  assert.equal(cookies[0], 'a=1; Path=/; HttpOnly; SameSite=Lax');
+  assert.match(cookies[1], /^uid=s%3A7\./);
+  assert.match(cookies[2], /^old=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT/);
+
+  const uid = cookies[1].split(';')[0];
+  const read = await request(app, '/read', { cookie: `${uid}; a=1` });
+  assert.deepEqual(read.json, { cookies: { a: '1' }, signed: { uid: '7' } });
+});
+
+test('secure: auto follows the request protocol', async () => {
+  const app = createApp({ isDev: false, trustProxy: 'loopback' });
+  app.get('/set', (req, res) => res.setCookie('a', '1').json({ ok: true }));
+  assert.doesNotMatch((await request(app, '/set')).headers['set-cookie'][0], /Secure/);
+  assert.match((await request(app, '/set', { 'x-forwarded-for': '1.1.1.1', 'x-forwarded-proto': 'https' })).headers['set-cookie'][0], /; Secure/);
+});
@@ -0,0 +1,118 @@
+/**
+ * VekoJS CORS
+ * Cross-origin resource sharing with preflight handling and per-route
+ * overrides (no dependencies)
+ */
+
+const { appendVary } = require('./compression');
+
+const DEFAULTS = {
+  origin: '*',                // '*', true (reflect), false, string, RegExp, array, or (origin, req) => bool|string
+  methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'],
+  allowedHeaders: null,       // null: reflect Access-Control-Request-Headers
+  exposedHeaders: [],
+  credentials: false,
+  maxAge: null,               // seconds preflights may be cached
+  preflightContinue: false,   // pass preflights on to the routes instead of answering 204
+  optionsSuccessStatus: 204
+};
+
+function list(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function matchOrigin(origin, allowed) {
+  if (Array.isArray(allowed)) return allowed.some(a => matchOrigin(origin, a));
+  if (allowed instanceof RegExp) return allowed.test(origin);
+  return origin === allowed;
+}
+
+/**
+ * Value for Access-Control-Allow-Origin, or null when not allowed.
+ * Sets Vary: Origin whenever the answer depends on the request. '*' is
+ * always sent as is: it never turns into the request origin.
+ */
+async function resolveOrigin(req, res, opts) {
+  const origin = req.headers.origin;
+  const setting = opts.origin;
+
+  if (setting === '*') return '*';
+  appendVary(res, 'Origin');
+  if (!origin || setting === false) return null;
+
+  if (setting === true) return origin;
+  if (typeof setting === 'string') return setting;
+  if (typeof setting === 'function') {
+    const result = await setting(origin, req);
+    if (typeof result === 'string') return result;
+    return result ? origin : null;
+  }
+  return matchOrigin(origin, setting) ? origin : null;
+}
+
+/**
+ * Route options may override the middleware's: { cors: { origin: ... } }
+ * or { cors: false }. Preflights look up the route of the requested method.
+ */
+function routeOverride(req, preflight) {
+  if (!req.app) return undefined;
+  const method = preflight ? String(req.headers['access-control-request-method']).toUpperCase() : req.method;
+  const pathname = (req.originalUrl || req.url).split('?')[0];
+  const route = req.app.router.resolve(method, pathname);
+  return route ? route.options.cors : undefined;
+}
+
+/**
+ * CORS middleware
+ * Usage: app.use(cors({ origin: ['https://app.example.com', /\.example\.com$/], credentials: true }))
+ */
+function cors(options = {}) {
+  const base = { ...DEFAULTS, ...options };
+  if (base.credentials && base.origin === '*') {
+    throw new Error('cors: credentials need an explicit origin (list, RegExp, function or true), not "*"');
+  }
+
+  return async (req, res, next) => {
+    const preflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'] !== undefined;
+    const override = routeOverride(req, preflight);
+    if (override === false) return next();
+    const opts = override ? { ...base, ...override } : base;
+
+    const allowOrigin = await resolveOrigin(req, res, opts);
+    if (allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+      // Browsers refuse credentials with "*" (a route may set origin: '*')
+      if (opts.credentials && allowOrigin !== '*') res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (!preflight) {
+      if (allowOrigin && opts.exposedHeaders && opts.exposedHeaders.length > 0) {
+        res.setHeader('Access-Control-Expose-Headers', list(opts.exposedHeaders));
+      }
+      return next();
+    }
+
+    if (allowOrigin) {
+      res.setHeader('Access-Control-Allow-Methods', list(opts.methods));
+      if (opts.allowedHeaders) {
+        res.setHeader('Access-Control-Allow-Headers', list(opts.allowedHeaders));
+      } else if (req.headers['access-control-request-headers']) {
+        appendVary(res, 'Access-Control-Request-Headers');
+        res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers']);
+      }
+      if (opts.maxAge !== null && opts.maxAge !== undefined) {
+        res.setHeader('Access-Control-Max-Age', String(opts.maxAge));
+      }
+    }
+
+    if (opts.preflightContinue) return next();
+    res.statusCode = opts.optionsSuccessStatus;
+    res.setHeader('Content-Length', '0');
+    res.end();
+  };
+}
+
+module.exports = {
+  cors,
+  CORS_DEFAULTS: DEFAULTS
+};
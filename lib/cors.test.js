@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { cors } = require('./cors');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const ORIGIN = 'https://app.example.com';
+
+function corsApp(options) {
+  const app = createApp();
+  app.use(cors(options));
+  app.get('/data', (req, res) => res.json({ ok: true }));
+  app.post('/data', (req, res) => res.json({ ok: true }));
+  app.get('/public', { cors: { origin: '*' } }, (req, res) => res.json({ ok: true }));
+  app.get('/internal', { cors: false }, (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+test('origin "*" is sent literally, without Vary', async () => {
+  const res = await request(corsApp(), 'GET', '/data', { origin: ORIGIN });
+  assert.equal(res.headers['access-control-allow-origin'], '*');
+  assert.equal(res.headers['access-control-allow-credentials'], undefined);
+  assert.doesNotMatch(String(res.headers.vary), /Origin/);
+});
+
+test('credentials with origin "*" are refused at setup', () => {
+  assert.throws(() => cors({ credentials: true }), /credentials need an explicit origin/);
+  assert.throws(() => cors({ origin: '*', credentials: true }), /credentials need an explicit origin/);
+});
+
+test('a route with origin "*" never reflects the origin under app credentials', async () => {
+  const app = corsApp({ origin: [ORIGIN], credentials: true });
+  const res = await request(app, 'GET', '/public', { origin: 'https://evil.test' });
+  assert.equal(res.headers['access-control-allow-origin'], '*');
+  assert.equal(res.headers['access-control-allow-credentials'], undefined);
+
+  const preflight = await request(app, 'OPTIONS', '/public', { origin: 'https://evil.test', 'access-control-request-method': 'GET' });
+  assert.equal(preflight.headers['access-control-allow-origin'], '*');
+  assert.equal(preflight.headers['access-control-allow-credentials'], undefined);
+});
+
+test('lists, RegExps and functions allow some origins and reject the others', async () => {
+  const app = corsApp({ origin: [ORIGIN, /\.example\.org$/], credentials: true, exposedHeaders: ['X-Total-Count'] });
+  const allowed = await request(app, 'GET', '/data', { origin: 'https://shop.example.org' });
+  assert.equal(allowed.headers['access-control-allow-origin'], 'https://shop.example.org');
+  assert.equal(allowed.headers['access-control-allow-credentials'], 'true');
+  assert.equal(allowed.headers['access-control-expose-headers'], 'X-Total-Count');
+  assert.match(allowed.headers.vary, /Origin/);
+
+  const rejected = await request(app, 'GET', '/data', { origin: 'https://evil.test' });
+  assert.equal(rejected.headers['access-control-allow-origin'], undefined);
+  assert.equal(rejected.headers['access-control-allow-credentials'], undefined);
+  assert.match(rejected.headers.vary, /Origin/);
+
+  const fn = corsApp({ origin: async origin => origin.endsWith('.example.com') });
+  assert.equal((await request(fn, 'GET', '/data', { origin: ORIGIN })).headers['access-control-allow-origin'], ORIGIN);
+  assert.equal((await request(fn, 'GET', '/data', { origin: 'https://evil.test' })).headers['access-control-allow-origin'], undefined);
+
+  const reflect = corsApp({ origin: true, credentials: true });
+  assert.equal((await request(reflect, 'GET', '/data', { origin: ORIGIN })).headers['access-control-allow-origin'], ORIGIN);
+});
+
+test('preflights answer 204 with methods, headers and max age', async () => {
+  const app = corsApp({ origin: [ORIGIN], maxAge: 600 });
+  const res = await request(app, 'OPTIONS', '/data', {
+    origin: ORIGIN,
+    'access-control-request-method': 'POST',
+    'access-control-request-headers': 'content-type, x-api-key'
+  });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers['access-control-allow-methods'], 'GET, HEAD, PUT, PATCH, POST, DELETE');
+  assert.equal(res.headers['access-control-allow-headers'], 'content-type, x-api-key');
+  assert.equal(res.headers['access-control-max-age'], '600');
+  assert.match(res.headers.vary, /Access-Control-Request-Headers/);
+});
+
+test('routes can turn CORS off', async () => {
+  const res = await request(corsApp(), 'GET', '/internal', { origin: ORIGIN });
+  assert.equal(res.headers['access-control-allow-origin'], undefined);
+});
@@ -0,0 +1,142 @@
+/**
+ * VekoJS CSRF Protection
+ * Per-user secret kept in the session (synchronizer token) or in a cookie
+ * (double submit), salted tokens and Origin/Referer checks (no dependencies)
+ */
+
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { parseCookies, setCookie } = require('./cookies');
+const { headersCommitted } = require('./compression');
+
+const DEFAULTS = {
+  storage: 'auto',                          // 'session', 'cookie' or 'auto' (session when installed)
+  cookie: { name: 'veko.csrf', path: '/', httpOnly: true, sameSite: 'Lax', secure: 'auto' },
+  field: '_csrf',                           // form field
+  headers: ['x-csrf-token', 'x-xsrf-token'],
+  ignoreMethods: ['GET', 'HEAD', 'OPTIONS', 'TRACE'],
+  checkOrigin: true,                        // reject cross-origin Origin/Referer
+  trustedOrigins: [],                       // other accepted origins ('https://admin.example.com')
+  skip: null                                // (req) => true to bypass (webhooks...)
+};
+
+const SESSION_KEY = '_csrfSecret';
+
+function hashToken(secret, salt) {
+  return crypto.createHmac('sha256', secret).update(salt).digest('base64url');
+}
+
+/**
+ * Token for a secret: a fresh salt each time so the page content changes
+ * on every response (BREACH)
+ */
+function createToken(secret) {
+  const salt = crypto.randomBytes(8).toString('base64url');
+  return `${salt}.${hashToken(secret, salt)}`;
+}
+
+function verifyToken(secret, token) {
+  if (!secret || typeof token !== 'string') return false;
+  const dot = token.indexOf('.');
+  if (dot === -1) return false;
+  const expected = Buffer.from(hashToken(secret, token.slice(0, dot)));
+  const actual = Buffer.from(token.slice(dot + 1));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Ports browsers leave out of Origin
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
+/**
+ * Origin the request was sent to ("https://example.com:8443"), from
+ * req.protocol and req.host: behind a trusted proxy, the public ones
+ */
+function requestOrigin(req) {
+  const protocol = req.protocol || 'http';
+  const host = req.host || req.headers.host || req.headers[':authority'];
+  if (!host) return null;
+  const defaultPort = new RegExp(`:${DEFAULT_PORTS[protocol]}$`);
+  return `${protocol}://${String(host).replace(defaultPort, '')}`.toLowerCase();
+}
+
+/**
+ * false when Origin (or Referer, when Origin is missing) names another site
+ */
+function sameOrigin(req, trusted) {
+  let source = req.headers.origin;
+  if (!source) {
+    const referer = req.headers.referer;
+    if (!referer) return true;
+    try {
+      source = new URL(referer).origin;
+    } catch (e) {
+      return false;
+    }
+  }
+  source = source.toLowerCase();
+  return source === requestOrigin(req) || trusted.includes(source);
+}
+
+/**
+ * CSRF middleware: adds req.csrfToken() and rejects unsafe requests
+ * without a valid token with a 403
+ *
+ * Usage: app.use(session({ secret })); app.use(csrf());
+ */
+function csrf(options = {}) {
+  const opts = { ...DEFAULTS, ...options, cookie: { ...DEFAULTS.cookie, ...options.cookie } };
+  const { name: cookieName, ...cookieOptions } = opts.cookie;
+  const ignored = new Set(opts.ignoreMethods.map(m => m.toUpperCase()));
+  const trusted = opts.trustedOrigins.map(o => o.toLowerCase().replace(/\/$/, ''));
+
+  return (req, res, next) => {
+    const useSession = opts.storage === 'session' || (opts.storage === 'auto' && req.session);
+    if (useSession && !req.session) {
+      return next(new Error('csrf({ storage: "session" }) requires the session middleware before it'));
+    }
+
+    const readSecret = () => useSession
+      ? req.session[SESSION_KEY]
+      : parseCookies(req.headers.cookie)[cookieName];
+
+    let secret = readSecret();
+    req.csrfToken = () => {
+      if (!secret) {
+        secret = crypto.randomBytes(18).toString('base64url');
+        if (useSession) {
+          req.session[SESSION_KEY] = secret;
+        } else if (!headersCommitted(res)) {
+          const cookie = { ...cookieOptions };
+          if (cookie.secure === 'auto') cookie.secure = Boolean(req.secure);
+          if (res.setCookie) {
+            res.setCookie(cookieName, secret, cookie);
+          } else {
+            setCookie(res, cookieName, secret, cookie);
+          }
+        }
+      }
+      return createToken(secret);
+    };
+
+    if (ignored.has(req.method) || (opts.skip && opts.skip(req))) return next();
+
+    if (opts.checkOrigin && !sameOrigin(req, trusted)) {
+      return next(createError(403, 'Cross-origin request blocked', { code: 'EBADCSRFTOKEN' }));
+    }
+
+    const token = opts.headers.map(h => req.headers[h]).find(Boolean) ||
+      (req.body && typeof req.body === 'object' ? req.body[opts.field] : undefined);
+
+    if (!verifyToken(readSecret(), Array.isArray(token) ? token[0] : token)) {
+      return next(createError(403, 'Invalid CSRF token', { code: 'EBADCSRFTOKEN' }));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  csrf,
+  createToken,
+  verifyToken,
+  CSRF_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { csrf, createToken, verifyToken } = require('./csrf');
+const { session } = require('./session');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// `origin: true` sends the Origin of the test server itself
+function request(app, method, path, { headers = {}, body, origin } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const port = server.address().port;
+      const allHeaders = { accept: 'application/json', ...headers };
+      if (origin === true) allHeaders.origin = `http://127.0.0.1:${port}`;
+      if (body !== undefined) allHeaders['content-length'] = Buffer.byteLength(body);
+      const req = http.request({ host: '127.0.0.1', port, method, path, headers: allHeaders, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(body);
+    });
+  });
+}
+
+function csrfApp(appOptions, csrfOptions) {
+  const app = createApp(appOptions);
+  app.use(csrf(csrfOptions));
+  app.get('/form', (req, res) => res.json({ token: req.csrfToken() }));
+  app.post('/submit', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+// Token and secret cookie from GET /form
+async function fetchToken(app, headers = {}) {
+  const form = await request(app, 'GET', '/form', { headers });
+  const cookie = [].concat(form.headers['set-cookie'] || []).map(c => c.split(';')[0]).join('; ');
+  return { token: form.json.token, cookie };
+}
+
+test('tokens are salted and only verify against their secret', () => {
+  const first = createToken('secret');
+  assert.notEqual(createToken('secret'), first);
+  assert.equal(verifyToken('secret', first), true);
+  assert.equal(verifyToken('other', first), false);
+  assert.equal(verifyToken('secret', 'no-dot'), false);
+  assert.equal(verifyToken(undefined, first), false);
+});
+
+test('double submit cookie: header or form field token, 403 otherwise', async () => {
+  const app = csrfApp();
+  const { token, cookie } = await fetchToken(app);
+  assert.match(cookie, /^veko\.csrf=/);
+
+  const ok = await request(app, 'POST', '/submit', { headers: { cookie, 'x-csrf-token': token } });
+  assert.equal(ok.status, 200);
+
+  const form = await request(app, 'POST', '/submit', {
+    headers: { cookie, 'content-type': 'application/x-www-form-urlencoded' },
+    body: `_csrf=${encodeURIComponent(token)}`
+  });
+  assert.equal(form.status, 200);
+
+  const missing = await request(app, 'POST', '/submit', { headers: { cookie } });
+  assert.equal(missing.status, 403);
+  assert.equal(missing.json.error, 'Invalid CSRF token');
+
+  const noCookie = await request(app, 'POST', '/submit', { headers: { 'x-csrf-token': token } });
+  assert.equal(noCookie.status, 403);
+});
+
+test('session storage keeps the secret in req.session', async () => {
+  const app = createApp();
+  app.use(session({ secret: 'session-secret' }));
+  app.use(csrf());
+  app.get('/form', (req, res) => res.json({ token: req.csrfToken(), stored: Boolean(req.session._csrfSecret) }));
+  app.post('/submit', (req, res) => res.json({ ok: true }));
+
+  const form = await request(app, 'GET', '/form');
+  assert.equal(form.json.stored, true);
+  const cookie = form.headers['set-cookie'][0].split(';')[0];
+  assert.match(cookie, /^veko\.sid=/);
+  assert.equal((await request(app, 'POST', '/submit', { headers: { cookie, 'x-csrf-token': form.json.token } })).status, 200);
+
+  const strict = createApp();
+  strict.use(csrf({ storage: 'session' }));
+  strict.get('/form', (req, res) => res.json({ token: req.csrfToken() }));
+  assert.equal((await request(strict, 'GET', '/form')).status, 500);
+});
+
+test('cross-origin Origin or Referer is rejected before the token check', async () => {
+  const app = csrfApp({}, { trustedOrigins: ['https://admin.example.com/'] });
+  const { token, cookie } = await fetchToken(app);
+  const headers = { cookie, 'x-csrf-token': token };
+
+  assert.equal((await request(app, 'POST', '/submit', { headers, origin: true })).status, 200);
+  const cross = await request(app, 'POST', '/submit', { headers: { ...headers, origin: 'https://evil.test' } });
+  assert.equal(cross.status, 403);
+  assert.equal(cross.json.error, 'Cross-origin request blocked');
+  assert.equal((await request(app, 'POST', '/submit', { headers: { ...headers, referer: 'https://evil.test/page' } })).status, 403);
+  assert.equal((await request(app, 'POST', '/submit', { headers: { ...headers, origin: 'https://admin.example.com' } })).status, 200);
+});
+
+test('behind a trusted proxy the public origin is compared', async () => {
+  const proxied = {
+    'x-forwarded-for': '203.0.113.7',
+    'x-forwarded-proto': 'https',
+    'x-forwarded-host': 'shop.example.com',
+    origin: 'https://shop.example.com'
+  };
+
+  const app = csrfApp({ trustProxy: 'loopback' });
+  const { token, cookie } = await fetchToken(app, proxied);
+  assert.equal((await request(app, 'POST', '/submit', { headers: { ...proxied, cookie, 'x-csrf-token': token } })).status, 200);
+  // Default port in the forwarded host
+  const withPort = { ...proxied, 'x-forwarded-host': 'shop.example.com:443' };
+  assert.equal((await request(app, 'POST', '/submit', { headers: { ...withPort, cookie, 'x-csrf-token': token } })).status, 200);
+
+  // Not trusted: the forwarded headers are ignored, the origin does not match
+  const direct = csrfApp();
+  const plain = await fetchToken(direct);
+  assert.equal((await request(direct, 'POST', '/submit', { headers: { ...proxied, cookie: plain.cookie, 'x-csrf-token': plain.token } })).status, 403);
+});
@@ -0,0 +1,58 @@
+/**
+ * VekoJS HTTP Errors
+ * Errors that carry an HTTP status (no dependencies)
+ */
+
+const { STATUS_CODES } = require('http');
+
+/**
+ * Error with an HTTP status. `expose` controls whether the message is
+ * sent to the client; it defaults to true for 4xx and false for 5xx.
+ * Usage: throw new HttpError(403, 'Admins only')
+ */
+class HttpError extends Error {
+  constructor(status = 500, message, props = {}) {
+    const code = Number(status) >= 400 && Number(status) < 600 ? Number(status) : 500;
+    super(message || STATUS_CODES[code] || 'Error');
+    this.name = 'HttpError';
+    this.status = code;
+    this.statusCode = code;
+    this.expose = code < 500;
+    Object.assign(this, props);
+  }
+}
+
+/**
+ * Create an HttpError
+ * Usage: throw createError(422, 'Invalid email', { details: [...] })
+ */
+function createError(status, message, props) {
+  return new HttpError(status, message, props);
+}
+
+/**
+ * Status code of any thrown value (err.status / err.statusCode, else 500)
+ */
+function errorStatus(err) {
+  const status = Number(err && (err.status || err.statusCode));
+  return status >= 400 && status < 600 ? status : 500;
+}
+
+/**
+ * Whether the client asked for JSON rather than HTML
+ */
+function prefersJson(req) {
+  const accept = String((req && req.headers && req.headers.accept) || '');
+  const json = accept.search(/application\/json|\+json/);
+  if (json === -1) return false;
+  const html = accept.indexOf('text/html');
+  return html === -1 || json < html;
+}
+
+module.exports = {
+  HttpError,
+  createError,
+  errorStatus,
+  prefersJson,
+  STATUS_CODES
+};
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { HttpError, createError, errorStatus, prefersJson } = require('./errors');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, isDev: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          const body = Buffer.concat(chunks).toString();
+          const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(body) : null;
+          resolve({ status: res.statusCode, headers: res.headers, body, json });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const json = { accept: 'application/json' };
+
+test('HttpError: status, expose and extra props', () => {
+  const notFound = createError(404);
+  assert.ok(notFound instanceof HttpError);
+  assert.equal(notFound.message, 'Not Found');
+  assert.equal(notFound.expose, true);
+
+  const fatal = createError(503, 'Database down', { headers: { 'Retry-After': '5' } });
+  assert.equal(fatal.expose, false);
+  assert.equal(fatal.headers['Retry-After'], '5');
+
+  assert.equal(createError(200).status, 500);
+  assert.equal(errorStatus({ statusCode: 422 }), 422);
+  assert.equal(errorStatus(new Error('x')), 500);
+});
+
+test('prefersJson follows the order of the Accept header', () => {
+  assert.equal(prefersJson({ headers: { accept: 'application/json' } }), true);
+  assert.equal(prefersJson({ headers: { accept: 'application/problem+json' } }), true);
+  assert.equal(prefersJson({ headers: { accept: 'text/html,application/json' } }), false);
+  assert.equal(prefersJson({ headers: {} }), false);
+});
+
+test('thrown HttpErrors keep their status; 5xx messages are hidden in production', async () => {
+  const app = createApp();
+  app.get('/forbidden', () => {
+    throw createError(403, 'Admins only');
+  });
+  app.get('/crash', () => {
+    throw new Error('secret connection string');
+  });
+
+  const forbidden = await request(app, 'GET', '/forbidden', json);
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(forbidden.json, { error: 'Admins only', status: 403 });
+
+  const crash = await request(app, 'GET', '/crash', json);
+  assert.equal(crash.status, 500);
+  assert.equal(crash.json.error, 'Internal Server Error');
+  assert.equal(crash.json.requestId, crash.headers['x-request-id']);
+
+  const html = await request(app, 'GET', '/forbidden', { accept: 'text/html' });
+  assert.match(html.headers['content-type'], /text\/html/);
+  assert.match(html.body, /Admins only/);
+});
+
+test('error middleware can handle, rethrow or pass errors on', async () => {
+  const app = createApp();
+  const seen = [];
+  app.get('/a', () => {
+    throw createError(422, 'Bad input');
+  });
+  app.use((err, req, res, next) => {
+    seen.push(err.message);
+    next(err);
+  });
+  app.use((err, req, res, next) => {
+    if (err.status === 422) return res.status(422).json({ handled: true });
+    next(err);
+  });
+
+  const res = await request(app, 'GET', '/a', json);
+  assert.deepEqual(res.json, { handled: true });
+  assert.deepEqual(seen, ['Bad input']);
+});
+
+test('notFound and onError hooks replace the default responses', async () => {
+  const app = createApp();
+  app.get('/boom', () => {
+    throw new Error('boom');
+  });
+  app.notFound((req, res) => res.status(404).json({ missing: req.pathname }));
+  app.onError((err, req, res) => res.status(500).json({ reported: err.message }));
+
+  assert.deepEqual((await request(app, 'GET', '/nope')).json, { missing: '/nope' });
+  assert.deepEqual((await request(app, 'GET', '/boom')).json, { reported: 'boom' });
+});
+
+test('a failing onError handler falls back to the default response', async () => {
+  const app = createApp();
+  app.get('/boom', () => {
+    throw new Error('boom');
+  });
+  app.onError(() => {
+    throw new Error('reporter down');
+  });
+
+  const res = await request(app, 'GET', '/boom', json);
+  assert.equal(res.status, 500);
+  assert.equal(res.json.error, 'Internal Server Error');
+});
@@ -0,0 +1,149 @@
+/**
+ * VekoJS Health Checks
+ * Liveness and readiness endpoints backed by registered checks, run in
+ * parallel with timeouts and cached briefly (no dependencies)
+ */
+
+const DEFAULTS = {
+  path: '/healthz',         // liveness: the process answers (plus `liveness: true` checks)
+  readyPath: '/readyz',     // readiness: every check, false while starting or shutting down
+  cacheMs: 1000,            // reuse results for this long (load balancers poll often)
+  timeout: 5000,            // default per-check timeout
+  exposeErrors: null        // error messages in the JSON (default: dev only)
+};
+
+const CHECK_DEFAULTS = {
+  timeout: null,            // ms, defaults to the health option
+  critical: true,           // false: a failure only degrades readiness
+  liveness: false           // also run on the liveness path
+};
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Health check "${name}" timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Registered checks of an app
+ * A check resolves (ok, an object is shown as `details`), returns false or
+ * throws (failed).
+ */
+class HealthChecks {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.checks = new Map();
+    this.blockers = [];
+    this.paths = new Set();
+    this.cache = new Map();
+  }
+
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.cache.clear();
+  }
+
+  add(name, fn, options = {}) {
+    if (typeof fn !== 'function') throw new TypeError(`Health check "${name}" must be a function`);
+    this.checks.set(name, { name, fn, ...CHECK_DEFAULTS, ...options });
+    this.cache.clear();
+    return this;
+  }
+
+  remove(name) {
+    this.checks.delete(name);
+    this.cache.clear();
+  }
+
+  /**
+   * Conditions that make the app not ready without running any check:
+   * () => reason string, or null when fine
+   */
+  addBlocker(fn) {
+    this.blockers.push(fn);
+  }
+
+  async runCheck(check) {
+    const start = process.hrtime.bigint();
+    const result = { status: 'ok', critical: check.critical };
+    try {
+      const value = await withTimeout(Promise.resolve().then(() => check.fn()), check.timeout || this.options.timeout, check.name);
+      if (value === false) {
+        result.status = 'fail';
+      } else if (value && typeof value === 'object') {
+        result.details = value;
+      }
+    } catch (error) {
+      result.status = 'fail';
+      result.error = error;
+    }
+    result.duration = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    return result;
+  }
+
+  /**
+   * Run the checks of one kind in parallel; concurrent calls within
+   * cacheMs share the same run
+   */
+  run(kind) {
+    const cached = this.cache.get(kind);
+    if (cached && (cached.pending || Date.now() - cached.at < this.options.cacheMs)) return cached.promise;
+
+    const checks = [...this.checks.values()].filter(check => kind === 'readiness' || check.liveness);
+    const entry = { pending: true, at: 0 };
+    entry.promise = Promise.all(checks.map(check => this.runCheck(check))).then((results) => {
+      entry.pending = false;
+      entry.at = Date.now();
+      return Object.fromEntries(checks.map((check, i) => [check.name, results[i]]));
+    });
+    this.cache.set(kind, entry);
+    return entry.promise;
+  }
+
+  /**
+   * { statusCode, body } for a path: 503 when a critical check fails or a
+   * blocker applies (readiness only)
+   */
+  async report(kind, isDev = false) {
+    const reason = kind === 'readiness' ? this.blockers.map(fn => fn()).find(Boolean) : null;
+    const results = reason ? {} : await this.run(kind);
+    const expose = this.options.exposeErrors === null ? isDev : this.options.exposeErrors;
+
+    let failed = false;
+    let degraded = false;
+    const checks = {};
+    for (const [name, result] of Object.entries(results)) {
+      const { error, ...shown } = result;
+      if (error && expose) shown.error = error.message;
+      checks[name] = shown;
+      if (result.status === 'fail') {
+        if (result.critical) failed = true;
+        else degraded = true;
+      }
+    }
+
+    const ok = !reason && !failed;
+    const body = { status: ok ? (degraded ? 'degraded' : 'ok') : 'fail' };
+    if (kind === 'readiness') body.ready = ok;
+    if (reason) body.reason = reason;
+    body.uptime = Math.round(process.uptime());
+    body.checks = checks;
+    return { statusCode: ok ? 200 : 503, body };
+  }
+
+  handler(kind, isDev) {
+    return async (req, res) => {
+      const { statusCode, body } = await this.report(kind, isDev);
+      res.statusCode = statusCode;
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(body);
+    };
+  }
+}
+
+module.exports = {
+  HealthChecks,
+  HEALTH_DEFAULTS: DEFAULTS
+};
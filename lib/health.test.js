@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { HealthChecks } = require('./health');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, path) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers: { accept: 'application/json' }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+test('checks pass, fail by false or throw, and show their details', async () => {
+  const health = new HealthChecks({ cacheMs: 0 });
+  health.add('db', () => ({ pool: 4 }));
+  health.add('cache', async () => true);
+  assert.throws(() => health.add('bad', 'nope'), /Health check "bad" must be a function/);
+
+  const ok = await health.report('readiness');
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(ok.body.checks.db.details, { pool: 4 });
+  assert.equal(ok.body.status, 'ok');
+  assert.equal(ok.body.ready, true);
+  assert.equal(typeof ok.body.checks.cache.duration, 'number');
+
+  health.add('queue', () => false);
+  health.add('disk', () => { throw new Error('disk full'); });
+  const failed = await health.report('readiness');
+  assert.equal(failed.statusCode, 503);
+  assert.equal(failed.body.status, 'fail');
+  assert.equal(failed.body.checks.queue.status, 'fail');
+  assert.equal(failed.body.checks.disk.error, undefined);
+  assert.equal((await health.report('readiness', true)).body.checks.disk.error, 'disk full');
+
+  health.remove('queue');
+  health.remove('disk');
+  assert.equal((await health.report('readiness')).statusCode, 200);
+});
+
+test('non-critical failures degrade, slow checks time out', async () => {
+  const health = new HealthChecks({ cacheMs: 0, timeout: 20, exposeErrors: true });
+  health.add('search', () => false, { critical: false });
+  const degraded = await health.report('readiness');
+  assert.equal(degraded.statusCode, 200);
+  assert.equal(degraded.body.status, 'degraded');
+
+  health.add('slow', () => new Promise(resolve => setTimeout(resolve, 200).unref()));
+  const timedOut = await health.report('readiness');
+  assert.equal(timedOut.statusCode, 503);
+  assert.equal(timedOut.body.checks.slow.error, 'Health check "slow" timed out after 20ms');
+});
+
+test('liveness only runs liveness checks and ignores blockers', async () => {
+  const health = new HealthChecks({ cacheMs: 0 });
+  let reason = 'starting';
+  health.addBlocker(() => reason);
+  health.add('event-loop', () => true, { liveness: true });
+  health.add('db', () => false);
+
+  const live = await health.report('liveness');
+  assert.equal(live.statusCode, 200);
+  assert.deepEqual(Object.keys(live.body.checks), ['event-loop']);
+  assert.equal(live.body.ready, undefined);
+
+  const blocked = await health.report('readiness');
+  assert.equal(blocked.statusCode, 503);
+  assert.equal(blocked.body.reason, 'starting');
+  assert.deepEqual(blocked.body.checks, {});
+
+  reason = null;
+  assert.equal((await health.report('readiness')).body.checks.db.status, 'fail');
+});
+
+test('results are cached for cacheMs and concurrent runs are shared', async () => {
+  const health = new HealthChecks({ cacheMs: 60000 });
+  let calls = 0;
+  health.add('db', async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  });
+
+  await Promise.all([health.report('readiness'), health.report('readiness')]);
+  await health.report('readiness');
+  assert.equal(calls, 1);
+
+  health.configure({ cacheMs: 0 });
+  await health.report('readiness');
+  assert.equal(calls, 2);
+});
+
+test('app.health() routes: JSON, no-store, custom paths and shutdown', async () => {
+  const app = createApp({ rateLimit: { max: 1 } });
+  app.health({ path: '/live', readyPath: '/ready', cacheMs: 0 });
+  app.addHealthCheck('db', () => ({ latency: 1 }));
+
+  const live = await request(app, '/live');
+  assert.equal(live.status, 200);
+  assert.equal(live.headers['cache-control'], 'no-store');
+  // Probes are not counted by the rate limiter
+  for (let i = 0; i < 3; i++) assert.equal((await request(app, '/ready')).status, 200);
+  assert.equal((await request(app, '/healthz')).status, 404);
+
+  app.vsv = { precompiling: true };
+  const warming = await request(app, '/ready');
+  assert.equal(warming.status, 503);
+  assert.equal(warming.json.reason, 'precompiling');
+
+  app.vsv = null;
+  app.closing = Promise.resolve();
+  assert.equal((await request(app, '/ready')).json.reason, 'shutting_down');
+  assert.equal((await request(app, '/live')).status, 200);
+});
@@ -0,0 +1,352 @@
+/**
+ * VekoJS Logger
+ * Leveled, structured logging: coloured lines in dev, NDJSON in
+ * production, child loggers, redaction and rotating log files
+ * (no dependencies)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toBytes } = require('./body');
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+
+const DEFAULTS = {
+  level: 'info',
+  pretty: false,          // coloured lines instead of one JSON object per line
+  name: null,
+  redact: ['authorization', 'password', 'cookie', 'set-cookie'], // keys, at any depth
+  file: false,            // true or { dir, name, maxSize, interval, maxFiles }
+  console: true,          // false to only write to files / transports
+  transports: []          // extra sinks: { write(record), close?() }
+};
+
+const FILE_DEFAULTS = {
+  dir: 'logs',
+  name: 'app',
+  maxSize: '10mb',        // rotate past this size (false: never)
+  interval: 'daily',      // 'daily', 'hourly' or false
+  maxFiles: 14            // rotated files kept
+};
+
+// Types of the former app.logger.log(type, message)
+const TYPE_LEVELS = { success: 'info', warning: 'warn', server: 'info', route: 'debug' };
+
+const COLORS = {
+  trace: '\x1b[90m',
+  debug: '\x1b[90m',
+  info: '\x1b[36m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m',
+  fatal: '\x1b[35m',
+  dim: '\x1b[90m',
+  reset: '\x1b[0m'
+};
+
+// Keys written by the logger itself, not shown as fields in pretty lines
+const RECORD_KEYS = new Set(['time', 'level', 'name', 'pid', 'hostname', 'msg', 'err']);
+const MAX_DEPTH = 8;
+
+function serializeError(error) {
+  const out = { type: error.name, message: error.message, stack: error.stack };
+  for (const key of Object.keys(error)) out[key] = error[key];
+  return out;
+}
+
+/**
+ * Copy of a value safe to log: redacted keys, errors as objects, no
+ * cycles, bounded depth
+ */
+function sanitize(value, redact, seen = new WeakSet(), depth = 0) {
+  if (value instanceof Error) value = serializeError(value);
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+    return value;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  let out;
+  if (Array.isArray(value)) {
+    out = value.map(item => sanitize(item, redact, seen, depth + 1));
+  } else {
+    out = {};
+    for (const [key, item] of Object.entries(value)) {
+      out[key] = redact.has(key.toLowerCase()) ? '[Redacted]' : sanitize(item, redact, seen, depth + 1);
+    }
+  }
+  seen.delete(value);
+  return out;
+}
+
+function formatValue(value) {
+  if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+/**
+ * "12:04:31.027 INFO  message key=value" plus the stack of `err`
+ */
+function formatPretty(record, colors = true) {
+  const c = colors ? COLORS : {};
+  const time = record.time.slice(11, 23);
+  const fields = Object.entries(record)
+    .filter(([key, value]) => !RECORD_KEYS.has(key) && value !== undefined)
+    .map(([key, value]) => `${key}=${formatValue(value)}`);
+
+  let line = `${c.dim || ''}${time}${c.reset || ''} ${c[record.level] || ''}${record.level.toUpperCase().padEnd(5)}${c.reset || ''} `;
+  if (record.name) line += `[${record.name}] `;
+  line += record.msg || (record.err && record.err.message) || '';
+  if (fields.length) line += ` ${c.dim || ''}${fields.join(' ')}${c.reset || ''}`;
+  if (record.err && typeof record.err === 'object') {
+    line += `\n${record.err.stack || `${record.err.type}: ${record.err.message}`}`;
+  }
+  return line;
+}
+
+/**
+ * stdout / stderr sink: pretty lines or NDJSON
+ */
+class ConsoleTransport {
+  constructor(options = {}) {
+    this.pretty = options.pretty;
+    this.colors = !process.env.NO_COLOR;
+  }
+
+  write(record) {
+    const line = this.pretty ? formatPretty(record, this.colors) : JSON.stringify(record);
+    const stream = LEVELS[record.level] >= LEVELS.error ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+function periodOf(date, interval) {
+  if (interval === 'hourly') return date.toISOString().slice(0, 13).replace('T', '-');
+  if (interval === 'daily') return date.toISOString().slice(0, 10);
+  return null;
+}
+
+/**
+ * NDJSON (or plain lines) file that rotates by size and/or date:
+ *   logs/app.log -> logs/app.2026-10-19.log, logs/app.2026-10-19.1.log...
+ * Only one process should write a given file.
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.options = { ...FILE_DEFAULTS, ...options };
+    this.dir = path.resolve(process.cwd(), this.options.dir);
+    this.file = path.join(this.dir, `${this.options.name}.log`);
+    this.maxSize = this.options.maxSize ? toBytes(this.options.maxSize) : Infinity;
+    this.stream = null;
+    this.size = 0;
+    this.period = null;
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    let stat = null;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (e) {
+      // new file
+    }
+    this.size = stat ? stat.size : 0;
+    this.period = periodOf(stat ? stat.mtime : new Date(), this.options.interval);
+    this.stream = this.createStream();
+  }
+
+  createStream() {
+    const stream = fs.createWriteStream(this.file, { flags: 'a' });
+    stream.on('error', (error) => process.stderr.write(`[veko:logger] ${error.message}\n`));
+    return stream;
+  }
+
+  write(record) {
+    this.writeLine(JSON.stringify(record));
+  }
+
+  // Lines in other formats (access log)
+  writeLine(text) {
+    const line = `${text}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (!this.stream) this.open();
+
+    const now = new Date();
+    if ((this.period && periodOf(now, this.options.interval) !== this.period) ||
+      (this.size > 0 && this.size + bytes > this.maxSize)) {
+      this.rotate(now);
+    }
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  /**
+   * Rename the current file after the period it covers; writes still
+   * buffered by the old stream follow the renamed file
+   */
+  rotate(now) {
+    this.stream.end();
+    const stamp = this.period || periodOf(now, 'daily');
+    let target;
+    for (let n = 0; ; n++) {
+      target = path.join(this.dir, `${this.options.name}.${stamp}${n ? `.${n}` : ''}.log`);
+      if (!fs.existsSync(target)) break;
+    }
+    try {
+      fs.renameSync(this.file, target);
+    } catch (e) {
+      // already moved
+    }
+    this.prune();
+    this.stream = this.createStream();
+    this.size = 0;
+    this.period = periodOf(now, this.options.interval);
+  }
+
+  prune() {
+    if (!this.options.maxFiles) return;
+    const prefix = `${this.options.name}.`;
+    const rotated = fs.readdirSync(this.dir)
+      .filter(name => name.startsWith(prefix) && name.endsWith('.log') && name !== path.basename(this.file))
+      .map(name => ({ name, mtime: fs.statSync(path.join(this.dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime || b.name.localeCompare(a.name));
+    for (const { name } of rotated.slice(this.options.maxFiles)) {
+      fs.rmSync(path.join(this.dir, name), { force: true });
+    }
+  }
+
+  close() {
+    const stream = this.stream;
+    this.stream = null;
+    return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+  }
+}
+
+/**
+ * Logger
+ * Usage:
+ *   logger.info('User created', { userId: 42 })
+ *   logger.error({ err }, 'Payment failed')
+ *   const log = logger.child({ module: 'billing' })
+ */
+class Logger {
+  constructor(options = {}, parent = null, bindings = {}) {
+    this.bindings = bindings;
+    if (parent) {
+      this.core = parent.core;
+      return;
+    }
+
+    const opts = { ...DEFAULTS, ...options };
+    const transports = [];
+    if (opts.console !== false) transports.push(new ConsoleTransport({ pretty: opts.pretty }));
+    if (opts.file) transports.push(new FileTransport(opts.file === true ? {} : opts.file));
+    transports.push(...opts.transports);
+
+    this.core = {
+      level: LEVELS.info,
+      name: opts.name,
+      redact: new Set([].concat(opts.redact || []).map(key => key.toLowerCase())),
+      base: { pid: process.pid, hostname: os.hostname() },
+      transports
+    };
+    this.level = opts.silent ? 'silent' : opts.level;
+  }
+
+  get level() {
+    return Object.keys(LEVELS).find(name => LEVELS[name] === this.core.level);
+  }
+
+  set level(name) {
+    if (LEVELS[name] === undefined) throw new Error(`Unknown log level "${name}"`);
+    this.core.level = LEVELS[name];
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this.core.level;
+  }
+
+  /**
+   * Logger whose records all carry `bindings` (same level and outputs)
+   */
+  child(bindings = {}) {
+    return new Logger(null, this, { ...this.bindings, ...bindings });
+  }
+
+  addTransport(transport) {
+    this.core.transports.push(transport);
+    return this;
+  }
+
+  // (message, fields) or (fields, message); an Error alone becomes { err }
+  write(level, first, second) {
+    if (LEVELS[level] < this.core.level) return;
+
+    let msg = first;
+    let fields = second;
+    if (typeof first !== 'string') {
+      fields = first;
+      msg = typeof second === 'string' ? second : undefined;
+    }
+    if (fields instanceof Error) fields = { err: fields };
+
+    const record = sanitize({
+      time: new Date().toISOString(),
+      level,
+      ...(this.core.name ? { name: this.core.name } : {}),
+      ...this.core.base,
+      msg,
+      ...this.bindings,
+      ...fields
+    }, this.core.redact);
+
+    for (const transport of this.core.transports) {
+      try {
+        transport.write(record);
+      } catch (error) {
+        process.stderr.write(`[veko:logger] ${error.message}\n`);
+      }
+    }
+  }
+
+  trace(a, b) { this.write('trace', a, b); }
+  debug(a, b) { this.write('debug', a, b); }
+  info(a, b) { this.write('info', a, b); }
+  warn(a, b) { this.write('warn', a, b); }
+  error(a, b) { this.write('error', a, b); }
+  fatal(a, b) { this.write('fatal', a, b); }
+
+  /**
+   * Former API: log('success' | 'warning' | 'error' | level, message, details)
+   */
+  log(type, message, details = '') {
+    const level = LEVELS[type] !== undefined ? type : (TYPE_LEVELS[type] || 'info');
+    this.write(level, details ? `${message} ${details}` : message);
+  }
+
+  /**
+   * Flush and close file outputs (reopened on the next write)
+   */
+  close() {
+    return Promise.all(this.core.transports.map(t => t.close && t.close()));
+  }
+}
+
+function createLogger(options) {
+  return new Logger(options);
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  ConsoleTransport,
+  FileTransport,
+  formatPretty,
+  LOG_LEVELS: LEVELS,
+  LOGGER_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger, FileTransport, formatPretty } = require('./logger');
+
+// Logger writing to an array instead of the console
+function memoryLogger(options = {}) {
+  const records = [];
+  const logger = createLogger({ console: false, transports: [{ write: record => records.push(record) }], ...options });
+  return { logger, records };
+}
+
+test('records below the level are dropped, unknown levels throw', () => {
+  const { logger, records } = memoryLogger({ level: 'warn' });
+  logger.info('hidden');
+  logger.warn('shown');
+  assert.deepEqual(records.map(r => r.msg), ['shown']);
+  assert.equal(logger.isLevelEnabled('error'), true);
+  assert.equal(logger.isLevelEnabled('debug'), false);
+
+  logger.level = 'debug';
+  logger.debug('now shown');
+  assert.equal(records.length, 2);
+  assert.throws(() => { logger.level = 'loud'; }, /Unknown log level "loud"/);
+  assert.equal(memoryLogger({ silent: true }).logger.level, 'silent');
+});
+
+test('messages and fields in either order, errors serialized', () => {
+  const { logger, records } = memoryLogger({ name: 'api' });
+  logger.info('User created', { userId: 42 });
+  logger.error({ err: new Error('boom') }, 'Payment failed');
+  logger.error(new TypeError('bad'));
+
+  assert.equal(records[0].msg, 'User created');
+  assert.equal(records[0].userId, 42);
+  assert.equal(records[0].name, 'api');
+  assert.equal(records[0].pid, process.pid);
+  assert.equal(records[1].msg, 'Payment failed');
+  assert.equal(records[1].err.message, 'boom');
+  assert.match(records[1].err.stack, /^Error: boom/);
+  assert.equal(records[2].err.type, 'TypeError');
+});
+
+test('redaction at any depth, cycles, buffers and bigints', () => {
+  const { logger, records } = memoryLogger({ redact: ['token', 'Password'] });
+  const circular = { id: 1 };
+  circular.self = circular;
+  logger.info('payload', {
+    headers: { Token: 'abc' },
+    users: [{ password: 'secret', name: 'ann' }],
+    circular,
+    data: Buffer.from('hello'),
+    big: 10n,
+    fn() {}
+  });
+
+  const record = records[0];
+  assert.equal(record.headers.Token, '[Redacted]');
+  assert.deepEqual(record.users, [{ password: '[Redacted]', name: 'ann' }]);
+  assert.equal(record.circular.self, '[Circular]');
+  assert.equal(record.data, '[Buffer 5 bytes]');
+  assert.equal(record.big, '10');
+  assert.equal(record.fn, undefined);
+});
+
+test('child loggers add bindings and share level and transports', () => {
+  const { logger, records } = memoryLogger();
+  const child = logger.child({ module: 'billing' }).child({ requestId: 'r1' });
+  child.info('charged');
+  assert.equal(records[0].module, 'billing');
+  assert.equal(records[0].requestId, 'r1');
+
+  logger.level = 'error';
+  child.info('dropped');
+  assert.equal(records.length, 1);
+  assert.equal(child.level, 'error');
+});
+
+test('the former log(type) API maps types to levels', () => {
+  const { logger, records } = memoryLogger({ level: 'debug' });
+  logger.log('success', 'Started', 'on port 3000');
+  logger.log('warning', 'Slow');
+  logger.log('route', 'GET /');
+  assert.deepEqual(records.map(r => `${r.level}:${r.msg}`), ['info:Started on port 3000', 'warn:Slow', 'debug:GET /']);
+});
+
+test('a failing transport does not stop the others', (t) => {
+  const writes = [];
+  const original = process.stderr.write;
+  process.stderr.write = chunk => writes.push(String(chunk));
+  t.after(() => { process.stderr.write = original; });
+
+  const { logger, records } = memoryLogger();
+  logger.addTransport({ write() { throw new Error('disk full'); } });
+  logger.addTransport({ write: record => records.push(record) });
+  logger.info('twice');
+  process.stderr.write = original;
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(writes, ['[veko:logger] disk full\n']);
+});
+
+test('formatPretty: time, padded level, name, fields and stack', () => {
+  const line = formatPretty({
+    time: '2026-10-19T12:04:31.027Z',
+    level: 'info',
+    name: 'api',
+    pid: 1,
+    msg: 'Request done',
+    status: 200,
+    path: '/a b'
+  }, false);
+  assert.equal(line, '12:04:31.027 INFO  [api] Request done status=200 path="/a b"');
+
+  const withError = formatPretty({ time: '2026-10-19T12:04:31.027Z', level: 'error', err: { type: 'Error', message: 'boom' } }, false);
+  assert.equal(withError, '12:04:31.027 ERROR boom\nError: boom');
+});
+
+test('file transport writes NDJSON, rotates by size and keeps maxFiles', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-logger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const transport = new FileTransport({ dir, name: 'app', maxSize: 100, interval: false, maxFiles: 2 });
+  // Each file is open before the next rotation renames it
+  for (let i = 0; i < 6; i++) {
+    transport.write({ i, pad: 'x'.repeat(60) });
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  await transport.close();
+
+  const files = fs.readdirSync(dir).sort();
+  assert.equal(files.length, 3);
+  assert.ok(files.includes('app.log'));
+  const current = fs.readFileSync(path.join(dir, 'app.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(current.map(r => r.i), [5]);
+  assert.ok(files.filter(name => name !== 'app.log').every(name => /^app\.\d{4}-\d{2}-\d{2}(\.\d+)?\.log$/.test(name)));
+});
+
+test('logger close flushes file outputs and reopens on the next write', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-logger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const logger = createLogger({ console: false, file: { dir, name: 'server' } });
+  logger.info('first');
+  await logger.close();
+  logger.info('second');
+  await logger.close();
+
+  const lines = fs.readFileSync(path.join(dir, 'server.log'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).msg), ['first', 'second']);
+});
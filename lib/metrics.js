@@ -0,0 +1,492 @@
+/**
+ * VekoJS Metrics
+ * Counters, gauges and histograms in the Prometheus text format, with
+ * HTTP, VSV/PHP rendering and Node process collectors (no dependencies)
+ */
+
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+const { compileTrust } = require('./proxy');
+const { createError } = require('./errors');
+const { headersCommitted } = require('./compression');
+
+const DEFAULTS = {
+  path: '/metrics',         // false: no route, serve app.metrics.handler() yourself
+  allow: 'loopback',        // client addresses allowed on the route (trustProxy syntax), true: everyone
+  auth: null,               // (req) => boolean | Promise<boolean>, replaces `allow`
+  prefix: '',               // prepended to the built-in metric names
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  process: true             // event-loop lag, heap, GC, CPU
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const parts = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Shared by the three types: label sets kept in a Map keyed by their
+ * values, and an optional collect() run before each scrape
+ */
+class Metric {
+  constructor(type, options) {
+    const { name, help = '', labelNames = [], collect = null } = options;
+    if (!NAME_RE.test(name || '')) throw new TypeError(`Invalid metric name "${name}"`);
+    for (const label of labelNames) {
+      if (!LABEL_RE.test(label) || label === 'le') throw new TypeError(`Invalid label name "${label}" for ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collectFn = collect;
+    this.values = new Map();
+  }
+
+  labelValues(labels = {}) {
+    for (const key of Object.keys(labels)) {
+      if (!this.labelNames.includes(key)) throw new TypeError(`Unknown label "${key}" for ${this.name}`);
+    }
+    return this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+  }
+
+  entry(labels, create) {
+    const values = this.labelValues(labels);
+    const key = values.join('\u0000');
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = create(values);
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  async collect() {
+    if (this.collectFn) await this.collectFn.call(this, this);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${escapeHelp(this.help)}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  // Counters and gauges: one value per label set
+  get(labels) {
+    const entry = this.values.get(this.labelValues(labels).join('\u0000'));
+    return entry ? entry.value : 0;
+  }
+
+  serialize() {
+    let out = this.header();
+    if (this.values.size === 0 && this.labelNames.length === 0) return `${out}${this.name} 0\n`;
+    for (const { values, value } of this.values.values()) {
+      out += `${this.name}${formatLabels(this.labelNames, values)} ${formatNumber(value)}\n`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Only goes up
+ * Usage: const sent = app.metrics.counter({ name: 'emails_sent_total', help: 'Emails sent', labelNames: ['template'] })
+ *        sent.inc({ template: 'welcome' })
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    if (!(value >= 0)) throw new RangeError(`Counter ${this.name} cannot decrease`);
+    this.entry(labels, values => ({ values, value: 0 })).value += value;
+  }
+}
+
+/**
+ * Goes up and down; `collect` can set it at scrape time
+ * Usage: app.metrics.gauge({ name: 'queue_size', help: 'Jobs waiting', collect() { this.set(queue.length) } })
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.entry(labels, values => ({ values, value: 0 })).value = Number(value);
+  }
+
+  inc(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.entry(labels, values => ({ values, value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.inc(labels, -value);
+  }
+}
+
+/**
+ * Distribution in cumulative buckets (seconds by convention)
+ * Usage: const end = histogram.startTimer({ queue: 'mail' }); await job(); end()
+ */
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULTS.buckets)].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const entry = this.entry(labels, values => ({ values, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Returns end(extraLabels) which observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extra = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extra }, seconds);
+      return seconds;
+    };
+  }
+
+  serialize() {
+    let out = this.header();
+    for (const { values, counts, sum, count } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        out += `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${formatNumber(bound)}"`)} ${cumulative}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}\n`;
+      out += `${this.name}_sum${formatLabels(this.labelNames, values)} ${formatNumber(sum)}\n`;
+      out += `${this.name}_count${formatLabels(this.labelNames, values)} ${count}\n`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Set of metrics served together. Registering a name twice returns the
+ * existing metric when the type matches. `prefix` is the one of the
+ * built-in metrics (appMetric()).
+ */
+class Registry {
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.metrics = new Map();
+    this.closers = [];
+  }
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) throw new Error(`Metric ${metric.name} is already a ${existing.type}`);
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  remove(name) {
+    this.metrics.delete(name);
+  }
+
+  /**
+   * Prometheus text exposition of every metric
+   */
+  async metricsText() {
+    let out = '';
+    for (const metric of this.metrics.values()) {
+      try {
+        await metric.collect();
+      } catch (error) {
+        process.stderr.write(`[veko:metrics] collect ${metric.name}: ${error.message}\n`);
+      }
+      out += metric.serialize();
+    }
+    return out;
+  }
+
+  /**
+   * Route handler serving the registry
+   * Usage: app.get('/internal/metrics', requireAdmin, app.metrics.handler())
+   */
+  handler() {
+    return async (req, res) => {
+      const body = await this.metricsText();
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.setHeader('Cache-Control', 'no-store');
+      res.end(body);
+    };
+  }
+
+  onClose(fn) {
+    this.closers.push(fn);
+  }
+
+  close() {
+    for (const fn of this.closers.splice(0)) fn();
+  }
+}
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+/**
+ * Node process metrics: CPU, memory, heap, event-loop lag (since the last
+ * scrape) and GC pauses
+ */
+function collectProcessMetrics(registry, prefix = '') {
+  const startTime = Math.round((Date.now() - process.uptime() * 1000) / 1000);
+
+  registry.gauge({
+    name: `${prefix}process_start_time_seconds`,
+    help: 'Start time of the process since unix epoch in seconds',
+    collect() { this.set(startTime); }
+  });
+  registry.counter({
+    name: `${prefix}process_cpu_seconds_total`,
+    help: 'Total user and system CPU time spent in seconds',
+    labelNames: ['mode'],
+    collect() {
+      const usage = process.cpuUsage();
+      this.reset();
+      this.inc({ mode: 'user' }, usage.user / 1e6);
+      this.inc({ mode: 'system' }, usage.system / 1e6);
+    }
+  });
+  registry.gauge({
+    name: `${prefix}process_resident_memory_bytes`,
+    help: 'Resident memory size in bytes',
+    collect() { this.set(process.memoryUsage.rss()); }
+  });
+  registry.gauge({
+    name: `${prefix}nodejs_heap_size_bytes`,
+    help: 'V8 heap size in bytes',
+    labelNames: ['type'],
+    collect() {
+      const memory = process.memoryUsage();
+      this.set({ type: 'total' }, memory.heapTotal);
+      this.set({ type: 'used' }, memory.heapUsed);
+      this.set({ type: 'external' }, memory.external);
+    }
+  });
+
+  // Samples include the sampling interval itself: lag is what exceeds it
+  const resolution = 10;
+  const delay = monitorEventLoopDelay({ resolution });
+  delay.enable();
+  registry.gauge({
+    name: `${prefix}nodejs_eventloop_lag_seconds`,
+    help: 'Event loop delay since the last scrape in seconds',
+    labelNames: ['stat'],
+    collect() {
+      const ns = value => (Number.isFinite(value) ? Math.max(0, value - resolution * 1e6) / 1e9 : 0);
+      this.set({ stat: 'mean' }, ns(delay.mean));
+      this.set({ stat: 'p50' }, ns(delay.percentile(50)));
+      this.set({ stat: 'p99' }, ns(delay.percentile(99)));
+      this.set({ stat: 'max' }, ns(delay.max));
+      delay.reset();
+    }
+  });
+
+  const gc = registry.histogram({
+    name: `${prefix}nodejs_gc_duration_seconds`,
+    help: 'Garbage collection pauses in seconds',
+    labelNames: ['kind'],
+    buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1]
+  });
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      const kind = entry.detail ? entry.detail.kind : entry.kind;
+      gc.observe({ kind: GC_KINDS[kind] || 'other' }, entry.duration / 1000);
+    }
+  });
+  observer.observe({ entryTypes: ['gc'] });
+
+  registry.onClose(() => {
+    delay.disable();
+    observer.disconnect();
+  });
+}
+
+/**
+ * Built-in instruments of an app (HTTP, rate limiter, VSV, PHP). VSV and
+ * PHP look them up by name through app.metrics.
+ */
+function createAppMetrics(app, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const p = opts.prefix;
+  const registry = new Registry({ prefix: p });
+
+  registry.counter({
+    name: `${p}http_requests_total`,
+    help: 'HTTP requests by method, route pattern and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  registry.histogram({
+    name: `${p}http_request_duration_seconds`,
+    help: 'HTTP request duration in seconds',
+    labelNames: ['method', 'route', 'status'],
+    buckets: opts.buckets
+  });
+  registry.gauge({
+    name: `${p}http_requests_in_flight`,
+    help: 'HTTP requests being processed',
+    collect() { this.set(app.stats.activeRequests); }
+  });
+  registry.counter({
+    name: `${p}rate_limit_rejections_total`,
+    help: 'Requests refused by a rate limiter (429)'
+  });
+
+  registry.counter({ name: `${p}vsv_compilations_total`, help: 'VSV component and PHP template compilations' });
+  registry.counter({ name: `${p}vsv_cache_hits_total`, help: 'VSV renders served from the compile cache' });
+  registry.counter({
+    name: `${p}vsv_renders_total`,
+    help: 'VSV server renders by component',
+    labelNames: ['component']
+  });
+  registry.histogram({
+    name: `${p}vsv_render_duration_seconds`,
+    help: 'VSV server render duration in seconds',
+    labelNames: ['component'],
+    buckets: opts.buckets
+  });
+  registry.histogram({
+    name: `${p}php_render_duration_seconds`,
+    help: 'VekoPHP template render duration in seconds',
+    labelNames: ['template'],
+    buckets: opts.buckets
+  });
+
+  if (opts.process) collectProcessMetrics(registry, p);
+  return registry;
+}
+
+/**
+ * Route middleware guarding the metrics endpoint: `auth(req)` decides when
+ * given, else req.ip must match `allow`. Requests relayed by a proxy that
+ * trustProxy does not trust are refused: every client would look local.
+ */
+function metricsAccess(options = {}, trustProxy = () => false) {
+  const { allow = DEFAULTS.allow, auth } = options;
+  const allowed = allow === true ? null : compileTrust(allow, 'metrics.allow');
+
+  return async (req, res, next) => {
+    let ok;
+    if (auth) {
+      ok = await auth(req);
+    } else {
+      const relayed = Boolean(req.headers.forwarded || req.headers['x-forwarded-for']);
+      const peer = req.socket && req.socket.remoteAddress;
+      ok = !allowed || (allowed(req.ip, 0) && !(relayed && !trustProxy(peer, 0)));
+    }
+    if (!ok) throw createError(403, 'Forbidden');
+    next();
+  };
+}
+
+/**
+ * Record a finished request; unmatched paths share one label so raw
+ * URLs never become series
+ */
+function recordRequest(registry, req, res, seconds) {
+  const labels = {
+    method: req.method,
+    route: req.routePath || '<unmatched>',
+    status: headersCommitted(res) ? res.statusCode : 0
+  };
+  registry.get(`${registry.prefix}http_requests_total`).inc(labels);
+  registry.get(`${registry.prefix}http_request_duration_seconds`).observe(labels, seconds);
+}
+
+/**
+ * Built-in metric of the request's app, null when metrics are off
+ * Usage: const renders = appMetric(app, 'vsv_renders_total')
+ */
+function appMetric(app, name) {
+  const registry = app && app.metrics;
+  return registry ? registry.get(`${registry.prefix || ''}${name}`) : null;
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  createAppMetrics,
+  metricsAccess,
+  collectProcessMetrics,
+  recordRequest,
+  appMetric,
+  METRICS_CONTENT_TYPE: CONTENT_TYPE,
+  METRICS_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { Registry, appMetric, METRICS_CONTENT_TYPE } = require('./metrics');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+test('counters, gauges and histograms in the Prometheus text format', async () => {
+  const registry = new Registry();
+  const sent = registry.counter({ name: 'emails_sent_total', help: 'Emails\nsent', labelNames: ['template'] });
+  sent.inc({ template: 'we"lcome' });
+  sent.inc({ template: 'we"lcome' }, 2);
+  assert.equal(registry.counter({ name: 'emails_sent_total', help: 'again' }), sent);
+
+  let size = 3;
+  registry.gauge({ name: 'queue_size', help: 'Jobs', collect() { this.set(size); } });
+  const duration = registry.histogram({ name: 'job_seconds', help: 'Jobs', buckets: [1, 0.1] });
+  duration.observe(0.05);
+  duration.observe(0.5);
+  duration.observe(5);
+
+  const text = await registry.metricsText();
+  assert.match(text, /# HELP emails_sent_total Emails\\nsent\n# TYPE emails_sent_total counter\nemails_sent_total\{template="we\\"lcome"\} 3\n/);
+  assert.match(text, /\nqueue_size 3\n/);
+  assert.match(text, /job_seconds_bucket\{le="0.1"\} 1\njob_seconds_bucket\{le="1"\} 2\njob_seconds_bucket\{le="\+Inf"\} 3\njob_seconds_sum 5.55\njob_seconds_count 3\n/);
+  size = 7;
+  assert.match(await registry.metricsText(), /\nqueue_size 7\n/);
+});
+
+test('invalid names, labels and decreasing counters throw', () => {
+  const registry = new Registry();
+  assert.throws(() => registry.counter({ name: 'bad-name', help: '' }), /Invalid metric name "bad-name"/);
+  assert.throws(() => registry.histogram({ name: 'h', help: '', labelNames: ['le'] }), /Invalid label name "le"/);
+  const counter = registry.counter({ name: 'c_total', help: '', labelNames: ['a'] });
+  assert.throws(() => counter.inc({ b: 1 }), /Unknown label "b" for c_total/);
+  assert.throws(() => counter.inc(-1), /cannot decrease/);
+  assert.throws(() => registry.gauge({ name: 'c_total', help: '' }), /already a counter/);
+});
+
+test('/metrics records route patterns, never raw paths', async () => {
+  const app = createApp({ metrics: { process: false, prefix: 'shop_' } });
+  app.get('/users/:id', (req, res) => res.json({ id: req.params.id }));
+  await request(app, 'GET', '/users/1');
+  await request(app, 'GET', '/users/2');
+  await request(app, 'GET', '/nowhere');
+
+  const res = await request(app, 'GET', '/metrics');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['content-type'], METRICS_CONTENT_TYPE);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.match(res.body, /shop_http_requests_total\{method="GET",route="\/users\/:id",status="200"\} 2\n/);
+  assert.match(res.body, /route="<unmatched>",status="404"\} 1\n/);
+  assert.doesNotMatch(res.body, /nowhere|nodejs_heap/);
+  assert.equal(appMetric(app, 'http_requests_in_flight').name, 'shop_http_requests_in_flight');
+  assert.equal(appMetric(createApp(), 'http_requests_total'), null);
+});
+
+test('/metrics only answers allowed addresses, 403 otherwise', async () => {
+  const local = createApp({ metrics: { process: false } });
+  assert.equal((await request(local, 'GET', '/metrics')).status, 200);
+
+  const privateOnly = createApp({ metrics: { process: false, allow: ['10.0.0.0/8'] } });
+  assert.equal((await request(privateOnly, 'GET', '/metrics', { accept: 'application/json' })).status, 403);
+
+  const open = createApp({ metrics: { process: false, allow: true } });
+  assert.equal((await request(open, 'GET', '/metrics', { 'x-forwarded-for': '203.0.113.7' })).status, 200);
+
+  assert.throws(() => createApp({ metrics: { allow: 'nope' } }), /Invalid metrics.allow address "nope"/);
+});
+
+test('behind a proxy the client address is checked, untrusted relays are refused', async () => {
+  // Local proxy not declared: every client would look like 127.0.0.1
+  const untrusted = createApp({ metrics: { process: false } });
+  assert.equal((await request(untrusted, 'GET', '/metrics', { 'x-forwarded-for': '203.0.113.7' })).status, 403);
+
+  const proxied = createApp({ trustProxy: 'loopback', metrics: { process: false, allow: ['loopback', '10.0.0.0/8'] } });
+  assert.equal((await request(proxied, 'GET', '/metrics', { 'x-forwarded-for': '10.1.2.3' })).status, 200);
+  assert.equal((await request(proxied, 'GET', '/metrics', { 'x-forwarded-for': '203.0.113.7' })).status, 403);
+});
+
+test('auth replaces the address check', async () => {
+  const app = createApp({
+    metrics: { process: false, auth: async req => req.headers.authorization === 'Bearer s3cret' }
+  });
+  assert.equal((await request(app, 'GET', '/metrics')).status, 403);
+  assert.equal((await request(app, 'GET', '/metrics', { authorization: 'Bearer s3cret', 'x-forwarded-for': '203.0.113.7' })).status, 200);
+});
+
+test('path false leaves the route to the app, close stops the collectors', async () => {
+  const app = createApp({ metrics: { path: false } });
+  app.get('/internal/metrics', app.metrics.handler());
+  assert.equal((await request(app, 'GET', '/metrics')).status, 404);
+
+  const res = await request(app, 'GET', '/internal/metrics');
+  assert.match(res.body, /nodejs_heap_size_bytes\{type="used"\} \d+/);
+  assert.match(res.body, /process_cpu_seconds_total\{mode="user"\} \d/);
+  await app.close();
+});
@@ -0,0 +1,361 @@
+/**
+ * VekoJS Multipart Parser
+ * Streaming multipart/form-data parser (no dependencies)
+ *
+ * Files are streamed to temp files and removed when the response ends,
+ * unless they were moved away first (file.moveTo / move_uploaded_file).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { UNSAFE_KEYS } = require('./body');
+
+const TMP_PREFIX = 'veko-upload-';
+
+const DEFAULTS = {
+  fieldSize: 1024 * 1024,        // 1MB per text field
+  fileSize: 10 * 1024 * 1024,    // 10MB per file
+  files: 10,                     // max number of files
+  fields: 100,                   // max number of text fields
+  tmpDir: os.tmpdir()
+};
+
+/**
+ * Magic numbers for MIME sniffing (first bytes of the file)
+ */
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'video/mp4', bytes: [null, null, null, null, 0x66, 0x74, 0x79, 0x70] },
+  { type: 'font/woff', bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { type: 'font/woff2', bytes: [0x77, 0x4f, 0x46, 0x32] }
+];
+
+/**
+ * Guess a MIME type from the first bytes of a file
+ * Returns null when nothing matches
+ */
+function sniffMime(head) {
+  for (const sig of SIGNATURES) {
+    if (head.length < sig.bytes.length) continue;
+    if (sig.bytes.every((b, i) => b === null || head[i] === b)) return sig.type;
+  }
+  if (head.length > 0 && /^\s*<(svg|\?xml)/i.test(head.toString('utf8')) && head.includes('<svg')) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+/**
+ * Extract the boundary from a Content-Type header
+ */
+function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Parse the headers block of a part
+ */
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split('\r\n')) {
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const param = (key) => {
+    const m = new RegExp(`(?:^|;)\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition)
+      || new RegExp(`(?:^|;)\\s*${key}=([^;]*)`, 'i').exec(disposition);
+    return m ? m[1].replace(/\\(.)/g, '$1') : undefined;
+  };
+
+  const extended = /filename\*=(?:UTF-8|utf-8)''([^;]+)/.exec(disposition);
+  let filename = param('filename');
+  if (extended) {
+    try { filename = decodeURIComponent(extended[1]); } catch (e) { /* keep plain filename */ }
+  }
+
+  return {
+    name: param('name'),
+    filename,
+    contentType: headers['content-type'] || 'application/octet-stream'
+  };
+}
+
+/**
+ * Add a value under a field name; repeated names and `name[]` become arrays.
+ * Names that would reach Object.prototype are dropped.
+ */
+function addValue(target, name, value) {
+  const isArray = name.endsWith('[]');
+  const key = isArray ? name.slice(0, -2) : name;
+  if (UNSAFE_KEYS.has(key)) return;
+  if (isArray) {
+    if (!Array.isArray(target[key])) target[key] = target[key] === undefined ? [] : [target[key]];
+    target[key].push(value);
+  } else if (target[key] === undefined) {
+    target[key] = value;
+  } else {
+    if (!Array.isArray(target[key])) target[key] = [target[key]];
+    target[key].push(value);
+  }
+}
+
+/**
+ * Remove temp files of a parsed upload (ignores files already moved)
+ */
+function cleanupFiles(list) {
+  for (const file of list) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+/**
+ * Move an uploaded temp file, falling back to copy across devices
+ */
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+  return to;
+}
+
+/**
+ * Whether a path is a temp file created by this parser
+ */
+function isUploadPath(filePath, tmpDir = DEFAULTS.tmpDir) {
+  if (typeof filePath !== 'string') return false;
+  const resolved = path.resolve(filePath);
+  return path.dirname(resolved) === path.resolve(tmpDir) && path.basename(resolved).startsWith(TMP_PREFIX);
+}
+
+/**
+ * Parse a multipart/form-data request
+ * Resolves to { fields, files, list } where `list` holds every file in order.
+ * Limit errors reject with a 413 HttpError, malformed bodies with a 400.
+ *
+ * Usage: const { fields, files } = await parseMultipart(req, { fileSize: 2 * 1024 * 1024 })
+ */
+function parseMultipart(req, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const boundary = getBoundary(req.headers['content-type']);
+
+  return new Promise((resolve, reject) => {
+    if (!boundary) {
+      reject(createError(400, 'Missing multipart boundary'));
+      return;
+    }
+
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = {};
+    const list = [];
+    const pending = [];
+
+    // Prepend CRLF so the first boundary matches the same delimiter as the others
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let fieldCount = 0;
+    let done = false;
+
+    // Drain what the client is still sending while the error is answered,
+    // then close the connection rather than reading the rest of the upload
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      req.removeListener('data', onData);
+      if (part && part.stream) part.stream.destroy();
+      Promise.allSettled(pending).then(() => cleanupFiles(list));
+      req.resume();
+      const error = err.status ? err : createError(500, 'Could not store the upload', { cause: err });
+      error.headers = { ...error.headers, Connection: 'close' };
+      reject(error);
+    };
+
+    const startPart = (headers) => {
+      if (!headers.name) {
+        part = { skip: true };
+        return;
+      }
+
+      if (headers.filename === undefined) {
+        if (++fieldCount > opts.fields) throw createError(413, 'Too many fields');
+        part = { headers, chunks: [], size: 0 };
+        return;
+      }
+
+      // An empty file input still sends a part with filename=""
+      if (headers.filename === '') {
+        part = { skip: true };
+        return;
+      }
+
+      if (list.length >= opts.files) throw createError(413, 'Too many files');
+
+      const tmpPath = path.join(opts.tmpDir, TMP_PREFIX + crypto.randomBytes(12).toString('hex'));
+      const file = {
+        field: headers.name.replace(/\[\]$/, ''),
+        name: path.basename(headers.filename.replace(/\\/g, '/')),
+        declaredType: headers.contentType,
+        type: headers.contentType,
+        size: 0,
+        path: tmpPath,
+        tmp_name: tmpPath,
+        error: 0,
+        moveTo: (dest) => moveFile(tmpPath, dest)
+      };
+      Object.defineProperty(file, 'moveTo', { enumerable: false });
+
+      const stream = fs.createWriteStream(tmpPath);
+      pending.push(new Promise((res, rej) => {
+        stream.on('finish', res);
+        stream.on('error', rej);
+        stream.on('close', res);
+      }));
+      stream.on('error', (err) => fail(err));
+      stream.on('drain', () => { if (!done) req.resume(); });
+
+      list.push(file);
+      addValue(files, headers.name, file);
+      part = { headers, file, stream, head: Buffer.alloc(0) };
+    };
+
+    const writePart = (data) => {
+      if (!part || part.skip || data.length === 0) return;
+
+      if (part.file) {
+        part.file.size += data.length;
+        if (part.file.size > opts.fileSize) {
+          throw createError(413, `File "${part.file.name}" exceeds the ${opts.fileSize} bytes limit`);
+        }
+        if (part.head.length < 16) {
+          part.head = Buffer.concat([part.head, data.subarray(0, 16 - part.head.length)]);
+        }
+        if (!part.stream.write(data)) req.pause();
+        return;
+      }
+
+      part.size += data.length;
+      if (part.size > opts.fieldSize) {
+        throw createError(413, `Field "${part.headers.name}" exceeds the ${opts.fieldSize} bytes limit`);
+      }
+      part.chunks.push(data);
+    };
+
+    const endPart = () => {
+      if (!part || part.skip) return;
+      if (part.file) {
+        part.file.type = sniffMime(part.head) || part.file.declaredType;
+        part.stream.end();
+      } else {
+        addValue(fields, part.headers.name, Buffer.concat(part.chunks).toString('utf8'));
+      }
+      part = null;
+    };
+
+    const consume = () => {
+      while (true) {
+        if (state === 'preamble' || state === 'body') {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            // Keep a tail that may hold the start of a delimiter
+            const safe = buffer.length - delimiter.length;
+            if (safe > 0) {
+              if (state === 'body') writePart(buffer.subarray(0, safe));
+              buffer = buffer.subarray(safe);
+            }
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, idx));
+            endPart();
+          }
+          buffer = buffer.subarray(idx + delimiter.length);
+          state = 'after-delimiter';
+        }
+
+        if (state === 'after-delimiter') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'end';
+            buffer = Buffer.alloc(0);
+            return;
+          }
+          const eol = buffer.indexOf('\r\n');
+          if (eol === -1) return;
+          buffer = buffer.subarray(eol + 2);
+          state = 'headers';
+        }
+
+        if (state === 'headers') {
+          const idx = buffer.indexOf('\r\n\r\n');
+          if (idx === -1) {
+            if (buffer.length > 16 * 1024) throw createError(400, 'Multipart headers too large');
+            return;
+          }
+          startPart(parsePartHeaders(buffer.subarray(0, idx).toString('utf8')));
+          buffer = buffer.subarray(idx + 4);
+          state = 'body';
+        }
+
+        if (state === 'end') return;
+      }
+    };
+
+    const onData = (chunk) => {
+      // The epilogue after the closing delimiter is ignored, not buffered
+      if (done || state === 'end') return;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      try {
+        consume();
+      } catch (err) {
+        fail(err);
+      }
+    };
+
+    req.on('data', onData);
+    req.on('error', fail);
+    req.on('end', () => {
+      if (done) return;
+      if (state !== 'end') {
+        fail(createError(400, 'Unexpected end of multipart body'));
+        return;
+      }
+      done = true;
+      Promise.all(pending).then(() => resolve({ fields, files, list }), (err) => {
+        cleanupFiles(list);
+        reject(err);
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseMultipart,
+  cleanupFiles,
+  isUploadPath,
+  moveFile,
+  sniffMime,
+  getBoundary,
+  MULTIPART_DEFAULTS: DEFAULTS
+};
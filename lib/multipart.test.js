@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { PassThrough } = require('stream');
+const App = require('./app');
+const { parseMultipart, getBoundary, sniffMime, isUploadPath } = require('./multipart');
+
+const BOUNDARY = '----veko-test';
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+
+// Multipart body from [{ name, value }] / [{ name, filename, type, data }]
+function multipartBody(parts, epilogue = '') {
+  const chunks = [];
+  for (const part of parts) {
+    let head = `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${part.name}"`;
+    if (part.filename !== undefined) head += `; filename="${part.filename}"\r\nContent-Type: ${part.type || 'application/octet-stream'}`;
+    chunks.push(Buffer.from(`${head}\r\n\r\n`), Buffer.from(part.data || part.value || ''), Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${BOUNDARY}--\r\n${epilogue}`));
+  return Buffer.concat(chunks);
+}
+
+// Stream-like request, the body written in small chunks
+function fakeRequest(body, contentType = `multipart/form-data; boundary=${BOUNDARY}`) {
+  const req = new PassThrough();
+  req.headers = { 'content-type': contentType };
+  setImmediate(() => {
+    for (let i = 0; i < body.length; i += 7) req.write(body.subarray(i, i + 7));
+    req.end();
+  });
+  return req;
+}
+
+test('getBoundary and sniffMime', () => {
+  assert.equal(getBoundary('multipart/form-data; boundary="a b"'), 'a b');
+  assert.equal(getBoundary('multipart/form-data; boundary=xyz; charset=utf-8'), 'xyz');
+  assert.equal(getBoundary('multipart/form-data'), null);
+  assert.equal(sniffMime(PNG), 'image/png');
+  assert.equal(sniffMime(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'image/svg+xml');
+  assert.equal(sniffMime(Buffer.from('hello')), null);
+});
+
+test('fields, repeated names and files are parsed across chunk boundaries', async () => {
+  const body = multipartBody([
+    { name: 'title', value: 'Hello' },
+    { name: 'tags[]', value: 'a' },
+    { name: 'tags[]', value: 'b' },
+    { name: 'avatar', filename: '../../etc/face.png', type: 'text/plain', data: PNG }
+  ]);
+  const { fields, files, list } = await parseMultipart(fakeRequest(body));
+
+  assert.deepEqual(fields, { title: 'Hello', tags: ['a', 'b'] });
+  const avatar = files.avatar;
+  assert.equal(avatar.name, 'face.png');
+  assert.equal(avatar.declaredType, 'text/plain');
+  assert.equal(avatar.type, 'image/png');
+  assert.equal(avatar.size, PNG.length);
+  assert.ok(isUploadPath(avatar.path));
+  assert.deepEqual(fs.readFileSync(avatar.path), PNG);
+  assert.equal(list.length, 1);
+  fs.unlinkSync(avatar.path);
+});
+
+test('fields named __proto__, constructor or prototype are dropped', async () => {
+  const body = multipartBody([
+    { name: '__proto__', value: 'polluted' },
+    { name: '__proto__[]', value: 'polluted' },
+    { name: 'constructor', value: 'x' },
+    { name: 'prototype', filename: 'a.txt', data: 'x' },
+    { name: 'name', value: 'ok' }
+  ]);
+  const { fields, files, list } = await parseMultipart(fakeRequest(body));
+
+  assert.equal(Object.getPrototypeOf(fields), Object.prototype);
+  assert.equal(Object.getPrototypeOf(files), Object.prototype);
+  assert.deepEqual(Object.keys(fields), ['name']);
+  assert.deepEqual(Object.keys(files), []);
+  // The file was still written, so it is still cleaned up with the others
+  for (const file of list) fs.unlinkSync(file.path);
+});
+
+test('data after the closing delimiter is ignored', async () => {
+  const body = multipartBody([{ name: 'a', value: '1' }], 'x'.repeat(256 * 1024));
+  const { fields } = await parseMultipart(fakeRequest(body));
+  assert.deepEqual(fields, { a: '1' });
+});
+
+test('limits reject with 413 and Connection: close, and remove temp files', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-multipart-'));
+  try {
+    const big = multipartBody([{ name: 'doc', filename: 'big.bin', data: Buffer.alloc(2048) }]);
+    await assert.rejects(parseMultipart(fakeRequest(big), { fileSize: 1024, tmpDir }), (err) => {
+      assert.equal(err.status, 413);
+      assert.equal(err.headers.Connection, 'close');
+      return true;
+    });
+
+    const many = multipartBody([{ name: 'a', value: '1' }, { name: 'b', value: '2' }]);
+    await assert.rejects(parseMultipart(fakeRequest(many), { fields: 1, tmpDir }), { status: 413 });
+
+    const files = multipartBody([{ name: 'a', filename: 'a.txt', data: 'a' }, { name: 'b', filename: 'b.txt', data: 'b' }]);
+    await assert.rejects(parseMultipart(fakeRequest(files), { files: 1, tmpDir }), { status: 413 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(fs.readdirSync(tmpDir), []);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('malformed bodies reject with 400', async () => {
+  await assert.rejects(parseMultipart(fakeRequest(Buffer.from('x'), 'multipart/form-data')), { status: 400 });
+
+  const truncated = multipartBody([{ name: 'a', value: '1' }]).subarray(0, 40);
+  await assert.rejects(parseMultipart(fakeRequest(truncated)), { status: 400 });
+});
+
+test('req.files reaches route handlers and temp files go once the response ends', async () => {
+  const app = new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' } });
+  let uploaded = null;
+  app.post('/upload', (req, res) => {
+    uploaded = req.files.photo.path;
+    res.json({ body: req.body, exists: fs.existsSync(uploaded), type: req.files.photo.type });
+  });
+
+  const body = multipartBody([{ name: 'caption', value: 'Sunset' }, { name: 'photo', filename: 'p.png', data: PNG }]);
+  const server = http.createServer((req, res) => app.handleRequest(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/upload`, {
+      method: 'POST',
+      headers: { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` },
+      body
+    });
+    assert.deepEqual(await res.json(), { body: { caption: 'Sunset' }, exists: true, type: 'image/png' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(fs.existsSync(uploaded), false);
+  } finally {
+    server.close();
+  }
+});
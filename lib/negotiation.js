@@ -0,0 +1,175 @@
+/**
+ * VekoJS Content Negotiation
+ * Accept, Accept-Language and Accept-Encoding matching, Content-Disposition
+ * and Location encoding (no dependencies)
+ */
+
+const path = require('path');
+const { MIME_TYPES } = require('./static');
+
+const TYPE_ALIASES = {
+  text: 'text/plain',
+  form: 'application/x-www-form-urlencoded',
+  multipart: 'multipart/form-data',
+  bin: 'application/octet-stream'
+};
+
+/**
+ * MIME type of 'json', '.png', 'report.pdf' or 'text/csv' (returned as is)
+ */
+function lookupType(type) {
+  const value = String(type);
+  if (value.includes('/')) return value;
+  const name = value.toLowerCase();
+  const ext = name.startsWith('.') ? name : (path.extname(name) || `.${name}`);
+  return TYPE_ALIASES[name] || MIME_TYPES[ext] || null;
+}
+
+/**
+ * Parse an Accept-* header into [{ value, q, index }], q=0 entries kept
+ * (they exclude what they name)
+ */
+function parseHeader(header) {
+  const entries = [];
+  String(header).split(',').forEach((part, index) => {
+    const [value, ...params] = part.trim().split(';');
+    if (!value) return;
+    const q = params.map(p => /^\s*q=([\d.]+)\s*$/i.exec(p)).find(Boolean);
+    entries.push({ value: value.trim().toLowerCase(), q: q ? Math.min(parseFloat(q[1]) || 0, 1) : 1, index });
+  });
+  return entries;
+}
+
+/**
+ * Offers ordered by the quality the header gives them. `match(entry,
+ * offer)` returns a specificity (higher wins) or -1. Returns the best
+ * offer, false when none is acceptable, or the accepted values when no
+ * offers are given.
+ */
+function negotiate(header, offers, match, fallback) {
+  const entries = header === undefined || header === '' ? fallback : parseHeader(header);
+
+  if (offers.length === 0) {
+    return entries
+      .filter(e => e.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(e => e.value);
+  }
+
+  let best = null;
+  for (const offer of offers) {
+    let found = null;
+    for (const entry of entries) {
+      const specificity = match(entry.value, offer);
+      if (specificity < 0) continue;
+      if (!found || specificity > found.specificity || (specificity === found.specificity && entry.q > found.q)) {
+        found = { q: entry.q, specificity, index: entry.index };
+      }
+    }
+    if (!found || found.q <= 0) continue;
+    const better = !best || found.q > best.q || (found.q === best.q &&
+      (found.specificity > best.specificity || (found.specificity === best.specificity && found.index < best.index)));
+    if (better) {
+      best = { ...found, offer };
+    }
+  }
+  return best ? best.offer : false;
+}
+
+function matchType(range, offer) {
+  const type = lookupType(offer);
+  if (!type) return -1;
+  const [mime] = type.toLowerCase().split(';');
+  const [rangeType, rangeSub] = range.split('/');
+  const [offerType, offerSub] = mime.trim().split('/');
+  if (rangeType === '*' && (rangeSub === '*' || rangeSub === undefined)) return 0;
+  if (rangeType !== offerType) return -1;
+  if (rangeSub === '*') return 1;
+  return rangeSub === offerSub ? 2 : -1;
+}
+
+function matchLanguage(range, offer) {
+  const lang = offer.toLowerCase();
+  if (range === '*') return 0;
+  if (range === lang) return 3;
+  if (lang.startsWith(`${range}-`)) return 2;
+  if (range.startsWith(`${lang}-`)) return 1;
+  return -1;
+}
+
+function matchEncoding(range, offer) {
+  if (range === '*') return 0;
+  return range === offer.toLowerCase() ? 1 : -1;
+}
+
+const ANY_TYPE = [{ value: '*/*', q: 1, index: 0 }];
+const ANY_LANGUAGE = [{ value: '*', q: 1, index: 0 }];
+const IDENTITY = [{ value: 'identity', q: 1, index: 0 }];
+
+/**
+ * Best of the offered types ('json', 'html', 'text/csv'...) for the
+ * Accept header, false when none is acceptable
+ * Usage: accepts(req.headers.accept, ['html', 'json'])
+ */
+function accepts(header, offers = []) {
+  return negotiate(header, offers, matchType, ANY_TYPE);
+}
+
+function acceptsLanguages(header, offers = []) {
+  return negotiate(header, offers, matchLanguage, ANY_LANGUAGE);
+}
+
+/**
+ * identity stays acceptable unless refused (identity;q=0 or *;q=0)
+ */
+function acceptsEncodings(header, offers = []) {
+  if (!header) return negotiate(undefined, offers, matchEncoding, IDENTITY);
+  const entries = parseHeader(header);
+  if (!entries.some(e => e.value === 'identity' || e.value === '*')) {
+    header = `${header}, identity;q=0.001`;
+  }
+  return negotiate(header, offers, matchEncoding, IDENTITY);
+}
+
+/**
+ * Content-Disposition with an ASCII fallback and an RFC 5987 filename*
+ * for other names. Path parts and control characters are dropped.
+ * Usage: contentDisposition('rapport été.pdf') // attachment; filename="rapport ?t?.pdf"; filename*=UTF-8''...
+ */
+function contentDisposition(filename, type = 'attachment') {
+  if (filename === undefined || filename === null) return type;
+  const name = path.basename(String(filename).replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '');
+  const fallback = name.replace(/[^\x20-\x7e]/g, '?').replace(/["\\]/g, '\\$&');
+  let value = `${type}; filename="${fallback}"`;
+  if (/[^\x20-\x7e]/.test(name)) {
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    value += `; filename*=UTF-8''${encoded}`;
+  }
+  return value;
+}
+
+/**
+ * Percent-encode what a Location header cannot carry (spaces, non-ASCII,
+ * CR/LF) and leave existing %XX escapes alone
+ */
+function encodeLocation(url) {
+  return String(url).replace(/%(?![0-9A-Fa-f]{2})|[^\x21-\x7e]+|["<>\\^`{|}]/g, (chunk) => {
+    if (chunk === '%') return '%25';
+    try {
+      return encodeURI(chunk);
+    } catch (e) {
+      // lone surrogate
+      return '';
+    }
+  });
+}
+
+module.exports = {
+  accepts,
+  acceptsLanguages,
+  acceptsEncodings,
+  lookupType,
+  contentDisposition,
+  encodeLocation,
+  parseHeader
+};
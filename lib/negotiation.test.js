@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const {
+  accepts,
+  acceptsLanguages,
+  acceptsEncodings,
+  lookupType,
+  contentDisposition,
+  encodeLocation
+} = require('./negotiation');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+test('accepts: quality, specificity, exclusions and header order', () => {
+  assert.equal(accepts('text/html, application/json;q=0.9', ['json', 'html']), 'html');
+  assert.equal(accepts('application/*;q=0.5, application/json', ['xml', 'json']), 'json');
+  assert.equal(accepts('*/*, text/html;q=0', ['html']), false);
+  assert.equal(accepts(undefined, ['json', 'html']), 'json');
+  assert.equal(accepts('image/png', ['json']), false);
+  assert.deepEqual(accepts('text/html;q=0.5, application/json, image/png;q=0'), ['application/json', 'text/html']);
+});
+
+test('acceptsLanguages matches prefixes both ways', () => {
+  assert.equal(acceptsLanguages('fr-CH, en;q=0.8', ['en', 'fr']), 'fr');
+  assert.equal(acceptsLanguages('en-US', ['fr', 'en']), 'en');
+  assert.equal(acceptsLanguages('fr', ['fr-FR', 'de']), 'fr-FR');
+  assert.equal(acceptsLanguages('de', ['fr']), false);
+});
+
+test('acceptsEncodings keeps identity unless refused', () => {
+  assert.equal(acceptsEncodings('gzip', ['br', 'identity']), 'identity');
+  assert.equal(acceptsEncodings('br, gzip;q=0.5', ['gzip', 'br']), 'br');
+  assert.equal(acceptsEncodings('*;q=0', ['identity']), false);
+  assert.equal(acceptsEncodings(undefined, ['identity']), 'identity');
+});
+
+test('lookupType, contentDisposition and encodeLocation', () => {
+  assert.equal(lookupType('json'), 'application/json');
+  assert.equal(lookupType('report.pdf'), 'application/pdf');
+  assert.equal(lookupType('text/csv'), 'text/csv');
+  assert.equal(lookupType('.unknownext'), null);
+
+  assert.equal(contentDisposition('../../etc/passwd'), 'attachment; filename="passwd"');
+  assert.equal(contentDisposition('a"b\r\n.txt', 'inline'), 'inline; filename="a\\"b.txt"');
+  assert.equal(contentDisposition('rapport été.pdf'), `attachment; filename="rapport ?t?.pdf"; filename*=UTF-8''rapport%20%C3%A9t%C3%A9.pdf`);
+
+  assert.equal(encodeLocation('/search?q=café bar&x=%20'), '/search?q=caf%C3%A9%20bar&x=%20');
+  assert.equal(encodeLocation('/a\r\nSet-Cookie: x=1'), '/a%0D%0ASet-Cookie:%20x=1');
+  assert.equal(encodeLocation('/100%'), '/100%25');
+});
+
+test('res.format picks a handler, sets Vary and answers 406', async () => {
+  const app = createApp();
+  app.get('/doc', (req, res) => res.format({
+    html: () => res.end('<p>hi</p>'),
+    json: () => res.end('{"hi":true}')
+  }));
+  app.get('/fallback', (req, res) => res.format({ json: () => res.json({}), default: () => res.send('plain') }));
+
+  const html = await request(app, '/doc', { accept: 'text/html' });
+  assert.equal(html.headers['content-type'], 'text/html; charset=utf-8');
+  assert.match(html.headers.vary, /^Accept(,|$)/);
+  assert.equal((await request(app, '/doc', { accept: 'application/json' })).body, '{"hi":true}');
+  assert.equal((await request(app, '/doc', { accept: 'image/png' })).status, 406);
+  assert.equal((await request(app, '/fallback', { accept: 'image/png' })).body, 'plain');
+});
+
+test('res.attachment, res.redirect and req.accepts* in handlers', async () => {
+  const app = createApp();
+  app.get('/export', (req, res) => res.attachment('données.csv').end('a,b'));
+  app.get('/go', (req, res) => res.redirect('/search?q=été'));
+  app.get('/lang', (req, res) => res.json({ lang: req.acceptsLanguages('en', 'fr'), type: req.accepts('html', 'json') }));
+
+  const file = await request(app, '/export');
+  assert.equal(file.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.match(file.headers['content-disposition'], /filename\*=UTF-8''donn%C3%A9es\.csv/);
+  assert.equal((await request(app, '/go')).headers.location, '/search?q=%C3%A9t%C3%A9');
+  assert.equal((await request(app, '/lang', { 'accept-language': 'fr-FR', accept: 'application/json' })).body, '{"lang":"fr","type":"json"}');
+});
@@ -0,0 +1,156 @@
+/**
+ * VekoJS Trusted Proxies
+ * req.ip, req.ips, req.protocol, req.secure, req.host and req.hostname from the
+ * Forwarded / X-Forwarded-* headers of trusted proxies only (no dependencies)
+ */
+
+const net = require('net');
+
+// Named ranges usable in trustProxy
+const RANGES = {
+  loopback: ['127.0.0.1/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+/**
+ * Build the trust function (address, hop) -> boolean from the trustProxy option:
+ *   false / undefined       trust nobody, headers are ignored
+ *   true                    trust every hop (only behind a proxy that overwrites the headers)
+ *   2                       trust the 2 nearest hops
+ *   'loopback, 10.0.0.0/8'  trust these addresses / CIDR ranges (string or array)
+ *   (address, hop) => bool  custom
+ * `option` names the setting in errors (the syntax also serves metrics.allow).
+ */
+function compileTrust(value, option = 'trustProxy') {
+  if (typeof value === 'function') return value;
+  if (value === true) return () => true;
+  if (!value) return () => false;
+  if (typeof value === 'number') return (address, hop) => hop < value;
+
+  const list = new net.BlockList();
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  for (const entry of entries.map(e => String(e).trim()).filter(Boolean)) {
+    for (const range of RANGES[entry] || [entry]) {
+      const [address, prefix] = range.split('/');
+      const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+      if (!net.isIP(address)) throw new Error(`Invalid ${option} address "${range}"`);
+      if (prefix === undefined) {
+        list.addAddress(address, type);
+      } else {
+        list.addSubnet(address, Number(prefix), type);
+      }
+    }
+  }
+
+  return (address) => {
+    const version = net.isIP(address);
+    return version !== 0 && list.check(address, version === 6 ? 'ipv6' : 'ipv4');
+  };
+}
+
+/**
+ * Address without quotes, brackets or port ("[2001:db8::1]:4711" -> "2001:db8::1")
+ */
+function cleanAddress(value) {
+  let address = String(value || '').trim().replace(/^"|"$/g, '');
+  const bracket = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+  if (bracket) return bracket[1];
+  if (net.isIP(address) === 0 && /^[\d.]+:\d+$/.test(address)) address = address.replace(/:\d+$/, '');
+  return address;
+}
+
+/**
+ * Parse an RFC 7239 Forwarded header into [{ for, proto, host }], client first
+ */
+function parseForwarded(header) {
+  const elements = [];
+  for (const element of String(header).split(',')) {
+    const entry = {};
+    for (const pair of element.split(';')) {
+      const index = pair.indexOf('=');
+      if (index === -1) continue;
+      const name = pair.slice(0, index).trim().toLowerCase();
+      entry[name] = pair.slice(index + 1).trim().replace(/^"|"$/g, '');
+    }
+    elements.push(entry);
+  }
+  return elements;
+}
+
+function splitHeader(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Hops reported by the proxies, client first: [{ for, proto, host }]
+ * The Forwarded header wins over X-Forwarded-*.
+ */
+function forwardedHops(req) {
+  if (req.headers.forwarded) {
+    return parseForwarded(req.headers.forwarded).map(e => ({
+      for: cleanAddress(e.for),
+      proto: e.proto,
+      host: e.host
+    }));
+  }
+
+  const addresses = splitHeader(req.headers['x-forwarded-for']);
+  const protos = splitHeader(req.headers['x-forwarded-proto']);
+  const hosts = splitHeader(req.headers['x-forwarded-host']);
+  // Proxies usually send a single proto/host: it belongs to the client side
+  return addresses.map((address, i) => ({
+    for: cleanAddress(address),
+    proto: protos.length === addresses.length ? protos[i] : protos[0],
+    host: hosts.length === addresses.length ? hosts[i] : hosts[0]
+  }));
+}
+
+function stripPort(host) {
+  if (!host) return undefined;
+  if (host.startsWith('[')) return host.slice(1, host.indexOf(']'));
+  return host.replace(/:\d+$/, '');
+}
+
+/**
+ * Set req.ip, req.ips, req.protocol, req.secure, req.host (with the port)
+ * and req.hostname.
+ *
+ * Walks from the socket peer towards the client while hops are trusted:
+ * the first untrusted address is the client. Proto and host come from the
+ * hop reported by the outermost trusted proxy.
+ */
+function applyProxy(req, trust) {
+  const socket = req.socket || {};
+  const peer = socket.remoteAddress;
+  const hops = trust(peer, 0) ? forwardedHops(req) : [];
+
+  let trusted = 0;   // proxies whose headers are believed, nearest first
+  let ip = peer;
+  while (trusted < hops.length) {
+    const current = trusted === 0 ? peer : hops[hops.length - trusted].for;
+    if (trusted > 0 && !trust(current, trusted)) break;
+    trusted++;
+    ip = hops[hops.length - trusted].for;
+  }
+
+  const hop = trusted > 0 ? hops[hops.length - trusted] : null;
+  const direct = socket.encrypted || req.httpVersionMajor >= 2 ? 'https' : 'http';
+  const proto = hop && hop.proto ? hop.proto.toLowerCase() : direct;
+  const host = hop && hop.host ? hop.host : (req.headers.host || req.headers[':authority']);
+
+  req.ip = ip;
+  req.ips = hops.slice(hops.length - trusted).map(h => h.for);
+  req.protocol = proto === 'https' ? 'https' : 'http';
+  req.secure = req.protocol === 'https';
+  req.host = host;
+  req.hostname = stripPort(host);
+}
+
+module.exports = {
+  compileTrust,
+  applyProxy,
+  parseForwarded,
+  forwardedHops
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { compileTrust, applyProxy, parseForwarded } = require('./proxy');
+
+function fakeRequest(peer, headers = {}, encrypted = false) {
+  return { socket: { remoteAddress: peer, encrypted }, headers: { host: 'app.local:3000', ...headers }, httpVersionMajor: 1 };
+}
+
+function resolve(trustProxy, peer, headers, encrypted) {
+  const req = fakeRequest(peer, headers, encrypted);
+  applyProxy(req, compileTrust(trustProxy));
+  return { ip: req.ip, ips: req.ips, protocol: req.protocol, secure: req.secure, hostname: req.hostname };
+}
+
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers: { accept: 'application/json', ...headers }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const FORWARDED = { 'x-forwarded-for': '6.6.6.6, 1.1.1.1, 10.0.0.2', 'x-forwarded-proto': 'https', 'x-forwarded-host': 'example.com' };
+
+test('without trustProxy the headers are ignored', () => {
+  assert.deepEqual(resolve(undefined, '127.0.0.1', FORWARDED), {
+    ip: '127.0.0.1', ips: [], protocol: 'http', secure: false, hostname: 'app.local'
+  });
+  assert.equal(resolve(false, '127.0.0.1', {}, true).protocol, 'https');
+});
+
+test('trusted ranges stop at the first untrusted address', () => {
+  assert.deepEqual(resolve('loopback', '127.0.0.1', FORWARDED), {
+    ip: '10.0.0.2', ips: ['10.0.0.2'], protocol: 'https', secure: true, hostname: 'example.com'
+  });
+  // 6.6.6.6 was written by the client: 1.1.1.1 is the first untrusted hop
+  assert.deepEqual(resolve(['loopback', '10.0.0.0/8'], '127.0.0.1', FORWARDED).ips, ['1.1.1.1', '10.0.0.2']);
+  assert.equal(resolve('loopback, uniquelocal', '127.0.0.1', FORWARDED).ip, '1.1.1.1');
+  // An untrusted peer cannot forward anything
+  assert.equal(resolve('loopback', '8.8.8.8', FORWARDED).ip, '8.8.8.8');
+});
+
+test('hop counts and true', () => {
+  assert.equal(resolve(1, '127.0.0.1', FORWARDED).ip, '10.0.0.2');
+  assert.equal(resolve(2, '127.0.0.1', FORWARDED).ip, '1.1.1.1');
+  assert.equal(resolve(true, '127.0.0.1', FORWARDED).ip, '6.6.6.6');
+});
+
+test('Forwarded wins over X-Forwarded-*, with quoted IPv6 and ports', () => {
+  assert.deepEqual(parseForwarded('for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8::1]:4711"'), [
+    { for: '192.0.2.60', proto: 'http', by: '203.0.113.43' },
+    { for: '[2001:db8::1]:4711' }
+  ]);
+  const headers = { ...FORWARDED, forwarded: 'for="[2001:db8::1]:4711";proto=https;host="shop.example:8443"' };
+  assert.deepEqual(resolve(true, '::1', headers), {
+    ip: '2001:db8::1', ips: ['2001:db8::1'], protocol: 'https', secure: true, hostname: 'shop.example'
+  });
+});
+
+test('invalid trustProxy entries throw', () => {
+  assert.throws(() => compileTrust('loopback, not-an-ip'), /Invalid trustProxy address "not-an-ip"/);
+});
+
+test('routes and the rate limiter see the forwarded client', async () => {
+  const app = new App({ staticDir: false, trustProxy: 'loopback', rateLimit: { max: 1 }, logger: { level: 'silent' } });
+  app.get('/whoami', (req, res) => res.json({ ip: req.ip, protocol: req.protocol, hostname: req.hostname }));
+
+  const first = await request(app, '/whoami', { 'x-forwarded-for': '1.1.1.1', 'x-forwarded-proto': 'https' });
+  assert.deepEqual(first.json, { ip: '1.1.1.1', protocol: 'https', hostname: '127.0.0.1' });
+  assert.equal((await request(app, '/whoami', { 'x-forwarded-for': '2.2.2.2' })).status, 200);
+  assert.equal((await request(app, '/whoami', { 'x-forwarded-for': '1.1.1.1' })).status, 429);
+  await app.close();
+});
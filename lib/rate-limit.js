@@ -0,0 +1,324 @@
+/**
+ * VekoJS Rate Limiting
+ * Fixed window, sliding window and token bucket limiters over pluggable
+ * stores (no dependencies)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { appMetric } = require('./metrics');
+
+/**
+ * In-memory store with TTL eviction (one process)
+ *
+ * Store interface, for custom stores (Redis...):
+ *   update(key, ttlMs, fn) -> new value   fn(current|undefined) returns the next value
+ *   reset(key)
+ *   close()
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), options.checkPeriod || 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  update(key, ttlMs, fn) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const current = entry && entry.expires > now ? entry.value : undefined;
+    const value = fn(current);
+    this.entries.set(key, { value, expires: now + ttlMs });
+    return value;
+  }
+
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expires <= now) this.entries.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-backed store shared by processes on one machine (cluster workers).
+ * One JSON file per key, updated under a lock file. The default directory
+ * is per application (entry script), so apps on one machine never share
+ * counters.
+ */
+class FileStore {
+  constructor(options = {}) {
+    this.dir = options.dir || defaultStoreDir();
+    this.lockTimeout = options.lockTimeout || 1000;
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    this.sweeper = setInterval(() => this.sweep(), options.checkPeriod || 5 * 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  file(key) {
+    return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+
+  async lock(file) {
+    const lockFile = file + '.lock';
+    const deadline = Date.now() + this.lockTimeout;
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockFile, 'wx');
+        await handle.close();
+        return () => fs.promises.unlink(lockFile).catch(() => {});
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        // Lock left by a crashed process
+        const stat = await fs.promises.stat(lockFile).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.lockTimeout) {
+          await fs.promises.unlink(lockFile).catch(() => {});
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw createError(503, 'Rate limit store is busy (lock timeout)', { headers: { 'Retry-After': '1' } });
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    }
+  }
+
+  async update(key, ttlMs, fn) {
+    const file = this.file(key);
+    const unlock = await this.lock(file);
+    try {
+      const now = Date.now();
+      let current;
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (entry.expires > now) current = entry.value;
+      } catch (e) {
+        // missing or unreadable: start over
+      }
+      const value = fn(current);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ value, expires: now + ttlMs }));
+      await fs.promises.rename(tmp, file);
+      return value;
+    } finally {
+      await unlock();
+    }
+  }
+
+  async reset(key) {
+    await fs.promises.unlink(this.file(key)).catch(() => {});
+  }
+
+  async sweep() {
+    const now = Date.now();
+    const files = await fs.promises.readdir(this.dir).catch(() => []);
+    for (const name of files) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(this.dir, name);
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (entry.expires <= now) await fs.promises.unlink(file);
+      } catch (e) {
+        // being written or already gone
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+/**
+ * tmpdir/veko-rate-limit-<hash of the entry script>: shared by the workers
+ * of one app, distinct between apps
+ */
+function defaultStoreDir() {
+  const app = process.argv[1] || process.cwd();
+  const hash = crypto.createHash('sha1').update(app).digest('hex').slice(0, 12);
+  return path.join(os.tmpdir(), `veko-rate-limit-${hash}`);
+}
+
+/**
+ * Algorithms: (state, now, options) -> { state, allowed, remaining, reset }
+ * `reset` is the number of ms until a request is allowed again / the
+ * window resets.
+ */
+const ALGORITHMS = {
+  // Counter reset at the end of each window
+  'fixed-window': {
+    ttl: (o) => o.windowMs,
+    step(state, now, o) {
+      const s = state && now - state.start < o.windowMs ? state : { start: now, count: 0 };
+      const allowed = s.count < o.max;
+      const next = { start: s.start, count: allowed ? s.count + 1 : s.count };
+      return { state: next, allowed, remaining: o.max - next.count, reset: s.start + o.windowMs - now };
+    }
+  },
+
+  // Current window plus the previous one weighted by how much of it overlaps
+  'sliding-window': {
+    ttl: (o) => o.windowMs * 2,
+    step(state, now, o) {
+      const windowStart = now - (now % o.windowMs);
+      let s = state || { start: windowStart, count: 0, previous: 0 };
+      if (s.start !== windowStart) {
+        const previous = windowStart - s.start === o.windowMs ? s.count : 0;
+        s = { start: windowStart, count: 0, previous };
+      }
+      const weight = 1 - (now - windowStart) / o.windowMs;
+      const used = s.previous * weight + s.count;
+      const allowed = used + 1 <= o.max;
+      const next = { ...s, count: allowed ? s.count + 1 : s.count };
+      return {
+        state: next,
+        allowed,
+        remaining: Math.max(0, Math.floor(o.max - (s.previous * weight + next.count))),
+        reset: windowStart + o.windowMs - now
+      };
+    }
+  },
+
+  // Bucket of `burst` tokens refilled at max/windowMs; allows short bursts
+  'token-bucket': {
+    // Time for an empty bucket to refill, after which state is not needed
+    ttl: (o) => Math.ceil((o.burst || o.max) / o.max * o.windowMs),
+    step(state, now, o) {
+      const capacity = o.burst || o.max;
+      const rate = o.max / o.windowMs;
+      const s = state || { tokens: capacity, updated: now };
+      const tokens = Math.min(capacity, s.tokens + (now - s.updated) * rate);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      return {
+        state: { tokens: left, updated: now },
+        allowed,
+        remaining: Math.floor(left),
+        reset: allowed ? Math.ceil((capacity - left) / rate) : Math.ceil((1 - left) / rate)
+      };
+    }
+  }
+};
+
+const DEFAULTS = {
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  algorithm: 'fixed-window',   // 'fixed-window', 'sliding-window' or 'token-bucket'
+  burst: 0,                    // token bucket capacity (defaults to max)
+  message: 'Too many requests',
+  headers: true,               // RateLimit-* headers
+  store: null,                 // MemoryStore by default
+  keyGenerator: null,          // (req) => key, defaults to the client IP
+  skip: null,                  // (req) => true to bypass the limiter
+  prefix: null                 // store key prefix, unique per limiter by default
+};
+
+// Limiters numbered in creation order: the same code creates the same
+// prefixes in every cluster worker, so a shared store still works
+let limiterCount = 0;
+
+/**
+ * Rate limiter
+ * Usage: const limiter = new RateLimiter({ max: 5, windowMs: 60000 }); app.post('/login', limiter.middleware(), handler)
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.algorithm = ALGORITHMS[this.options.algorithm];
+    if (!this.algorithm) {
+      throw new Error(`Unknown rate limit algorithm "${this.options.algorithm}"`);
+    }
+    this.store = this.options.store || new MemoryStore({ checkPeriod: Math.min(this.options.windowMs, 60 * 1000) });
+    this.prefix = this.options.prefix || `rl:${++limiterCount}:`;
+    this.windowMs = this.options.windowMs;
+    this.max = this.options.max;
+    this.message = this.options.message;
+  }
+
+  /**
+   * Client key: keyGenerator, else req.ip, else the socket address.
+   * X-Forwarded-For is only trusted through req.ip (trustProxy).
+   */
+  key(req) {
+    if (this.options.keyGenerator) return String(this.options.keyGenerator(req));
+    return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+  }
+
+  /**
+   * Count one request for a key
+   * Resolves to { allowed, limit, remaining, reset } (reset in ms)
+   */
+  async consume(key) {
+    const now = Date.now();
+    let result;
+    await this.store.update(this.prefix + key, this.algorithm.ttl(this.options), (state) => {
+      result = this.algorithm.step(state, now, this.options);
+      return result.state;
+    });
+    return { allowed: result.allowed, limit: this.max, remaining: Math.max(0, result.remaining), reset: result.reset };
+  }
+
+  reset(key) {
+    return this.store.reset(this.prefix + key);
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      if (this.options.skip && this.options.skip(req)) return next();
+
+      const info = await this.consume(this.key(req));
+      const resetSeconds = Math.max(0, Math.ceil(info.reset / 1000));
+      req.rateLimit = info;
+
+      if (this.options.headers) {
+        res.setHeader('RateLimit-Limit', info.limit);
+        res.setHeader('RateLimit-Remaining', info.remaining);
+        res.setHeader('RateLimit-Reset', resetSeconds);
+        res.setHeader('RateLimit-Policy', `${info.limit};w=${Math.ceil(this.windowMs / 1000)}`);
+      }
+
+      if (!info.allowed) {
+        const rejections = appMetric(req.app, 'rate_limit_rejections_total');
+        if (rejections) rejections.inc();
+        throw createError(429, this.message, { headers: { 'Retry-After': String(Math.max(1, resetSeconds)) } });
+      }
+      next();
+    };
+  }
+
+  close() {
+    if (this.store.close) this.store.close();
+  }
+}
+
+/**
+ * Per-route limiter middleware
+ * Usage: app.post('/login', rateLimit({ max: 5, windowMs: 60 * 1000 }), handler)
+ */
+function rateLimit(options = {}) {
+  const limiter = new RateLimiter(options);
+  const middleware = limiter.middleware();
+  middleware.limiter = limiter;
+  return middleware;
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryStore,
+  FileStore,
+  rateLimit,
+  RATE_LIMIT_ALGORITHMS: ALGORITHMS,
+  RATE_LIMIT_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const App = require('./app');
+const { RateLimiter, MemoryStore, FileStore, rateLimit, RATE_LIMIT_ALGORITHMS } = require('./rate-limit');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: { accept: 'application/json', ...headers }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          const text = Buffer.concat(chunks).toString();
+          const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(text) : null;
+          resolve({ status: res.statusCode, headers: res.headers, body: text, json });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+// Run an algorithm over request timestamps, returning the allowed flags
+function run(name, times, options) {
+  const algorithm = RATE_LIMIT_ALGORITHMS[name];
+  let state;
+  return times.map((now) => {
+    const result = algorithm.step(state, now, options);
+    state = result.state;
+    return result.allowed;
+  });
+}
+
+test('fixed window: max per window, reset at the window end', () => {
+  const options = { windowMs: 1000, max: 2 };
+  assert.deepEqual(run('fixed-window', [0, 100, 200, 999, 1000, 1001], options), [true, true, false, false, true, true]);
+});
+
+test('sliding window weighs the previous window', () => {
+  const options = { windowMs: 1000, max: 2 };
+  // Two requests late in window 0 still count at the start of window 1
+  assert.deepEqual(run('sliding-window', [900, 950, 1100, 1600], options), [true, true, false, true]);
+});
+
+test('token bucket allows a burst, then refills at max/windowMs', () => {
+  const options = { windowMs: 1000, max: 2, burst: 3 };
+  assert.deepEqual(run('token-bucket', [0, 0, 0, 0, 500, 500], options), [true, true, true, false, true, false]);
+});
+
+test('unknown algorithms are rejected', () => {
+  assert.throws(() => new RateLimiter({ algorithm: 'leaky' }), /Unknown rate limit algorithm "leaky"/);
+});
+
+test('limiters with the same options on one store keep separate counters', async () => {
+  const store = new MemoryStore();
+  const login = new RateLimiter({ max: 1, windowMs: 60000, store });
+  const signup = new RateLimiter({ max: 1, windowMs: 60000, store });
+  assert.notEqual(login.prefix, signup.prefix);
+
+  assert.equal((await login.consume('1.2.3.4')).allowed, true);
+  assert.equal((await signup.consume('1.2.3.4')).allowed, true);
+  assert.equal((await login.consume('1.2.3.4')).allowed, false);
+
+  const named = new RateLimiter({ max: 1, store, prefix: 'shared:' });
+  assert.equal(named.prefix, 'shared:');
+  store.close();
+});
+
+test('middleware sets RateLimit headers and answers 429 with Retry-After', async () => {
+  const app = createApp();
+  app.get('/login', rateLimit({ max: 2, windowMs: 60000 }), (req, res) => res.json({ remaining: req.rateLimit.remaining }));
+  app.get('/skipped', rateLimit({ max: 1, skip: () => true }), (req, res) => res.json({ ok: true }));
+
+  const first = await request(app, 'GET', '/login');
+  assert.deepEqual(first.json, { remaining: 1 });
+  assert.equal(first.headers['ratelimit-limit'], '2');
+  assert.equal(first.headers['ratelimit-policy'], '2;w=60');
+  await request(app, 'GET', '/login');
+
+  const limited = await request(app, 'GET', '/login');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers['ratelimit-remaining'], '0');
+  assert.ok(Number(limited.headers['retry-after']) >= 1);
+  assert.equal(limited.json.error, 'Too many requests');
+
+  await request(app, 'GET', '/skipped');
+  assert.equal((await request(app, 'GET', '/skipped')).status, 200);
+});
+
+test('the app limiter does not count health routes', async () => {
+  const app = createApp({ rateLimit: { max: 1 } });
+  app.health();
+  app.get('/', (req, res) => res.json({ ok: true }));
+  assert.equal((await request(app, 'GET', '/')).status, 200);
+  assert.equal((await request(app, 'GET', '/healthz')).status, 200);
+  assert.equal((await request(app, 'GET', '/')).status, 429);
+  await app.close();
+});
+
+test('FileStore: shared counters, per-app default directory', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-rl-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const a = new FileStore({ dir });
+  const b = new FileStore({ dir });
+  const increment = value => (value || 0) + 1;
+
+  assert.equal(await a.update('k', 60000, increment), 1);
+  assert.equal(await b.update('k', 60000, increment), 2);
+  await b.reset('k');
+  assert.equal(await a.update('k', 60000, increment), 1);
+  a.close();
+  b.close();
+
+  const store = new FileStore();
+  store.close();
+  fs.rmSync(store.dir, { recursive: true, force: true });
+  assert.match(path.basename(store.dir), /^veko-rate-limit-[0-9a-f]{12}$/);
+});
+
+test('FileStore lock timeout is a 503, not a 500', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-rl-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new FileStore({ dir, lockTimeout: 30 });
+  t.after(() => store.close());
+
+  // A lock held by a live process (fresh mtime)
+  const lockFile = store.file('rl:busy:127.0.0.1') + '.lock';
+  fs.writeFileSync(lockFile, '');
+  const future = new Date(Date.now() + 60000);
+  fs.utimesSync(lockFile, future, future);
+
+  const app = createApp();
+  app.get('/busy', rateLimit({ store, prefix: 'rl:busy:' }), (req, res) => res.json({ ok: true }));
+  const res = await request(app, 'GET', '/busy');
+  assert.equal(res.status, 503);
+  assert.equal(res.headers['retry-after'], '1');
+});
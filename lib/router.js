@@ -0,0 +1,651 @@
+/**
+ * VekoJS Router
+ * Routes, middleware and mountable sub-routers (no dependencies)
+ */
+
+const { compileRouteSchema } = require('./schema');
+const { createError } = require('./errors');
+const { responseEnded } = require('./compression');
+
+/**
+ * Run a (req, res, next) handler — or an (err, req, res, next) error
+ * handler when `err` is given. Resolves to true if the handler called
+ * next(), to false once it settles otherwise: its promise resolved, the
+ * response ended, or it returned synchronously without declaring `next`.
+ * Rejects with the error passed to next(err) or thrown.
+ */
+function runHandler(handler, req, res, err) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const onEnd = () => settle(resolve, false);
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      res.removeListener('finish', onEnd);
+      res.removeListener('close', onEnd);
+      fn(value);
+    };
+    const next = (e) => (e ? settle(reject, e) : settle(resolve, true));
+
+    res.on('finish', onEnd);
+    res.on('close', onEnd);
+
+    try {
+      const result = err !== undefined
+        ? handler(err, req, res, next)
+        : handler(req, res, next);
+      if (result && typeof result.then === 'function') {
+        result.then(() => settle(resolve, false), e => settle(reject, e));
+      } else if (responseEnded(res) || handler.length < (err !== undefined ? 4 : 3)) {
+        settle(resolve, false);
+      }
+    } catch (e) {
+      settle(reject, e);
+    }
+  });
+}
+
+/**
+ * Built-in parameter types: ":id<int>" matches and coerces to a number
+ */
+const PARAM_TYPES = {
+  int: { pattern: '-?\\d+', parse: Number },
+  number: { pattern: '-?\\d+(?:\\.\\d+)?', parse: Number },
+  string: { pattern: '[^/]+', parse: v => v }
+};
+
+/**
+ * Prefix tree node. Each level holds one path segment; children are tried
+ * static first, then parameters, then the wildcard.
+ */
+class RouteNode {
+  constructor() {
+    this.static = new Map();
+    this.params = [];
+    this.wildcard = null;
+    this.methods = new Map();
+  }
+}
+
+/**
+ * Split a pathname into segments, ignoring a single trailing slash
+ */
+function splitPath(pathname) {
+  const segments = pathname.split('/').slice(1);
+  if (segments.length > 1 && segments[segments.length - 1] === '') segments.pop();
+  return segments;
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse ":name<type>(constraint)?suffix" into a param token, or null
+ */
+function parseParam(segment) {
+  const head = segment.match(/^:(\w+)/);
+  if (!head) return null;
+
+  const token = { type: 'param', name: head[1], paramType: null, constraint: null, optional: false, suffix: '' };
+  let rest = segment.slice(head[0].length);
+
+  const typed = rest.match(/^<(\w+)>/);
+  if (typed) {
+    if (!PARAM_TYPES[typed[1]]) throw new Error(`Unknown route param type "${typed[1]}" in "${segment}"`);
+    token.paramType = typed[1];
+    rest = rest.slice(typed[0].length);
+  }
+
+  if (rest[0] === '(') {
+    // Balanced scan so constraints may contain groups: ":slug((?:a|b)+)"
+    let depth = 0;
+    let i = 0;
+    for (; i < rest.length; i++) {
+      if (rest[i] === '\\') { i++; continue; }
+      if (rest[i] === '(') depth++;
+      if (rest[i] === ')' && --depth === 0) break;
+    }
+    if (depth !== 0) throw new Error(`Unbalanced constraint in route segment "${segment}"`);
+    token.constraint = rest.slice(1, i);
+    rest = rest.slice(i + 1);
+  }
+
+  if (rest[0] === '?') {
+    token.optional = true;
+    rest = rest.slice(1);
+  }
+
+  if (/[:*()<>?]/.test(rest)) return null;
+  token.suffix = rest;
+  token.pattern = token.constraint || (token.paramType ? PARAM_TYPES[token.paramType].pattern : '[^/]+');
+  // Tested on the decoded value, where a plain param may hold an encoded '/'
+  token.test = new RegExp(`^(?:${token.pattern === '[^/]+' ? '[\\s\\S]+' : token.pattern})$`);
+  return token;
+}
+
+/**
+ * Tokenize a route path into segments:
+ *   static   "users"
+ *   param    ":id", ":id<int>", ":id(\\d+)", ":page?", ":name.js"
+ *   wildcard "*" or "*path" (last segment only)
+ *   raw      anything else (e.g. ":from-:to"), matched by regex only
+ */
+function parsePath(path) {
+  const segments = splitPath(path);
+  return segments.map((segment, i) => {
+    const isLast = i === segments.length - 1;
+    const wildcard = segment.match(/^\*(\w*)$/);
+    if (wildcard && isLast) return { type: 'wildcard', name: wildcard[1] || null };
+    if (!/[:*]/.test(segment)) return { type: 'static', value: segment };
+    return (segment[0] === ':' && parseParam(segment)) || { type: 'raw', value: segment };
+  });
+}
+
+/**
+ * Percent-decode a path segment ('hello%20world' -> 'hello world'), the
+ * inverse of the encodeURIComponent() in buildPath(). A malformed escape
+ * is the client's fault: 400.
+ */
+function decodeSegment(value) {
+  if (!value.includes('%')) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw createError(400, `Malformed URL escape in "${value}"`);
+  }
+}
+
+/**
+ * Coerce a raw param value according to its declared type
+ */
+function coerceParam(token, value) {
+  return token.paramType ? PARAM_TYPES[token.paramType].parse(value) : value;
+}
+
+/**
+ * Expand optional params into every concrete token list they allow
+ */
+function expandOptional(tokens) {
+  let variants = [[]];
+  for (const token of tokens) {
+    const withToken = variants.map(v => [...v, token]);
+    variants = token.optional ? [...variants, ...withToken] : withToken;
+  }
+  return variants;
+}
+
+/**
+ * Fill a token list with params. Params that are not part of the path
+ * become the query string.
+ */
+function buildPath(tokens, params, routeName) {
+  const used = new Set();
+  let pathname = '';
+
+  for (const token of tokens) {
+    if (token.type === 'static') {
+      if (token.value) pathname += '/' + token.value;
+      continue;
+    }
+
+    if (token.type === 'raw') {
+      pathname += '/' + token.value.replace(/:(\w+)/g, (_, key) => {
+        used.add(key);
+        if (params[key] === undefined) throw new Error(`Missing param "${key}" for route "${routeName}"`);
+        return encodeURIComponent(params[key]);
+      });
+      continue;
+    }
+
+    const key = token.name || '*';
+    used.add(key);
+    const value = params[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (token.optional || token.type === 'wildcard') continue;
+      throw new Error(`Missing param "${key}" for route "${routeName}"`);
+    }
+
+    if (token.type === 'wildcard') {
+      pathname += '/' + String(value).split('/').map(encodeURIComponent).join('/');
+      continue;
+    }
+
+    if (!token.test.test(String(value))) {
+      throw new Error(`Invalid value "${value}" for param "${key}" in route "${routeName}"`);
+    }
+    pathname += '/' + encodeURIComponent(value) + token.suffix;
+  }
+
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (!used.has(key) && value !== undefined && value !== null) query.append(key, value);
+  }
+  const search = query.toString();
+
+  return (pathname || '/') + (search ? `?${search}` : '');
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+    this.middlewares = [];
+    this.tree = new RouteNode();
+    this.regexRoutes = [];
+  }
+
+  /**
+   * Register middleware or mount a sub-router
+   * Usage: router.use(fn), router.use('/api', fn), router.use('/api', apiRouter)
+   */
+  use(pathOrFn, fn) {
+    let mountPath = '/';
+    let handler = pathOrFn;
+    if (typeof pathOrFn === 'string') {
+      mountPath = pathOrFn;
+      handler = fn;
+    }
+
+    const entry = {
+      path: mountPath,
+      tokens: parsePath(mountPath),
+      pattern: this.pathToRegex(mountPath, { end: false }),
+      handler: null,
+      router: null,
+      // (err, req, res, next) handlers only run once an error occurred
+      errorHandler: typeof handler === 'function' && handler.length === 4
+    };
+    if (handler instanceof Router) {
+      entry.router = handler;
+    } else {
+      entry.handler = handler;
+    }
+    this.middlewares.push(entry);
+    return this;
+  }
+
+  /**
+   * Add a route. A plain object among the handlers holds route options:
+   *   router.get('/users/:id<int>', { name: 'user.show' }, handler)
+   * `schema` validates the request before the handlers (see ./schema).
+   */
+  add(method, path, ...handlers) {
+    const options = Object.assign({}, ...handlers.filter(h => h && typeof h === 'object'));
+    const fns = handlers.filter(h => typeof h === 'function');
+
+    const tokens = typeof path === 'string' ? parsePath(path) : null;
+    const pattern = this.pathToRegex(path);
+    const route = {
+      method: method.toUpperCase(),
+      path,
+      name: options.name || null,
+      options,
+      tokens,
+      pattern,
+      handlers: fns,
+      validate: options.schema ? compileRouteSchema(options.schema) : null
+    };
+    this.routes.push(route);
+
+    if (!tokens || tokens.some(t => t.type === 'raw')) {
+      this.regexRoutes.push(route);
+      return this;
+    }
+
+    for (const variant of expandOptional(tokens)) {
+      const node = this.insert(variant);
+      // First registration wins, as with the linear matcher
+      if (!node.methods.has(route.method)) node.methods.set(route.method, route);
+    }
+    return this;
+  }
+
+  get(path, ...handlers) { return this.add('GET', path, ...handlers); }
+  post(path, ...handlers) { return this.add('POST', path, ...handlers); }
+  put(path, ...handlers) { return this.add('PUT', path, ...handlers); }
+  delete(path, ...handlers) { return this.add('DELETE', path, ...handlers); }
+  patch(path, ...handlers) { return this.add('PATCH', path, ...handlers); }
+  all(path, ...handlers) { return this.add('ALL', path, ...handlers); }
+
+  /**
+   * Insert a token list into the prefix tree and return its terminal node
+   */
+  insert(tokens) {
+    let node = this.tree;
+    for (const token of tokens) {
+      if (token.type === 'static') {
+        if (!node.static.has(token.value)) node.static.set(token.value, new RouteNode());
+        node = node.static.get(token.value);
+      } else if (token.type === 'param') {
+        let child = node.params.find(p =>
+          p.token.name === token.name && p.token.suffix === token.suffix && p.token.pattern === token.pattern);
+        if (!child) {
+          child = { token, node: new RouteNode() };
+          node.params.push(child);
+          // Params with a static suffix, then constrained params, are more specific
+          node.params.sort((a, b) =>
+            (b.token.suffix.length - a.token.suffix.length) ||
+            ((b.token.pattern !== '[^/]+') - (a.token.pattern !== '[^/]+')));
+        }
+        node = child.node;
+      } else {
+        if (!node.wildcard) node.wildcard = { name: token.name, node: new RouteNode() };
+        node = node.wildcard.node;
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Compile a path pattern. With { end: false } the pattern only has to
+   * match a leading run of whole segments ("/api" matches "/api/users"
+   * but not "/apiary").
+   */
+  pathToRegex(path, options = {}) {
+    if (path instanceof RegExp) return { regex: path, keys: [] };
+
+    const end = options.end !== false;
+    const tokens = parsePath(path);
+    if (!end) {
+      while (tokens.length && tokens[tokens.length - 1].type === 'static' && !tokens[tokens.length - 1].value) {
+        tokens.pop();
+      }
+    }
+
+    const keys = [];
+    let pattern = '';
+    for (const token of tokens) {
+      if (token.type === 'static') {
+        pattern += '/' + escapeRegex(token.value);
+      } else if (token.type === 'param') {
+        keys.push(token);
+        const body = `(?<${token.name}>${token.pattern})${escapeRegex(token.suffix)}`;
+        pattern += token.optional ? `(?:/${body})?` : `/${body}`;
+      } else if (token.type === 'wildcard') {
+        if (token.name) keys.push(token);
+        pattern += token.name ? `(?:/(?<${token.name}>.*))?` : '(?:/.*)?';
+      } else {
+        pattern += '/' + token.value
+          .replace(/\*/g, '.*')
+          .replace(/:(\w+)/g, (_, key) => {
+            keys.push({ name: key, paramType: null });
+            return `(?<${key}>[^/]+)`;
+          });
+      }
+    }
+
+    if (!end) {
+      return { regex: new RegExp(`^${pattern}(?=/|$)`), keys };
+    }
+    return { regex: new RegExp(`^${pattern}/?$`), keys };
+  }
+
+  /**
+   * Read params from a pathToRegex() match
+   */
+  extractParams(pattern, match) {
+    const params = {};
+    for (const key of pattern.keys) {
+      const value = match.groups && match.groups[key.name];
+      if (value !== undefined) params[key.name] = coerceParam(key, decodeSegment(value));
+    }
+    return params;
+  }
+
+  /**
+   * Find the route for method + pathname. Returns { route, params } on a
+   * match, { route: null, allowed } when the path exists under other
+   * methods only, or null when nothing matches the path.
+   */
+  match(method, pathname) {
+    const allowed = new Set();
+    const found = this.lookup(this.tree, splitPath(pathname), 0, {}, method, allowed);
+    if (found) return found;
+
+    for (const route of this.regexRoutes) {
+      const match = pathname.match(route.pattern.regex);
+      if (!match) continue;
+
+      if (route.method === 'ALL' || route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+        return { route, params: this.extractParams(route.pattern, match) };
+      }
+      allowed.add(route.method);
+    }
+
+    return allowed.size > 0 ? { route: null, params: {}, allowed: [...allowed] } : null;
+  }
+
+  /**
+   * Find the route a request would reach, looking into mounted routers.
+   * Lets the app read route options (body limits...) before dispatch.
+   */
+  resolve(method, pathname) {
+    for (const mw of this.middlewares) {
+      if (!mw.router) continue;
+      const match = mw.pattern.regex.exec(pathname);
+      if (!match) continue;
+      const route = mw.router.resolve(method, pathname.slice(match[0].length) || '/');
+      if (route) return route;
+    }
+    const match = this.match(method, pathname);
+    return match && match.route ? match.route : null;
+  }
+
+  /**
+   * Depth-first tree walk in priority order. Backtracks when a more
+   * specific branch matches the path but not the method. Static segments
+   * compare as sent; params are decoded before their type and constraint
+   * are checked.
+   */
+  lookup(node, segments, index, params, method, allowed) {
+    if (index === segments.length) {
+      const route = this.pickRoute(node, method, allowed);
+      if (route) return { route, params: { ...params } };
+      // A trailing wildcard may also match an empty remainder
+      if (node.wildcard) {
+        const wildRoute = this.pickRoute(node.wildcard.node, method, allowed);
+        if (wildRoute) return { route: wildRoute, params: { ...params } };
+      }
+      return null;
+    }
+
+    const segment = segments[index];
+
+    const staticChild = node.static.get(segment);
+    if (staticChild) {
+      const found = this.lookup(staticChild, segments, index + 1, params, method, allowed);
+      if (found) return found;
+    }
+
+    if (segment !== '' && node.params.length) {
+      const decoded = decodeSegment(segment);
+      for (const { token, node: child } of node.params) {
+        if (token.suffix && !decoded.endsWith(token.suffix)) continue;
+        const value = decoded.slice(0, decoded.length - token.suffix.length);
+        if (!value || !token.test.test(value)) continue;
+
+        params[token.name] = coerceParam(token, value);
+        const found = this.lookup(child, segments, index + 1, params, method, allowed);
+        delete params[token.name];
+        if (found) return found;
+      }
+    }
+
+    if (node.wildcard) {
+      const route = this.pickRoute(node.wildcard.node, method, allowed);
+      if (route) {
+        const rest = { ...params };
+        if (node.wildcard.name) rest[node.wildcard.name] = segments.slice(index).map(decodeSegment).join('/');
+        return { route, params: rest };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the handler for a method on a terminal node, falling back to ALL
+   * and answering HEAD with GET. Records the node's methods in `allowed`.
+   */
+  pickRoute(node, method, allowed) {
+    if (node.methods.size === 0) return null;
+    for (const m of node.methods.keys()) allowed.add(m);
+
+    return node.methods.get(method)
+      || node.methods.get('ALL')
+      || (method === 'HEAD' ? node.methods.get('GET') : null)
+      || null;
+  }
+
+  /**
+   * Find a named route, here or in a mounted router. Returns the full
+   * token list (mount prefixes + route path) or null.
+   */
+  findNamed(name) {
+    const route = this.routes.find(r => r.name === name);
+    if (route) {
+      if (!route.tokens) throw new Error(`Route "${name}" uses a RegExp path and cannot build URLs`);
+      return route.tokens;
+    }
+
+    for (const mw of this.middlewares) {
+      if (!mw.router) continue;
+      const tokens = mw.router.findNamed(name);
+      if (tokens) return [...mw.tokens, ...tokens];
+    }
+    return null;
+  }
+
+  /**
+   * Build the URL of a named route
+   * Usage: router.url('user.show', { id: 5, tab: 'posts' }) -> '/users/5?tab=posts'
+   */
+  url(name, params = {}) {
+    const tokens = this.findNamed(name);
+    if (!tokens) throw new Error(`Route "${name}" not found`);
+    return buildPath(tokens, params, name);
+  }
+
+  /**
+   * All named routes as { name: tokens }, including mounted routers
+   */
+  namedRoutes(prefix = []) {
+    const named = {};
+    for (const route of this.routes) {
+      if (route.name && route.tokens && !(route.name in named)) {
+        named[route.name] = [...prefix, ...route.tokens];
+      }
+    }
+    for (const mw of this.middlewares) {
+      if (!mw.router) continue;
+      const child = mw.router.namedRoutes([...prefix, ...mw.tokens]);
+      for (const name of Object.keys(child)) {
+        if (!(name in named)) named[name] = child[name];
+      }
+    }
+    return named;
+  }
+
+  /**
+   * Dispatch a request through the middleware stack, then the routes.
+   * Mounted routers see req.pathname/req.url relative to their mount
+   * point, with the stripped prefix accumulated in req.baseUrl.
+   * Resolves to true when the request was handled. Methods available for
+   * a matching path that did not match the method are added to `allowed`.
+   * Errors go to this router's error handlers, then propagate upward.
+   */
+  async handle(req, res, allowed = new Set()) {
+    const parentParams = req.params || {};
+    if (req.baseUrl === undefined) req.baseUrl = '';
+    if (req.originalUrl === undefined) req.originalUrl = req.url;
+
+    let position = 0;
+    try {
+      for (; position < this.middlewares.length; position++) {
+        const mw = this.middlewares[position];
+        if (mw.errorHandler) continue;
+        if (responseEnded(res)) return true;
+        const handled = await this.runLayer(mw, req, res, allowed);
+        if (mw.router && handled) return true;
+      }
+
+      if (responseEnded(res)) return true;
+
+      const match = this.match(req.method, req.pathname);
+      if (!match) return false;
+      if (!match.route) {
+        match.allowed.forEach(m => allowed.add(m));
+        return false;
+      }
+
+      req.params = { ...parentParams, ...match.params };
+      req.route = match.route;
+      // Pattern with the mount paths ('/api/users/:id'), for metrics and logs
+      const routePath = String(match.route.path);
+      req.routePath = req.routeBase && routePath === '/' ? req.routeBase : (req.routeBase || '') + routePath;
+      if (match.route.validate) match.route.validate(req);
+      for (const handler of match.route.handlers) {
+        if (responseEnded(res)) break;
+        await runHandler(handler, req, res);
+      }
+      return true;
+    } catch (err) {
+      // Route errors reach every error handler, middleware errors only later ones
+      const from = position < this.middlewares.length ? position + 1 : 0;
+      return this.handleError(err, req, res, from, allowed);
+    }
+  }
+
+  /**
+   * Pass an error through the error handlers registered from `from` on.
+   * A handler that calls next() or next(err) passes it on; one that ends
+   * the response or settles without calling next handles it.
+   */
+  async handleError(err, req, res, from, allowed) {
+    let error = err;
+    for (let i = from; i < this.middlewares.length; i++) {
+      const mw = this.middlewares[i];
+      if (!mw.errorHandler) continue;
+      if (responseEnded(res)) return true;
+
+      try {
+        const passed = await this.runLayer(mw, req, res, allowed, error);
+        if (passed === false) return true;
+      } catch (e) {
+        error = e;
+      }
+    }
+    throw error;
+  }
+
+  /**
+   * Run one middleware entry with the mount prefix stripped from the
+   * request. Returns the sub-router's handled flag, or for a handler
+   * whether it called next(); null when the path does not match.
+   */
+  async runLayer(mw, req, res, allowed, err) {
+    const match = mw.pattern.regex.exec(req.pathname);
+    if (!match) return null;
+
+    const saved = { baseUrl: req.baseUrl, pathname: req.pathname, url: req.url, params: req.params, routeBase: req.routeBase };
+    const prefix = match[0];
+    if (mw.router) req.routeBase = (saved.routeBase || '') + mw.path.replace(/\/+$/, '');
+    const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    req.baseUrl = saved.baseUrl + prefix;
+    req.pathname = req.pathname.slice(prefix.length) || '/';
+    req.url = req.pathname + search;
+    req.params = { ...saved.params, ...this.extractParams(mw.pattern, match) };
+
+    try {
+      if (mw.router) {
+        return await mw.router.handle(req, res, allowed);
+      }
+      return await runHandler(mw.handler, req, res, err);
+    } finally {
+      Object.assign(req, saved);
+    }
+  }
+}
+
+module.exports = Router;
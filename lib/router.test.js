@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const Router = require('./router');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+// One request against a throwaway server
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          const body = Buffer.concat(chunks).toString();
+          const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(body) : null;
+          resolve({ status: res.statusCode, headers: res.headers, body, json });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+const json = { accept: 'application/json' };
+
+test('sub-router: mount prefix is stripped and exposed as baseUrl', async () => {
+  const app = createApp();
+  const api = new Router();
+  api.get('/users', (req, res) => res.json({ pathname: req.pathname, url: req.url, baseUrl: req.baseUrl, originalUrl: req.originalUrl }));
+  app.use('/api', api);
+
+  const res = await request(app, 'GET', '/api/users?page=2');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, { pathname: '/users', url: '/users?page=2', baseUrl: '/api', originalUrl: '/api/users?page=2' });
+});
+
+test('sub-router: prefixes match whole segments only', async () => {
+  const app = createApp();
+  const api = new Router();
+  api.get('/', (req, res) => res.send('api'));
+  app.use('/api', api);
+
+  assert.equal((await request(app, 'GET', '/api')).body, 'api');
+  assert.equal((await request(app, 'GET', '/api/')).body, 'api');
+  assert.equal((await request(app, 'GET', '/apiary', json)).status, 404);
+});
+
+test('sub-router: mount params are inherited and request state is restored', async () => {
+  const app = createApp();
+  const repos = new Router();
+  repos.use((req, res, next) => {
+    req.seen = req.baseUrl;
+    next();
+  });
+  repos.get('/repos/:repo', (req, res) => res.json({ params: req.params, seen: req.seen }));
+  app.use('/orgs/:org', repos);
+  app.get('/orgs/:org/info', (req, res) => res.json({ baseUrl: req.baseUrl, pathname: req.pathname }));
+
+  const res = await request(app, 'GET', '/orgs/acme/repos/site');
+  assert.deepEqual(res.json, { params: { org: 'acme', repo: 'site' }, seen: '/orgs/acme' });
+
+  const info = await request(app, 'GET', '/orgs/acme/info');
+  assert.deepEqual(info.json, { baseUrl: '', pathname: '/orgs/acme/info' });
+});
+
+test('sub-router: nested routers accumulate baseUrl', async () => {
+  const app = createApp();
+  const api = new Router();
+  const v1 = new Router();
+  v1.get('/ping', (req, res) => res.json({ baseUrl: req.baseUrl, routePath: req.routePath }));
+  api.use('/v1', v1);
+  app.use('/api', api);
+
+  const res = await request(app, 'GET', '/api/v1/ping');
+  assert.deepEqual(res.json, { baseUrl: '/api/v1', routePath: '/api/v1/ping' });
+});
+
+test('sub-router: errors reach the sub-router error handler first', async () => {
+  const app = createApp();
+  const admin = new Router();
+  admin.get('/boom', () => {
+    throw new Error('boom');
+  });
+  admin.use((err, req, res, next) => res.status(418).json({ handled: err.message }));
+  app.use('/admin', admin);
+  app.get('/boom', () => {
+    throw new Error('outside');
+  });
+
+  const inside = await request(app, 'GET', '/admin/boom', json);
+  assert.equal(inside.status, 418);
+  assert.deepEqual(inside.json, { handled: 'boom' });
+
+  const outside = await request(app, 'GET', '/boom', json);
+  assert.equal(outside.status, 500);
+});
+
+test('tree: static segments win over params, params over wildcards', () => {
+  const router = new Router();
+  const handler = () => {};
+  router.get('/files/*rest', { name: 'wild' }, handler);
+  router.get('/files/:id', { name: 'param' }, handler);
+  router.get('/files/new', { name: 'static' }, handler);
+
+  assert.equal(router.match('GET', '/files/new').route.name, 'static');
+  assert.equal(router.match('GET', '/files/42').route.name, 'param');
+  assert.deepEqual(router.match('GET', '/files/a/b').params, { rest: 'a/b' });
+  assert.equal(router.match('GET', '/other'), null);
+});
+
+test('tree: backtracks when the specific branch lacks the method', () => {
+  const router = new Router();
+  router.get('/users/me', { name: 'me' }, () => {});
+  router.post('/users/:id', { name: 'update' }, () => {});
+
+  const found = router.match('POST', '/users/me');
+  assert.equal(found.route.name, 'update');
+  assert.deepEqual(found.params, { id: 'me' });
+});
+
+test('tree: wrong method reports the allowed ones', () => {
+  const router = new Router();
+  router.get('/items', () => {});
+  router.post('/items', () => {});
+
+  const found = router.match('DELETE', '/items');
+  assert.equal(found.route, null);
+  assert.deepEqual(found.allowed.sort(), ['GET', 'POST']);
+});
+
+test('tree: RegExp routes are tried after the tree', () => {
+  const router = new Router();
+  router.get(/^\/legacy\/.+$/, { name: 'legacy' }, () => {});
+  router.get('/legacy/new', { name: 'tree' }, () => {});
+
+  assert.equal(router.match('GET', '/legacy/new').route.name, 'tree');
+  assert.equal(router.match('GET', '/legacy/old').route.name, 'legacy');
+});
+
+test('405 with an Allow header when the path exists under other methods', async () => {
+  const app = createApp();
+  app.get('/items', (req, res) => res.send('list'));
+  app.post('/items', (req, res) => res.send('created'));
+
+  const res = await request(app, 'DELETE', '/items', json);
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.allow, 'GET, POST, HEAD, OPTIONS');
+});
+
+test('HEAD is answered by the GET handler without a body', async () => {
+  const app = createApp();
+  app.get('/page', (req, res) => res.html('<p>hello</p>'));
+
+  const res = await request(app, 'HEAD', '/page');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['content-type'], 'text/html; charset=utf-8');
+  assert.equal(res.body, '');
+});
+
+test('OPTIONS is answered automatically with 204 and Allow', async () => {
+  const app = createApp();
+  app.put('/items/:id', (req, res) => res.send('ok'));
+
+  const res = await request(app, 'OPTIONS', '/items/3');
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.allow, 'PUT, OPTIONS');
+  assert.equal((await request(app, 'OPTIONS', '/nothing', json)).status, 404);
+});
+
+test('params: types coerce, constraints and optional segments match', () => {
+  const router = new Router();
+  router.get('/users/:id<int>', { name: 'user' }, () => {});
+  router.get('/codes/:code(\\d{3})', { name: 'code' }, () => {});
+  router.get('/posts/:page?', { name: 'posts' }, () => {});
+  router.get('/assets/:name.js', { name: 'asset' }, () => {});
+
+  assert.deepEqual(router.match('GET', '/users/42').params, { id: 42 });
+  assert.equal(router.match('GET', '/users/abc'), null);
+  assert.equal(router.match('GET', '/codes/404').route.name, 'code');
+  assert.equal(router.match('GET', '/codes/4040'), null);
+  assert.deepEqual(router.match('GET', '/posts').params, {});
+  assert.deepEqual(router.match('GET', '/posts/3').params, { page: '3' });
+  assert.deepEqual(router.match('GET', '/assets/app.js').params, { name: 'app' });
+});
+
+test('params: values are percent-decoded before type and constraint checks', () => {
+  const router = new Router();
+  router.get('/q/:name', () => {});
+  router.get('/tags/:tag([a-z ]+)', () => {});
+  router.get('/files/*path', () => {});
+  router.get('/range/:from-:to', () => {});
+
+  assert.deepEqual(router.match('GET', '/q/hello%20world').params, { name: 'hello world' });
+  assert.deepEqual(router.match('GET', '/tags/two%20words').params, { tag: 'two words' });
+  assert.deepEqual(router.match('GET', '/files/my%20docs/a%2Bb.txt').params, { path: 'my docs/a+b.txt' });
+  assert.deepEqual(router.match('GET', '/q/a%2Fb').params, { name: 'a/b' });
+  assert.deepEqual(router.match('GET', '/range/caf%C3%A9-z').params, { from: 'café', to: 'z' });
+});
+
+test('params: a malformed escape is a 400', async () => {
+  const router = new Router();
+  router.get('/q/:name', () => {});
+  assert.throws(() => router.match('GET', '/q/%E0%A4%A'), { status: 400 });
+
+  const app = createApp();
+  app.get('/q/:name', (req, res) => res.send(req.params.name));
+  assert.equal((await request(app, 'GET', '/q/%E0%A4%A', json)).status, 400);
+  assert.equal((await request(app, 'GET', '/q/%C3%A9t%C3%A9')).body, 'été');
+});
+
+test('named routes: url() round-trips through matching', () => {
+  const router = new Router();
+  const admin = new Router();
+  router.get('/q/:name', { name: 'search' }, () => {});
+  router.get('/files/*path', { name: 'file' }, () => {});
+  admin.get('/users/:id<int>', { name: 'admin.user' }, () => {});
+  router.use('/admin', admin);
+
+  const url = router.url('search', { name: 'a b/c?', page: 2 });
+  assert.equal(url, '/q/a%20b%2Fc%3F?page=2');
+  assert.deepEqual(router.match('GET', url.split('?')[0]).params, { name: 'a b/c?' });
+  assert.equal(router.url('file', { path: 'my docs/x.txt' }), '/files/my%20docs/x.txt');
+  assert.deepEqual(router.match('GET', router.url('file', { path: 'my docs/x.txt' }).split('?')[0]).params, { path: 'my docs/x.txt' });
+  assert.equal(router.url('admin.user', { id: 7 }), '/admin/users/7');
+  assert.throws(() => router.url('admin.user', { id: 'x' }), /Invalid value/);
+  assert.throws(() => router.url('search', {}), /Missing param/);
+  assert.throws(() => router.url('nope'), /not found/);
+});
+
+test('named routes: the VSV client runtime only gets clientRoutes', () => {
+  const VSV = require('./vsv');
+  const app = createApp();
+  app.get('/', { name: 'home' }, () => {});
+  app.get('/users/:id', { name: 'user.show' }, () => {});
+  app.get('/admin/users', { name: 'admin.users' }, () => {});
+
+  const routesOf = (clientRoutes) => {
+    const script = new VSV(app, { clientRoutes }).getRoutesScript();
+    const match = /VSV\.routes = (.*);/.exec(script);
+    return match ? Object.keys(JSON.parse(match[1])) : [];
+  };
+  assert.deepEqual(routesOf(undefined), []);
+  assert.deepEqual(routesOf(true), ['home', 'user.show', 'admin.users']);
+  assert.deepEqual(routesOf(['home', 'user.*']), ['home', 'user.show']);
+  assert.deepEqual(routesOf(name => !name.startsWith('admin.')), ['home', 'user.show']);
+});
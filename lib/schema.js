@@ -0,0 +1,347 @@
+/**
+ * VekoJS Schemas
+ * JSON-Schema subset for request validation and response serialization
+ * (no dependencies)
+ *
+ * Keywords: type, enum, const, default, required, properties,
+ * additionalProperties, items, minItems, maxItems, uniqueItems,
+ * minLength, maxLength, pattern, format, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, nullable
+ */
+
+const net = require('net');
+const { createError } = require('./errors');
+const { UNSAFE_KEYS } = require('./body');
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && validDate(value),
+  time: /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?$/i,
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i.test(value) &&
+    validDate(value.slice(0, 10)),
+  uri: value => {
+    try {
+      return /^[a-z][a-z\d+.-]*:/i.test(value) && Boolean(new URL(value));
+    } catch (e) {
+      return false;
+    }
+  },
+  ipv4: value => net.isIPv4(value),
+  ipv6: value => net.isIPv6(value)
+};
+
+// "2024-02-30" parses as March 1st: check the day survived
+function validDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const patterns = new Map();
+
+function regex(pattern) {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern, 'u'));
+  return patterns.get(pattern);
+}
+
+/**
+ * Register a format: a RegExp or a (value) => boolean test
+ * Usage: addFormat('slug', /^[a-z0-9-]+$/)
+ */
+function addFormat(name, test) {
+  FORMATS[name] = test;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+const NO_VALUE = Symbol('no value');
+
+/**
+ * Convert a string (query, params, headers, forms) to a declared type,
+ * NO_VALUE when it does not convert
+ */
+function coerce(value, type) {
+  if (type === 'array') return [value];
+  if (Array.isArray(value)) return value.length === 1 ? coerce(value[0], type) : NO_VALUE;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    if (type === 'string') return String(value);
+    if (type === 'number' || type === 'integer') return typeof value === 'boolean' ? Number(value) : NO_VALUE;
+    if (type === 'boolean' && (value === 0 || value === 1)) return value === 1;
+    return NO_VALUE;
+  }
+  if (typeof value !== 'string') return NO_VALUE;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      if (value.trim() === '') return NO_VALUE;
+      const number = Number(value);
+      return hasType(number, type) ? number : NO_VALUE;
+    }
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return NO_VALUE;
+    case 'null':
+      return value === '' ? null : NO_VALUE;
+    default:
+      return NO_VALUE;
+  }
+}
+
+function types(schema) {
+  const list = schema.type === undefined ? [] : [].concat(schema.type);
+  if (schema.nullable && list.length && !list.includes('null')) list.push('null');
+  return list;
+}
+
+function label(path) {
+  return path || 'value';
+}
+
+function fail(ctx, path, keyword, message) {
+  ctx.errors.push({ path: label(path), keyword, message });
+}
+
+function child(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+function equal(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check `value` against `schema`; returns the value with coercions,
+ * defaults and stripped fields applied. Errors go to ctx.errors.
+ */
+function check(schema, value, path, ctx) {
+  if (!schema || schema === true) return value;
+
+  const allowed = types(schema);
+  if (allowed.length && !allowed.some(type => hasType(value, type))) {
+    let converted = NO_VALUE;
+    if (ctx.coerce) {
+      for (const type of allowed) {
+        converted = coerce(value, type);
+        if (converted !== NO_VALUE) break;
+      }
+    }
+    if (converted === NO_VALUE) {
+      fail(ctx, path, 'type', `must be ${allowed.join(' or ')}`);
+      return value;
+    }
+    value = converted;
+  }
+
+  if (schema.enum && !schema.enum.some(option => equal(option, value))) {
+    fail(ctx, path, 'enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && !equal(schema.const, value)) {
+    fail(ctx, path, 'const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(ctx, path, 'minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(ctx, path, 'maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !regex(schema.pattern).test(value)) {
+      fail(ctx, path, 'pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format) {
+      const test = FORMATS[schema.format];
+      if (!test) throw new Error(`Unknown schema format "${schema.format}"`);
+      if (!(typeof test === 'function' ? test(value) : test.test(value))) {
+        fail(ctx, path, 'format', `must be a valid ${schema.format}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(ctx, path, 'minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(ctx, path, 'maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(ctx, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(ctx, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail(ctx, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(ctx, path, 'minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(ctx, path, 'maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail(ctx, path, 'uniqueItems', 'must not contain duplicate items');
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, child(path, index), ctx));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    value = checkObject(schema, value, path, ctx);
+  }
+
+  return value;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Keys reaching Object.prototype are never copied (a JSON body may hold "__proto__")
+function checkObject(schema, value, path, ctx) {
+  const properties = schema.properties || {};
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    if (UNSAFE_KEYS.has(key) || hasOwn(properties, key)) continue;
+    const extra = schema.additionalProperties;
+    if (extra === undefined || extra === true) {
+      if (!(ctx.strip && schema.properties)) result[key] = item;
+    } else if (extra === false) {
+      if (!ctx.strip) fail(ctx, child(path, key), 'additionalProperties', 'is not allowed');
+    } else {
+      result[key] = check(extra, item, child(path, key), ctx);
+    }
+  }
+
+  for (const [key, property] of Object.entries(properties)) {
+    if (UNSAFE_KEYS.has(key)) continue;
+    if (!hasOwn(value, key) || value[key] === undefined) {
+      if (property && property.default !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(property.default));
+      }
+      continue;
+    }
+    result[key] = check(property, value[key], child(path, key), ctx);
+  }
+
+  for (const key of schema.required || []) {
+    if (!hasOwn(result, key) || result[key] === undefined) fail(ctx, child(path, key), 'required', 'is required');
+  }
+  return result;
+}
+
+/**
+ * Validate a value
+ * Usage: const { valid, value, errors } = validate(schema, input, { coerce: true, strip: true })
+ * errors: [{ path: 'user.email', keyword: 'format', message: 'must be a valid email' }]
+ */
+function validate(schema, value, options = {}) {
+  const ctx = { coerce: Boolean(options.coerce), strip: Boolean(options.strip), errors: [] };
+  const result = check(schema, value, options.path || '', ctx);
+  return { valid: ctx.errors.length === 0, value: result, errors: ctx.errors };
+}
+
+/**
+ * Keep only what a schema declares: objects lose undeclared properties
+ * (password hashes, internal fields), arrays follow `items`
+ * Usage: res.json(serialize(UserSchema, user))
+ */
+function serialize(schema, value) {
+  if (!schema || schema === true || value === null || value === undefined) return value;
+  if (typeof value.toJSON === 'function') value = value.toJSON();
+
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => serialize(schema.items, item)) : value;
+  }
+  if (typeOf(value) !== 'object' || !schema.properties) return value;
+
+  const result = {};
+  for (const [key, property] of Object.entries(schema.properties)) {
+    if (UNSAFE_KEYS.has(key)) continue;
+    if (value[key] !== undefined) result[key] = serialize(property, value[key]);
+  }
+  const extra = schema.additionalProperties;
+  if (extra && extra !== false) {
+    for (const [key, item] of Object.entries(value)) {
+      if (UNSAFE_KEYS.has(key) || hasOwn(schema.properties, key)) continue;
+      result[key] = extra === true ? item : serialize(extra, item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Response schema for a status: exact code, then "2xx"
+ */
+function responseSchema(schemas, status) {
+  if (!schemas) return null;
+  return schemas[status] || schemas[`${String(status)[0]}xx`] || null;
+}
+
+// Request parts as strings: their values are converted to the declared types
+const SOURCES = ['params', 'query', 'headers', 'body'];
+const FORM_TYPE = /^(application\/x-www-form-urlencoded|multipart\/form-data)/i;
+
+/**
+ * Route validator for { schema: { params, query, headers, body, strip } }:
+ * replaces req.params/query/body with the coerced values and throws a 400
+ * listing every failing path
+ */
+function compileRouteSchema(schema) {
+  const headers = schema.headers && schema.headers.properties
+    ? {
+      ...schema.headers,
+      properties: Object.fromEntries(Object.entries(schema.headers.properties).map(([k, v]) => [k.toLowerCase(), v])),
+      required: (schema.headers.required || []).map(k => k.toLowerCase())
+    }
+    : schema.headers;
+  const parts = { ...schema, headers };
+
+  return (req) => {
+    const errors = [];
+    for (const source of SOURCES) {
+      if (!parts[source]) continue;
+      const coerceBody = source !== 'body' || FORM_TYPE.test(req.headers['content-type'] || '');
+      const result = validate(parts[source], req[source] === undefined ? {} : req[source], {
+        coerce: coerceBody,
+        strip: Boolean(schema.strip) && source !== 'headers',
+        path: source
+      });
+      errors.push(...result.errors);
+      if (result.valid && source !== 'headers') req[source] = result.value;
+    }
+    if (errors.length) {
+      throw createError(400, 'Validation failed', { code: 'EVALIDATION', details: errors });
+    }
+  };
+}
+
+module.exports = {
+  validate,
+  serialize,
+  addFormat,
+  responseSchema,
+  compileRouteSchema,
+  SCHEMA_FORMATS: FORMATS
+};
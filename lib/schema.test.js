@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const { validate, serialize, addFormat, responseSchema } = require('./schema');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const allHeaders = { accept: 'application/json', ...headers };
+      if (body !== undefined) allHeaders['content-length'] = Buffer.byteLength(body);
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: allHeaders, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(body);
+    });
+  });
+}
+
+const User = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true, maxItems: 3 }
+  },
+  additionalProperties: false
+};
+
+test('validate reports every failing path with its keyword', () => {
+  const result = validate(User, { age: 200, tags: ['a', 'a', ''], nickname: 'x' });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(e => `${e.path}:${e.keyword}`).sort(), [
+    'age:maximum', 'email:required', 'nickname:additionalProperties', 'tags:uniqueItems', 'tags[2]:minLength'
+  ]);
+});
+
+test('validate applies defaults, coerces strings and strips undeclared fields', () => {
+  const result = validate(User, { email: 'a@b.co', age: '42', tags: 'x', extra: 1 }, { coerce: true, strip: true });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, { email: 'a@b.co', age: 42, role: 'user', tags: ['x'] });
+  assert.equal(validate({ type: 'integer' }, '4.5', { coerce: true }).valid, false);
+  assert.equal(validate({ type: 'boolean' }, 'yes', { coerce: true }).valid, false);
+});
+
+test('formats, nullable and custom formats', () => {
+  assert.equal(validate({ type: 'string', format: 'date' }, '2024-02-30').valid, false);
+  assert.equal(validate({ type: 'string', format: 'date-time' }, '2024-02-29T10:00:00Z').valid, true);
+  assert.equal(validate({ type: 'string', format: 'uuid' }, 'not-a-uuid').valid, false);
+  assert.equal(validate({ type: 'string', nullable: true }, null).valid, true);
+  addFormat('slug', /^[a-z0-9-]+$/);
+  assert.equal(validate({ type: 'string', format: 'slug' }, 'Hello World').valid, false);
+  assert.throws(() => validate({ type: 'string', format: 'nope' }, 'x'), /Unknown schema format "nope"/);
+});
+
+test('__proto__, constructor and prototype keys are never copied', () => {
+  const input = JSON.parse('{"email":"a@b.co","__proto__":{"isAdmin":true},"constructor":{"prototype":{"x":1}}}');
+  const open = { type: 'object', properties: { email: { type: 'string' } } };
+  const { value } = validate(open, input);
+  assert.equal(Object.getPrototypeOf(value), Object.prototype);
+  assert.equal(value.isAdmin, undefined);
+  assert.deepEqual(Object.keys(value), ['email']);
+
+  const typed = validate({ type: 'object', additionalProperties: { type: 'object' } }, input).value;
+  assert.equal(Object.getPrototypeOf(typed), Object.prototype);
+  assert.equal(typed.isAdmin, undefined);
+
+  const serialized = serialize({ type: 'object', properties: { email: {} }, additionalProperties: true }, input);
+  assert.equal(Object.getPrototypeOf(serialized), Object.prototype);
+  assert.deepEqual(Object.keys(serialized), ['email']);
+  assert.equal({}.isAdmin, undefined);
+});
+
+test('inherited properties do not satisfy a declared property', () => {
+  const schema = { type: 'object', required: ['constructor'], properties: { constructor: { type: 'string' } } };
+  assert.equal(validate(schema, {}).valid, false);
+});
+
+test('serialize keeps declared fields only, through arrays and toJSON', () => {
+  const Public = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+  const user = { id: 1, name: 'Ann', passwordHash: 'x' };
+  assert.deepEqual(serialize(Public, user), { id: 1, name: 'Ann' });
+  assert.deepEqual(serialize({ type: 'array', items: Public }, [user]), [{ id: 1, name: 'Ann' }]);
+  assert.deepEqual(serialize(Public, { toJSON: () => user }), { id: 1, name: 'Ann' });
+  assert.equal(responseSchema({ 200: Public, '4xx': true }, 404), true);
+  assert.equal(responseSchema({ 200: Public }, 201), null);
+});
+
+test('route schemas answer 400 with details and replace req parts', async () => {
+  const app = createApp();
+  app.post('/users/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'integer' } } },
+      query: { type: 'object', properties: { notify: { type: 'boolean', default: false } } },
+      body: User,
+      response: { 200: { type: 'object', properties: { id: {}, body: {}, notify: {} } } }
+    }
+  }, (req, res) => res.json({ id: req.params.id, notify: req.query.notify, body: req.body, secret: 'x' }));
+
+  const ok = await request(app, 'POST', '/users/7?notify=true', {
+    headers: { 'content-type': 'application/json' },
+    body: '{"email":"a@b.co"}'
+  });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.json, { id: 7, body: { email: 'a@b.co', role: 'user' }, notify: true });
+
+  const bad = await request(app, 'POST', '/users/x', {
+    headers: { 'content-type': 'application/json' },
+    body: '{"email":"nope","__proto__":{"role":"admin"}}'
+  });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.json.details.map(d => d.path).sort(), ['body.email', 'params.id']);
+});
@@ -0,0 +1,213 @@
+/**
+ * VekoJS Security Headers
+ * Content-Security-Policy with per-request nonces, HSTS, Referrer-Policy,
+ * Permissions-Policy and cross-origin isolation headers (no dependencies)
+ */
+
+const crypto = require('crypto');
+
+// Placeholder replaced by 'nonce-<value>' on every request
+const NONCE = "'nonce'";
+const REPORT_GROUP = 'csp-endpoint';
+
+const CSP_DIRECTIVES = {
+  defaultSrc: ["'self'"],
+  baseUri: ["'self'"],
+  objectSrc: ["'none'"],
+  frameAncestors: ["'self'"],
+  formAction: ["'self'"],
+  scriptSrc: ["'self'", NONCE],
+  styleSrc: ["'self'", NONCE],
+  styleSrcAttr: ["'unsafe-inline'"],   // style="..." attributes (status pages, components)
+  imgSrc: ["'self'", 'data:'],
+  fontSrc: ["'self'", 'data:'],
+  connectSrc: ["'self'"]
+};
+
+const DEFAULTS = {
+  contentTypeOptions: true,                          // X-Content-Type-Options: nosniff
+  frameOptions: 'SAMEORIGIN',                        // X-Frame-Options ('DENY', false)
+  referrerPolicy: 'strict-origin-when-cross-origin',
+  hsts: { maxAge: 180 * 24 * 60 * 60, includeSubDomains: true, preload: false }, // HTTPS only, off in dev
+  permissionsPolicy: null,                           // { camera: [], geolocation: ['self'] }
+  crossOriginOpenerPolicy: 'same-origin',
+  crossOriginEmbedderPolicy: false,                  // 'require-corp' or 'credentialless'
+  crossOriginResourcePolicy: 'same-site',            // 'same-origin', 'cross-origin' or false
+  csp: false                                         // true or { directives, reportOnly, reportUri }
+};
+
+// Values end up inside a header: no separators, no control characters
+const VALUE_RE = /^[^\x00-\x1f\x7f;,]*$/;
+
+function kebab(name) {
+  return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function checkValue(value, what) {
+  if (!VALUE_RE.test(value)) throw new TypeError(`Invalid ${what} value "${value}"`);
+  return value;
+}
+
+/**
+ * Build a policy string from camelCase directives. Arrays are sources,
+ * `true` is a bare directive (upgradeInsecureRequests), null/false drop it.
+ * Usage: buildCsp({ defaultSrc: ["'self'"], imgSrc: ["'self'", 'https:'] })
+ */
+function buildCsp(directives) {
+  const parts = [];
+  for (const [name, value] of Object.entries(directives)) {
+    if (value === null || value === false || value === undefined) continue;
+    const directive = kebab(name);
+    if (value === true) {
+      parts.push(directive);
+      continue;
+    }
+    const sources = [].concat(value).map(source => checkValue(String(source), directive));
+    parts.push(sources.length ? `${directive} ${sources.join(' ')}` : directive);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Permissions-Policy from { feature: ['self', 'https://x.com'] }; [] disables
+ */
+function buildPermissionsPolicy(features) {
+  return Object.entries(features).map(([name, allow]) => {
+    const list = [].concat(allow).map(origin => {
+      const value = checkValue(String(origin), 'Permissions-Policy');
+      return value === 'self' || value === '*' ? value : `"${value}"`;
+    });
+    return `${kebab(name)}=(${list.join(' ')})`.replace('=(*)', '=*');
+  }).join(', ');
+}
+
+function buildHsts(options) {
+  let value = `max-age=${Math.floor(Number(options.maxAge ?? DEFAULTS.hsts.maxAge))}`;
+  if (options.includeSubDomains ?? DEFAULTS.hsts.includeSubDomains) value += '; includeSubDomains';
+  if (options.preload) value += '; preload';
+  return value;
+}
+
+function compileCsp(options) {
+  const directives = { ...CSP_DIRECTIVES, ...options.directives };
+  const reportUri = options.reportUri || null;
+  if (reportUri) {
+    directives.reportUri = [reportUri];
+    directives.reportTo = [REPORT_GROUP];
+  }
+  const policy = buildCsp(directives);
+  return {
+    header: options.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy',
+    parts: policy.split(NONCE),
+    reportUri,
+    reportingEndpoints: reportUri ? `${REPORT_GROUP}="${reportUri}"` : null
+  };
+}
+
+/**
+ * Precompute the headers once; applySecurityHeaders() only adds what
+ * depends on the request (nonce, HSTS over HTTPS)
+ */
+function compileSecurityHeaders(options = {}, isDev = false) {
+  if (options === false) return null;
+  const opts = { ...DEFAULTS, ...(isDev ? { hsts: false } : {}), ...options };
+  const fixed = [];
+
+  if (opts.contentTypeOptions) fixed.push(['X-Content-Type-Options', 'nosniff']);
+  if (opts.frameOptions) fixed.push(['X-Frame-Options', checkValue(String(opts.frameOptions).toUpperCase(), 'X-Frame-Options')]);
+  if (opts.referrerPolicy) fixed.push(['Referrer-Policy', [].concat(opts.referrerPolicy).join(',')]);
+  if (opts.permissionsPolicy) fixed.push(['Permissions-Policy', buildPermissionsPolicy(opts.permissionsPolicy)]);
+  for (const [name, key] of [
+    ['Cross-Origin-Opener-Policy', 'crossOriginOpenerPolicy'],
+    ['Cross-Origin-Embedder-Policy', 'crossOriginEmbedderPolicy'],
+    ['Cross-Origin-Resource-Policy', 'crossOriginResourcePolicy']
+  ]) {
+    if (opts[key]) fixed.push([name, checkValue(String(opts[key]), name)]);
+  }
+
+  return {
+    fixed,
+    hsts: opts.hsts ? buildHsts(opts.hsts === true ? {} : opts.hsts) : null,
+    csp: opts.csp ? compileCsp(opts.csp === true ? {} : opts.csp) : null
+  };
+}
+
+/**
+ * Set the compiled headers on a response. With a nonce in the policy,
+ * req.cspNonce holds this request's value.
+ */
+function applySecurityHeaders(req, res, compiled) {
+  if (!compiled) return;
+  for (const [name, value] of compiled.fixed) res.setHeader(name, value);
+
+  const secure = req.secure !== undefined ? req.secure : Boolean(req.socket && req.socket.encrypted);
+  if (compiled.hsts && secure) res.setHeader('Strict-Transport-Security', compiled.hsts);
+
+  const { csp } = compiled;
+  if (!csp) return;
+  if (csp.parts.length > 1) {
+    req.cspNonce = crypto.randomBytes(16).toString('base64');
+    res.setHeader(csp.header, csp.parts.join(`'nonce-${req.cspNonce}'`));
+  } else {
+    res.setHeader(csp.header, csp.parts[0]);
+  }
+  if (csp.reportingEndpoints) res.setHeader('Reporting-Endpoints', csp.reportingEndpoints);
+}
+
+/**
+ * Add nonce="..." to the <script> and <style> tags of trusted markup
+ * (never to rendered content, or injected tags would be allowed too)
+ */
+function addNonce(html, nonce) {
+  if (!nonce || !html) return html || '';
+  return String(html).replace(/<(script|style)\b(?![^>]*\snonce=)/gi, `<$1 nonce="${nonce}"`);
+}
+
+/**
+ * Violations as sent by browsers: { "csp-report": {...} } (report-uri) or
+ * [{ type: "csp-violation", body: {...} }] (Reporting API)
+ */
+function readCspReports(body) {
+  if (Array.isArray(body)) {
+    return body.filter(r => r && r.type === 'csp-violation' && r.body).map(r => r.body);
+  }
+  if (body && typeof body === 'object' && body['csp-report']) return [body['csp-report']];
+  return [];
+}
+
+/**
+ * Handler for the report endpoint: calls onReport(report, req) per violation
+ */
+function cspReportHandler(onReport) {
+  return (req, res) => {
+    for (const report of readCspReports(req.body)) onReport(report, req);
+    res.statusCode = 204;
+    res.end();
+  };
+}
+
+/**
+ * Security headers middleware, for routers or to replace the app's
+ * headers on part of the site
+ * Usage: app.use('/admin', securityHeaders({ frameOptions: 'DENY', csp: true }))
+ */
+function securityHeaders(options = {}) {
+  const compiled = compileSecurityHeaders(options, process.env.NODE_ENV !== 'production');
+  return (req, res, next) => {
+    applySecurityHeaders(req, res, compiled);
+    next();
+  };
+}
+
+module.exports = {
+  securityHeaders,
+  compileSecurityHeaders,
+  applySecurityHeaders,
+  buildCsp,
+  buildPermissionsPolicy,
+  addNonce,
+  readCspReports,
+  cspReportHandler,
+  CSP_DIRECTIVES,
+  SECURITY_HEADERS_DEFAULTS: DEFAULTS
+};
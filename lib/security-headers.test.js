@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const App = require('./app');
+const {
+  buildCsp,
+  buildPermissionsPolicy,
+  compileSecurityHeaders,
+  addNonce,
+  readCspReports
+} = require('./security-headers');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const allHeaders = { ...headers };
+      if (body !== undefined) allHeaders['content-length'] = Buffer.byteLength(body);
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers: allHeaders, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(body);
+    });
+  });
+}
+
+test('buildCsp writes kebab-case directives and rejects header injection', () => {
+  assert.equal(
+    buildCsp({ defaultSrc: ["'self'"], imgSrc: ["'self'", 'https:'], upgradeInsecureRequests: true, frameSrc: null }),
+    "default-src 'self'; img-src 'self' https:; upgrade-insecure-requests"
+  );
+  assert.throws(() => buildCsp({ scriptSrc: ["'self'; report-uri https://evil.test"] }), /Invalid script-src value/);
+});
+
+test('buildPermissionsPolicy quotes origins and keeps self and *', () => {
+  assert.equal(
+    buildPermissionsPolicy({ camera: [], geolocation: ['self', 'https://maps.example.com'], fullscreen: '*' }),
+    'camera=(), geolocation=(self "https://maps.example.com"), fullscreen=*'
+  );
+});
+
+test('compileSecurityHeaders: defaults, false values and no HSTS in dev', () => {
+  const names = compiled => compiled.fixed.map(([name]) => name);
+  const prod = compileSecurityHeaders({}, false);
+  assert.deepEqual(names(prod), [
+    'X-Content-Type-Options', 'X-Frame-Options', 'Referrer-Policy',
+    'Cross-Origin-Opener-Policy', 'Cross-Origin-Resource-Policy'
+  ]);
+  assert.deepEqual(prod.fixed.find(([name]) => name === 'Cross-Origin-Resource-Policy'), ['Cross-Origin-Resource-Policy', 'same-site']);
+  assert.equal(prod.hsts, 'max-age=15552000; includeSubDomains');
+  assert.equal(compileSecurityHeaders({}, true).hsts, null);
+  assert.equal(compileSecurityHeaders({ frameOptions: false }, false).fixed.some(([n]) => n === 'X-Frame-Options'), false);
+  assert.equal(compileSecurityHeaders(false), null);
+  assert.throws(() => compileSecurityHeaders({ frameOptions: 'DENY\r\nX-Injected: 1' }), /Invalid X-Frame-Options/);
+});
+
+test('addNonce tags scripts and styles that have no nonce yet', () => {
+  assert.equal(
+    addNonce('<script src="/a.js"></script><STYLE>p{}</STYLE><script nonce="x"></script>', 'abc'),
+    '<script nonce="abc" src="/a.js"></script><STYLE nonce="abc">p{}</STYLE><script nonce="x"></script>'
+  );
+  assert.equal(addNonce('<script></script>', undefined), '<script></script>');
+});
+
+test('readCspReports accepts report-uri and Reporting API payloads', () => {
+  assert.deepEqual(readCspReports({ 'csp-report': { 'violated-directive': 'script-src' } }), [{ 'violated-directive': 'script-src' }]);
+  assert.deepEqual(readCspReports([{ type: 'csp-violation', body: { effectiveDirective: 'img-src' } }, { type: 'deprecation', body: {} }]), [{ effectiveDirective: 'img-src' }]);
+  assert.deepEqual(readCspReports('junk'), []);
+});
+
+test('responses carry the headers, a fresh nonce per request and HSTS only over HTTPS', async () => {
+  const app = createApp({ isDev: false, trustProxy: 'loopback', securityHeaders: { csp: true } });
+  app.get('/', (req, res) => res.send(`<p>${req.cspNonce}</p>`));
+
+  const first = await request(app, 'GET', '/');
+  assert.equal(first.headers['x-content-type-options'], 'nosniff');
+  assert.equal(first.headers['x-frame-options'], 'SAMEORIGIN');
+  assert.equal(first.headers['strict-transport-security'], undefined);
+  const nonce = /'nonce-([^']+)'/.exec(first.headers['content-security-policy'])[1];
+  assert.equal(first.body, `<p>${nonce}</p>`);
+
+  const second = await request(app, 'GET', '/', { headers: { 'x-forwarded-for': '1.1.1.1', 'x-forwarded-proto': 'https' } });
+  assert.notEqual(/'nonce-([^']+)'/.exec(second.headers['content-security-policy'])[1], nonce);
+  assert.equal(second.headers['strict-transport-security'], 'max-age=15552000; includeSubDomains');
+});
+
+test('CSP reports reach the cspViolation event', async () => {
+  const app = createApp({ securityHeaders: { csp: { reportOnly: true, reportUri: '/csp-report' } } });
+  app.get('/', (req, res) => res.send('ok'));
+  const reports = [];
+  app.on('cspViolation', report => reports.push(report));
+
+  const page = await request(app, 'GET', '/');
+  assert.match(page.headers['content-security-policy-report-only'], /report-uri \/csp-report; report-to csp-endpoint/);
+  assert.equal(page.headers['reporting-endpoints'], 'csp-endpoint="/csp-report"');
+
+  const sent = await request(app, 'POST', '/csp-report', {
+    headers: { 'content-type': 'application/csp-report' },
+    body: JSON.stringify({ 'csp-report': { 'violated-directive': 'script-src', 'blocked-uri': 'inline' } })
+  });
+  assert.equal(sent.status, 204);
+  assert.deepEqual(reports, [{ 'violated-directive': 'script-src', 'blocked-uri': 'inline' }]);
+});
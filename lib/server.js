@@ -0,0 +1,192 @@
+/**
+ * VekoJS Server Factory
+ * HTTP, HTTPS and HTTP/2 servers (no dependencies)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+
+// TLS options that may be given as file paths
+const TLS_FILES = ['key', 'cert', 'ca', 'pfx'];
+
+const kTracker = Symbol('veko.connections');
+
+/**
+ * Read key/cert/ca/pfx given as file paths; PEM strings and Buffers
+ * are passed through.
+ */
+function loadTlsOptions(tls) {
+  const options = { ...tls };
+  for (const name of TLS_FILES) {
+    const value = options[name];
+    if (Array.isArray(value)) {
+      options[name] = value.map(readTlsValue);
+    } else if (value !== undefined) {
+      options[name] = readTlsValue(value);
+    }
+  }
+  return options;
+}
+
+function readTlsValue(value) {
+  if (typeof value !== 'string' || value.includes('-----BEGIN')) return value;
+  return fs.readFileSync(value);
+}
+
+/**
+ * Create the server matching the app options:
+ *   { https: { key, cert } }               -> https.Server
+ *   { https: { key, cert }, http2: true }  -> Http2SecureServer (HTTP/1.1 fallback)
+ *   otherwise                              -> http.Server
+ */
+function createServer(options, handler) {
+  let server;
+  if (options.http2) {
+    if (!options.https) {
+      throw new Error('http2 requires the https option (browsers only speak HTTP/2 over TLS)');
+    }
+    server = http2.createSecureServer({ allowHTTP1: true, ...loadTlsOptions(options.https) }, handler);
+  } else if (options.https) {
+    server = https.createServer(loadTlsOptions(options.https), handler);
+  } else {
+    server = http.createServer(handler);
+  }
+  return trackConnections(server);
+}
+
+/**
+ * Remember open sockets, HTTP/2 sessions and the requests in flight on
+ * each HTTP/1 socket so the server can be drained, then forced closed
+ */
+function trackConnections(server) {
+  const tracker = { sockets: new Set(), sessions: new Set(), fallback: new Set(), active: new Map(), draining: false };
+  server[kTracker] = tracker;
+
+  server.on('connection', (socket) => {
+    tracker.sockets.add(socket);
+    socket.once('close', () => tracker.sockets.delete(socket));
+  });
+
+  server.on('session', (session) => {
+    tracker.sessions.add(session);
+    session.once('close', () => tracker.sessions.delete(session));
+    if (tracker.draining) session.close();
+  });
+
+  // HTTP/1.1 fallback sockets of an HTTP/2 server: Http2SecureServer has
+  // no closeIdleConnections() before Node 20, so idle ones are found here
+  server.on('secureConnection', (socket) => {
+    if (socket.alpnProtocol === 'h2') return;
+    tracker.fallback.add(socket);
+    socket.once('close', () => tracker.fallback.delete(socket));
+  });
+
+  // A keep-alive socket becomes idle once its last response is sent
+  server.on('request', (req, res) => {
+    if (isHttp2(req)) return;
+    const socket = req.socket;
+    tracker.active.set(socket, (tracker.active.get(socket) || 0) + 1);
+    res.once('close', () => {
+      const count = tracker.active.get(socket) - 1;
+      if (count > 0) tracker.active.set(socket, count);
+      else tracker.active.delete(socket);
+      if (tracker.draining) setImmediate(() => closeIdleConnections(server));
+    });
+  });
+
+  return server;
+}
+
+/**
+ * Close keep-alive connections that are not serving a request
+ */
+function closeIdleConnections(server) {
+  const tracker = server[kTracker];
+  if (server instanceof http.Server || server instanceof https.Server || !tracker) {
+    if (server.closeIdleConnections) server.closeIdleConnections();
+    return;
+  }
+  for (const socket of tracker.fallback) {
+    if (!tracker.active.has(socket)) socket.destroy();
+  }
+}
+
+/**
+ * Stop accepting connections, let in-flight requests finish and close
+ * idle keep-alive connections. Whatever is still open after `timeout`
+ * ms is destroyed. Resolves once the server is closed.
+ */
+function closeGracefully(server, timeout = 10000) {
+  const tracker = server[kTracker] || { sockets: new Set(), sessions: new Set() };
+  tracker.draining = true;
+
+  return new Promise((resolve) => {
+    if (!server.listening) {
+      resolve();
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      for (const session of tracker.sessions) session.destroy();
+      for (const socket of tracker.sockets) socket.destroy();
+    }, timeout);
+    timer.unref();
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+
+    closeIdleConnections(server);
+    for (const session of tracker.sessions) session.close();
+  });
+}
+
+/**
+ * Plain HTTP server answering every request with a 301 to HTTPS.
+ * The Host header is client input: it is only kept when listed in `hosts`,
+ * otherwise the redirect goes to `host` (or the request gets a 400).
+ *   createRedirectServer(443, { host: 'example.com', hosts: ['www.example.com'] })
+ */
+function createRedirectServer(httpsPort, options = {}) {
+  const hosts = new Set((options.hosts || []).map(name => String(name).toLowerCase()));
+  if (!options.host && hosts.size === 0) {
+    throw new Error('httpsRedirect needs a host or a hosts allowlist (the Host header cannot be trusted)');
+  }
+
+  return trackConnections(http.createServer((req, res) => {
+    const requested = String(req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    const host = hosts.has(requested) ? requested : options.host;
+    if (!host) {
+      res.statusCode = 400;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end('Unknown host');
+      return;
+    }
+    const port = Number(httpsPort) === 443 ? '' : `:${httpsPort}`;
+    const path = String(req.url).startsWith('/') ? req.url : '/';
+    res.statusCode = 301;
+    res.setHeader('Location', `https://${host}${port}${path}`);
+    res.end();
+  }));
+}
+
+/**
+ * Headers HTTP/2 forbids (connection-specific)
+ */
+const HTTP1_ONLY_HEADERS = new Set(['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade']);
+
+function isHttp2(req) {
+  return Boolean(req && req.httpVersionMajor >= 2);
+}
+
+module.exports = {
+  createServer,
+  createRedirectServer,
+  closeGracefully,
+  loadTlsOptions,
+  isHttp2,
+  HTTP1_ONLY_HEADERS
+};
@@ -0,0 +1,330 @@
+/**
+ * VekoJS Sessions
+ * Cookie-identified sessions over pluggable stores (no dependencies)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCookies, signValue, unsignValue, setCookie } = require('./cookies');
+const { headersCommitted, setPendingEnd } = require('./compression');
+
+const DEFAULTS = {
+  name: 'veko.sid',
+  secret: null,               // string or array (first signs, all verify)
+  store: null,                // MemorySessionStore by default
+  ttl: 24 * 60 * 60,          // seconds of inactivity before expiry
+  rolling: false,             // re-send the cookie on every response
+  saveUninitialized: false,   // store sessions that hold no data
+  cookie: {}                  // cookie options (path, domain, sameSite, secure...)
+};
+
+const ID_RE = /^[A-Za-z0-9_-]{32}$/;
+
+function generateId() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * In-memory store with TTL sweeping (one process)
+ *
+ * Store interface, for custom stores (Redis, database...):
+ *   get(id) -> data | undefined
+ *   set(id, data, ttlMs)
+ *   destroy(id)
+ *   touch(id, ttlMs)   optional, extends the expiry without rewriting
+ *   close()            optional
+ * Every method may return a promise.
+ */
+class MemorySessionStore {
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.sweeper = setInterval(() => this.sweep(), options.checkPeriod || 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  get(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.sessions.delete(id);
+      return undefined;
+    }
+    return JSON.parse(entry.data);
+  }
+
+  // Stored serialized so requests never share objects
+  set(id, data, ttlMs) {
+    this.sessions.set(id, { data: JSON.stringify(data), expires: Date.now() + ttlMs });
+  }
+
+  touch(id, ttlMs) {
+    const entry = this.sessions.get(id);
+    if (entry) entry.expires = Date.now() + ttlMs;
+  }
+
+  destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, entry] of this.sessions) {
+      if (entry.expires <= now) this.sessions.delete(id);
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    this.sessions.clear();
+  }
+}
+
+/**
+ * File-system store: one JSON file per session, shared by the processes
+ * of a machine (cluster workers)
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.tmpdir(), 'veko-sessions');
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    this.sweeper = setInterval(() => this.sweep(), options.checkPeriod || 10 * 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  file(id) {
+    if (!ID_RE.test(id)) throw new Error('Invalid session id');
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(id), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async get(id) {
+    const entry = await this.read(id);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      await this.destroy(id);
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  async set(id, data, ttlMs) {
+    const file = this.file(id);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ data, expires: Date.now() + ttlMs }), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+
+  async touch(id, ttlMs) {
+    const entry = await this.read(id);
+    if (entry) await this.set(id, entry.data, ttlMs);
+  }
+
+  async destroy(id) {
+    await fs.promises.unlink(this.file(id)).catch(() => {});
+  }
+
+  async sweep() {
+    const now = Date.now();
+    const files = await fs.promises.readdir(this.dir).catch(() => []);
+    for (const name of files) {
+      if (!name.endsWith('.json')) continue;
+      const entry = await this.read(name.slice(0, -5));
+      if (entry && entry.expires <= now) await this.destroy(name.slice(0, -5));
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+const kState = Symbol('veko.session');
+
+/**
+ * req.session: session data as own properties, plus id, regenerate(),
+ * destroy(), touch() and save()
+ */
+class Session {
+  constructor(state, data) {
+    Object.defineProperty(this, kState, { value: state });
+    Object.defineProperty(this, 'id', { get: () => state.id, enumerable: false });
+    this.load(data);
+  }
+
+  load(data) {
+    for (const key of Object.keys(this)) delete this[key];
+    for (const [key, value] of Object.entries(data || {})) {
+      if (!(key in Session.prototype)) this[key] = value;
+    }
+  }
+
+  /**
+   * New id and empty data, e.g. after login (prevents session fixation)
+   */
+  async regenerate() {
+    const state = this[kState];
+    if (!state.isNew) await state.store.destroy(state.id);
+    state.id = generateId();
+    state.isNew = true;
+    state.destroyed = false;
+    state.snapshot = '{}';
+    this.load({});
+    return this;
+  }
+
+  /**
+   * Remove the session from the store and clear the cookie
+   */
+  async destroy() {
+    const state = this[kState];
+    state.destroyed = true;
+    this.load({});
+    await state.store.destroy(state.id);
+  }
+
+  /**
+   * Extend the expiry and re-send the cookie on this response
+   */
+  touch() {
+    this[kState].touched = true;
+    return this;
+  }
+
+  /**
+   * Persist now instead of when the response ends
+   */
+  async save() {
+    const state = this[kState];
+    if (state.destroyed) return;
+    await state.store.set(state.id, { ...this }, state.ttlMs);
+    state.snapshot = JSON.stringify(this);
+    state.isNew = false;
+    state.saved = true;
+  }
+}
+
+/**
+ * Session middleware
+ * Usage: app.use(session({ secret: process.env.SESSION_SECRET, ttl: 3600 }))
+ */
+function session(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const secrets = [].concat(opts.secret || []).filter(Boolean);
+  if (secrets.length === 0) throw new Error('session() requires a secret');
+
+  const store = opts.store || new MemorySessionStore();
+  const ttlMs = opts.ttl * 1000;
+  const cookieOptions = { path: '/', httpOnly: true, sameSite: 'Lax', secure: 'auto', maxAge: opts.ttl, ...opts.cookie };
+
+  const middleware = async (req, res, next) => {
+    if (req.session) return next();
+
+    // Raw header: the app may have moved signed cookies to req.signedCookies
+    const raw = parseCookies(req.headers.cookie)[opts.name];
+    const cookieId = raw ? unsignValue(raw, secrets) : false;
+    let data;
+    if (cookieId && ID_RE.test(cookieId)) {
+      data = await store.get(cookieId);
+    }
+
+    const state = {
+      store,
+      ttlMs,
+      id: data ? cookieId : generateId(),
+      isNew: !data,
+      hadCookie: Boolean(raw),
+      destroyed: false,
+      touched: false,
+      saved: false,
+      snapshot: JSON.stringify(data || {})
+    };
+    req.session = new Session(state, data);
+
+    const persisted = () => !state.destroyed &&
+      (!state.isNew || opts.saveUninitialized || Object.keys(req.session).length > 0);
+
+    let cookieSent = false;
+    const sendCookie = () => {
+      if (cookieSent || headersCommitted(res)) return;
+      cookieSent = true;
+      if (state.destroyed) {
+        if (state.hadCookie) writeCookie(req, res, opts.name, '', { ...cookieOptions, maxAge: 0, expires: new Date(0) });
+      } else if (persisted() && (state.isNew || state.saved || opts.rolling || state.touched)) {
+        writeCookie(req, res, opts.name, signValue(state.id, secrets), cookieOptions);
+      }
+    };
+
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      sendCookie();
+      return writeHead.apply(this, args);
+    };
+
+    // The store is written before the response goes out, so the next request
+    // sees the new data, even on another worker or process
+    const end = res.end;
+    let ending = false;
+    res.end = function (...args) {
+      if (ending) return this;
+      sendCookie();
+      let saving = null;
+      if (persisted()) {
+        const changed = JSON.stringify(req.session) !== state.snapshot;
+        if (state.isNew || changed) {
+          saving = store.set(state.id, { ...req.session }, ttlMs);
+        } else if (!state.saved) {
+          saving = store.touch ? store.touch(state.id, ttlMs) : store.set(state.id, { ...req.session }, ttlMs);
+        }
+      }
+      if (!saving || typeof saving.then !== 'function') return end.apply(this, args);
+
+      ending = true;
+      setPendingEnd(this, true);
+      saving.catch((error) => {
+        const log = req.log || (req.app && req.app.logger);
+        if (log) log.error('Failed to save session', { err: error });
+      }).then(() => {
+        setPendingEnd(this, false);
+        if (!this.destroyed) end.apply(this, args);
+      });
+      return this;
+    };
+
+    next();
+  };
+
+  middleware.store = store;
+  return middleware;
+}
+
+// res.setCookie when the app provides it (its defaults, accumulation)
+function writeCookie(req, res, name, value, options) {
+  const opts = { ...options };
+  if (opts.secure === 'auto') opts.secure = Boolean(req.secure);
+  if (res.setCookie) {
+    res.setCookie(name, value, opts);
+  } else {
+    setCookie(res, name, value, opts);
+  }
+}
+
+module.exports = {
+  session,
+  Session,
+  MemorySessionStore,
+  FileSessionStore,
+  SESSION_DEFAULTS: DEFAULTS
+};
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const App = require('./app');
+const { session, MemorySessionStore, FileSessionStore } = require('./session');
+
+function createApp(options = {}) {
+  return new App({ staticDir: false, rateLimit: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path, headers: { accept: 'application/json', ...headers }, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(Buffer.concat(chunks).toString()) });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+// Session cookie pair ("veko.sid=...") from a response, or null
+function sessionCookie(res) {
+  const cookie = [].concat(res.headers['set-cookie'] || []).find(c => c.startsWith('veko.sid='));
+  return cookie ? cookie.split(';')[0] : null;
+}
+
+function sessionApp(options = {}) {
+  const app = createApp();
+  const middleware = session({ secret: 'test-secret', ...options });
+  app.use(middleware);
+  app.get('/view', (req, res) => res.json({ id: req.session.id, data: { ...req.session } }));
+  app.get('/login', (req, res) => {
+    req.session.user = 'ann';
+    res.json({ id: req.session.id });
+  });
+  app.get('/regenerate', async (req, res) => {
+    const before = req.session.id;
+    await req.session.regenerate();
+    req.session.user = 'ann';
+    res.json({ before, after: req.session.id });
+  });
+  app.get('/logout', async (req, res) => {
+    await req.session.destroy();
+    res.json({ ok: true });
+  });
+  app.get('/touch', (req, res) => {
+    req.session.touch();
+    res.json({ ok: true });
+  });
+  return { app, store: middleware.store };
+}
+
+test('session() requires a secret', () => {
+  assert.throws(() => session(), /session\(\) requires a secret/);
+});
+
+test('empty sessions send no cookie; data is stored and read back', async () => {
+  const { app, store } = sessionApp();
+  const empty = await request(app, '/view');
+  assert.equal(sessionCookie(empty), null);
+  assert.equal(store.size, 0);
+
+  const login = await request(app, '/login');
+  const cookie = sessionCookie(login);
+  assert.match(cookie, /^veko\.sid=s%3A/);
+  assert.match(login.headers['set-cookie'][0], /HttpOnly; SameSite=Lax/);
+
+  const view = await request(app, '/view', { cookie });
+  assert.deepEqual(view.json, { id: login.json.id, data: { user: 'ann' } });
+  // Unchanged session: the cookie is not sent again
+  assert.equal(sessionCookie(view), null);
+  store.close();
+});
+
+test('forged or unknown ids start a new session', async () => {
+  const { app, store } = sessionApp();
+  const login = await request(app, '/login');
+  const forged = sessionCookie(login).replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+  assert.deepEqual((await request(app, '/view', { cookie: forged })).json.data, {});
+  assert.notEqual((await request(app, '/view', { cookie: 'veko.sid=plain-id' })).json.id, login.json.id);
+  store.close();
+});
+
+test('regenerate() issues a new id and drops the old session', async () => {
+  const { app, store } = sessionApp();
+  const cookie = sessionCookie(await request(app, '/login'));
+  const regenerated = await request(app, '/regenerate', { cookie });
+  assert.notEqual(regenerated.json.after, regenerated.json.before);
+  assert.deepEqual((await request(app, '/view', { cookie })).json.data, {});
+  assert.deepEqual((await request(app, '/view', { cookie: sessionCookie(regenerated) })).json.data, { user: 'ann' });
+  store.close();
+});
+
+test('destroy() removes the session and clears the cookie', async () => {
+  const { app, store } = sessionApp();
+  const cookie = sessionCookie(await request(app, '/login'));
+  const logout = await request(app, '/logout', { cookie });
+  assert.match(logout.headers['set-cookie'][0], /^veko\.sid=; Max-Age=0/);
+  assert.equal(store.size, 0);
+  store.close();
+});
+
+test('rolling and touch() re-send the cookie', async () => {
+  const rolling = sessionApp({ rolling: true });
+  const cookie = sessionCookie(await request(rolling.app, '/login'));
+  assert.ok(sessionCookie(await request(rolling.app, '/view', { cookie })));
+  rolling.store.close();
+
+  const plain = sessionApp();
+  const plainCookie = sessionCookie(await request(plain.app, '/login'));
+  assert.equal(sessionCookie(await request(plain.app, '/view', { cookie: plainCookie })), null);
+  assert.ok(sessionCookie(await request(plain.app, '/touch', { cookie: plainCookie })));
+  plain.store.close();
+});
+
+test('slow stores are written before the response is sent, failures are logged', async () => {
+  class SlowStore extends MemorySessionStore {
+    set(id, data, ttlMs) {
+      return new Promise((resolve, reject) => setTimeout(() => {
+        if (data.user === 'fail') return reject(new Error('disk full'));
+        super.set(id, data, ttlMs);
+        resolve();
+      }, 30));
+    }
+  }
+  const records = [];
+  const app = createApp({ logger: { level: 'error', console: false, transports: [{ write: record => records.push(record) }] } });
+  const middleware = session({ secret: 'test-secret', store: new SlowStore() });
+  app.use(middleware);
+  app.get('/login', (req, res) => {
+    req.session.user = req.query.user;
+    res.json({ id: req.session.id });
+  });
+
+  const login = await request(app, '/login?user=ann');
+  assert.ok(sessionCookie(login));
+  assert.deepEqual(middleware.store.get(login.json.id), { user: 'ann' });
+
+  const failed = await request(app, '/login?user=fail');
+  assert.equal(failed.status, 200);
+  assert.equal(middleware.store.get(failed.json.id), undefined);
+  assert.equal(records[0].msg, 'Failed to save session');
+  assert.equal(records[0].err.message, 'disk full');
+  middleware.store.close();
+});
+
+test('MemorySessionStore expires entries and returns copies', async () => {
+  const store = new MemorySessionStore();
+  store.set('a', { cart: [1] }, 20);
+  const copy = store.get('a');
+  copy.cart.push(2);
+  assert.deepEqual(store.get('a'), { cart: [1] });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(store.get('a'), undefined);
+  store.close();
+});
+
+test('FileSessionStore stores, touches, expires and validates ids', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-session-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new FileSessionStore({ dir });
+  t.after(() => store.close());
+  const id = 'a'.repeat(32);
+
+  await store.set(id, { user: 'ann' }, 20);
+  await store.touch(id, 60000);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(await store.get(id), { user: 'ann' });
+
+  await store.destroy(id);
+  assert.equal(await store.get(id), undefined);
+  await assert.rejects(store.set('../../etc/passwd', {}, 1000), /Invalid session id/);
+});
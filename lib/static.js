@@ -0,0 +1,373 @@
+/**
+ * VekoJS Static Files
+ * File serving with ETag, conditional GET, Range requests and
+ * compression (no dependencies)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const {
+  appendVary, chooseEncoding, createCompressStream, findPrecompressed, resolveCompression
+} = require('./compression');
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.wasm': 'application/wasm',
+  '.xml': 'application/xml',
+  '.vsv': 'text/html',
+  '.jsv': 'text/html'
+};
+
+const DEFAULTS = {
+  maxAge: 0,                 // seconds, Cache-Control max-age
+  etag: true,
+  lastModified: true,
+  acceptRanges: true,
+  dotfiles: 'ignore',        // 'ignore' (404), 'deny' (403) or 'allow'
+  index: ['index.html'],     // false to disable
+  fallthrough: true,         // call next() instead of answering 404/405
+  spa: false,                // true or a file name: serve it for unknown HTML routes
+  compression: undefined     // compression options, false to disable
+};
+
+// More ranges than this are served as a full 200 response
+const MAX_RANGES = 20;
+
+/**
+ * Weak ETag from size and modification time
+ */
+function fileEtag(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Whether the request's validators match the file (-> 304)
+ */
+function isFresh(req, etag, lastModified) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    if (!etag) return false;
+    if (noneMatch.trim() === '*') return true;
+    const weak = (tag) => tag.trim().replace(/^W\//, '');
+    return noneMatch.split(',').some(tag => weak(tag) === weak(etag));
+  }
+
+  const modifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!Number.isNaN(modifiedSince) && lastModified) {
+    // HTTP dates have second precision
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(modifiedSince / 1000);
+  }
+  return false;
+}
+
+/**
+ * Parse a Range header against a file size
+ * Returns an array of { start, end } (inclusive), sorted with overlapping
+ * and adjacent ranges merged (RFC 7233 6.1), -1 when unsatisfiable, or
+ * null when the header is missing, malformed, not in bytes, or asks for
+ * more bytes than the file holds (the whole file is cheaper).
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const ranges = [];
+  for (const spec of match[1].split(',')) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: last N bytes
+      start = Math.max(size - Number(parts[2]), 0);
+      end = size - 1;
+    } else {
+      start = Number(parts[1]);
+      end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+    }
+    if (start > end || start >= size) continue;
+    ranges.push({ start, end });
+  }
+  if (ranges.length === 0) return -1;
+
+  // "bytes=0-,0-,0-..." would send the file many times over
+  const requested = ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0);
+  if (requested > size) return null;
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Whether an If-Range validator still matches, so the Range applies
+ */
+function rangeApplies(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  // Compared loosely: our ETags are weak but stable for a given file version
+  if (ifRange.includes('"')) return Boolean(etag) && ifRange.replace(/^W\//, '') === etag.replace(/^W\//, '');
+  const date = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+/**
+ * Pipe a stream to the response, resolving once the response is done so
+ * the router does not treat the request as unhandled meanwhile
+ */
+function pipeFile(stream, res) {
+  return new Promise((resolve) => {
+    res.once('finish', resolve);
+    res.once('close', resolve);
+    stream.on('error', () => {
+      if (!res.headersSent) res.statusCode = 500;
+      res.destroy();
+    });
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Send several ranges as multipart/byteranges
+ */
+async function sendRanges(res, filePath, ranges, size, contentType) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const heads = ranges.map(({ start, end }) =>
+    `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`);
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = heads.reduce((sum, head, i) => sum + Buffer.byteLength(head) + ranges[i].end - ranges[i].start + 1, 0)
+    + Buffer.byteLength(tail);
+
+  res.statusCode = 206;
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (res.destroyed) return;
+    res.write(heads[i]);
+    await new Promise((resolve) => {
+      const stream = fs.createReadStream(filePath, ranges[i]);
+      stream.on('end', resolve);
+      stream.on('error', () => {
+        res.destroy();
+        resolve();
+      });
+      stream.pipe(res, { end: false });
+    });
+  }
+  if (!res.destroyed) res.end(tail);
+}
+
+/**
+ * Send a file with caching validators, Range support and compression.
+ * A precompressed sibling (.br/.gz) is preferred, otherwise compressible
+ * files are compressed on the fly. Ranges are served uncompressed.
+ *
+ * Usage: await serveFile(req, res, '/srv/files/video.mp4', { maxAge: 3600 })
+ */
+async function serveFile(req, res, filePath, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const stat = options.stat || await fs.promises.stat(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeType = res.getHeader('Content-Type') || MIME_TYPES[ext] || 'application/octet-stream';
+  const etag = opts.etag ? fileEtag(stat) : null;
+  const lastModified = opts.lastModified ? stat.mtime : null;
+
+  res.setHeader('Content-Type', mimeType);
+  if (!res.getHeader('Cache-Control')) {
+    res.setHeader('Cache-Control', opts.maxAge > 0 ? `public, max-age=${opts.maxAge}` : 'no-cache');
+  }
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  if (opts.acceptRanges) res.setHeader('Accept-Ranges', 'bytes');
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && isFresh(req, etag, lastModified)) {
+    res.statusCode = 304;
+    res.removeHeader('Content-Type');
+    res.end();
+    return;
+  }
+
+  // Range requests
+  const ranges = opts.acceptRanges && req.method === 'GET' && rangeApplies(req, etag, lastModified)
+    ? parseRange(req.headers.range, stat.size)
+    : null;
+
+  if (ranges === -1) {
+    res.statusCode = 416;
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    res.removeHeader('Content-Type');
+    res.end();
+    return;
+  }
+
+  if (ranges && ranges.length <= MAX_RANGES) {
+    if (ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      return pipeFile(fs.createReadStream(filePath, { start, end }), res);
+    }
+    return sendRanges(res, filePath, ranges, stat.size, mimeType);
+  }
+
+  if (opts.compression !== false) {
+    const compression = resolveCompression(opts.compression);
+    const encoding = chooseEncoding(req, res, stat.size, compression);
+
+    const precompressed = req.method !== 'HEAD' && await findPrecompressed(req, filePath, compression);
+    if (precompressed) {
+      appendVary(res, 'Accept-Encoding');
+      res.setHeader('Content-Encoding', precompressed.encoding);
+      res.setHeader('Content-Length', precompressed.stat.size);
+      return pipeFile(fs.createReadStream(precompressed.path), res);
+    }
+
+    if (encoding) {
+      res.setHeader('Content-Encoding', encoding);
+      return pipeFile(fs.createReadStream(filePath).pipe(createCompressStream(encoding, compression)), res);
+    }
+  }
+
+  res.setHeader('Content-Length', stat.size);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  return pipeFile(fs.createReadStream(filePath), res);
+}
+
+async function statFile(filePath) {
+  try {
+    return await fs.promises.stat(filePath);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Static file middleware
+ * Usage: app.use('/assets', serveStatic('assets', { maxAge: 86400, dotfiles: 'deny' }))
+ */
+function serveStatic(staticDir, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const root = path.resolve(process.cwd(), staticDir);
+  const indexFiles = opts.index === false ? [] : [].concat(opts.index);
+  const spaFile = opts.spa === true ? 'index.html' : opts.spa;
+
+  const notFound = (next) => opts.fallthrough ? next() : next(createError(404, 'File not found'));
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      if (opts.fallthrough) return next();
+      res.setHeader('Allow', 'GET, HEAD');
+      return next(createError(405, 'Method not allowed'));
+    }
+
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.pathname);
+    } catch (e) {
+      return opts.fallthrough ? next() : next(createError(400, 'Malformed URL'));
+    }
+
+    // Prevent directory traversal
+    if (urlPath.includes('..') || urlPath.includes('\0')) {
+      return notFound(next);
+    }
+
+    const filePath = path.join(root, urlPath);
+
+    // Make sure we're still in the static directory
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      return notFound(next);
+    }
+
+    // Dotfiles (.env, .git/...)
+    if (opts.dotfiles !== 'allow' && path.relative(root, filePath).split(path.sep).some(s => s.startsWith('.'))) {
+      if (opts.dotfiles === 'deny') return next(createError(403, 'Forbidden'));
+      return notFound(next);
+    }
+
+    let target = filePath;
+    let stat = await statFile(filePath);
+
+    if (stat && stat.isDirectory()) {
+      stat = null;
+      for (const index of indexFiles) {
+        const indexStat = await statFile(path.join(filePath, index));
+        if (indexStat && indexStat.isFile()) {
+          target = path.join(filePath, index);
+          stat = indexStat;
+          break;
+        }
+      }
+    }
+
+    // SPA fallback: client-side routes (no extension) asking for HTML
+    if (!stat && spaFile && !path.extname(urlPath) && String(req.headers.accept || '').includes('text/html')) {
+      const spaStat = await statFile(path.join(root, spaFile));
+      if (spaStat && spaStat.isFile()) {
+        target = path.join(root, spaFile);
+        stat = spaStat;
+      }
+    }
+
+    if (!stat || !stat.isFile()) {
+      return notFound(next);
+    }
+
+    return serveFile(req, res, target, { ...opts, stat });
+  };
+}
+
+module.exports = {
+  serveStatic,
+  serveFile,
+  pipeFile,
+  parseRange,
+  isFresh,
+  fileEtag,
+  MIME_TYPES,
+  STATIC_DEFAULTS: DEFAULTS
+};
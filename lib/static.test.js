@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const App = require('./app');
+const { parseRange, isFresh } = require('./static');
+
+function createApp(options = {}) {
+  return new App({ rateLimit: false, compression: false, logger: { level: 'silent' }, ...options });
+}
+
+function request(app, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+        });
+      });
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end();
+    });
+  });
+}
+
+// public/ with a text file, an index, a dotfile and an SPA page
+function fixture(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veko-static-'));
+  fs.writeFileSync(path.join(dir, 'hello.txt'), '0123456789abcdefghij');
+  fs.writeFileSync(path.join(dir, 'index.html'), '<h1>spa</h1>');
+  fs.mkdirSync(path.join(dir, 'docs'));
+  fs.writeFileSync(path.join(dir, 'docs', 'index.html'), '<h1>docs</h1>');
+  fs.writeFileSync(path.join(dir, '.env'), 'SECRET=1');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('parseRange: single, suffix, open-ended, unsatisfiable and malformed', () => {
+  assert.deepEqual(parseRange('bytes=0-4', 20), [{ start: 0, end: 4 }]);
+  assert.deepEqual(parseRange('bytes=-5', 20), [{ start: 15, end: 19 }]);
+  assert.deepEqual(parseRange('bytes=10-', 20), [{ start: 10, end: 19 }]);
+  assert.deepEqual(parseRange('bytes=0-1, 5-6', 20), [{ start: 0, end: 1 }, { start: 5, end: 6 }]);
+  assert.equal(parseRange('bytes=50-60', 20), -1);
+  assert.equal(parseRange('items=0-1', 20), null);
+  assert.equal(parseRange('bytes=x', 20), null);
+  assert.deepEqual(parseRange('bytes=10-12, 0-4, 3-6, 7-8', 20), [{ start: 0, end: 8 }, { start: 10, end: 12 }]);
+  assert.equal(parseRange('bytes=0-,0-', 20), null);
+});
+
+test('isFresh: If-None-Match wins over If-Modified-Since', () => {
+  const modified = new Date('2024-01-01T00:00:00Z');
+  const etag = 'W/"14-abc"';
+  assert.equal(isFresh({ headers: { 'if-none-match': '"14-abc"' } }, etag, modified), true);
+  assert.equal(isFresh({ headers: { 'if-none-match': '"other"', 'if-modified-since': modified.toUTCString() } }, etag, modified), false);
+  assert.equal(isFresh({ headers: { 'if-modified-since': modified.toUTCString() } }, etag, modified), true);
+  assert.equal(isFresh({ headers: {} }, etag, modified), false);
+});
+
+test('files are sent with validators, and revalidated with 304', async (t) => {
+  const app = createApp({ staticDir: fixture(t), static: { maxAge: 60 } });
+  const res = await request(app, 'GET', '/hello.txt');
+  assert.equal(res.status, 200);
+  assert.equal(res.body, '0123456789abcdefghij');
+  assert.equal(res.headers['cache-control'], 'public, max-age=60');
+  assert.match(res.headers.etag, /^W\/"/);
+  assert.ok(res.headers['last-modified']);
+
+  const cached = await request(app, 'GET', '/hello.txt', { 'if-none-match': res.headers.etag });
+  assert.equal(cached.status, 304);
+  assert.equal(cached.body, '');
+
+  const head = await request(app, 'HEAD', '/hello.txt');
+  assert.equal(head.headers['content-length'], '20');
+  assert.equal(head.body, '');
+});
+
+test('Range requests: 206, multipart/byteranges, If-Range and 416', async (t) => {
+  const app = createApp({ staticDir: fixture(t) });
+  const single = await request(app, 'GET', '/hello.txt', { range: 'bytes=2-5' });
+  assert.equal(single.status, 206);
+  assert.equal(single.headers['content-range'], 'bytes 2-5/20');
+  assert.equal(single.body, '2345');
+
+  const multi = await request(app, 'GET', '/hello.txt', { range: 'bytes=0-1,18-19' });
+  assert.equal(multi.status, 206);
+  assert.match(multi.headers['content-type'], /^multipart\/byteranges; boundary=/);
+  assert.match(multi.body, /Content-Range: bytes 0-1\/20\r\n\r\n01/);
+  assert.match(multi.body, /Content-Range: bytes 18-19\/20\r\n\r\nij/);
+  assert.equal(Number(multi.headers['content-length']), Buffer.byteLength(multi.body));
+
+  const overlapping = await request(app, 'GET', '/hello.txt', { range: 'bytes=0-4,2-8' });
+  assert.equal(overlapping.status, 206);
+  assert.equal(overlapping.headers['content-range'], 'bytes 0-8/20');
+  assert.equal(overlapping.body, '012345678');
+
+  const repeated = await request(app, 'GET', '/hello.txt', { range: `bytes=${Array(20).fill('0-').join(',')}` });
+  assert.equal(repeated.status, 200);
+  assert.equal(repeated.body, '0123456789abcdefghij');
+
+  const stale = await request(app, 'GET', '/hello.txt', { range: 'bytes=0-1', 'if-range': '"stale"' });
+  assert.equal(stale.status, 200);
+
+  const outside = await request(app, 'GET', '/hello.txt', { range: 'bytes=100-200' });
+  assert.equal(outside.status, 416);
+  assert.equal(outside.headers['content-range'], 'bytes */20');
+});
+
+test('dotfiles, traversal and index files', async (t) => {
+  const dir = fixture(t);
+  const app = createApp({ staticDir: dir });
+  assert.equal((await request(app, 'GET', '/.env', { accept: 'application/json' })).status, 404);
+  assert.equal((await request(app, 'GET', '/..%2f..%2fetc%2fpasswd', { accept: 'application/json' })).status, 404);
+  assert.equal((await request(app, 'GET', '/docs/')).body, '<h1>docs</h1>');
+
+  const deny = createApp({ staticDir: dir, static: { dotfiles: 'deny' } });
+  assert.equal((await request(deny, 'GET', '/.env', { accept: 'application/json' })).status, 403);
+});
+
+test('routes still run when no file matches; SPA page only for HTML requests', async (t) => {
+  const app = createApp({ staticDir: fixture(t), static: { spa: true } });
+  app.get('/api/ping', (req, res) => res.json({ pong: true }));
+
+  assert.deepEqual(JSON.parse((await request(app, 'GET', '/api/ping')).body), { pong: true });
+  assert.equal((await request(app, 'GET', '/app/settings', { accept: 'text/html' })).body, '<h1>spa</h1>');
+  assert.equal((await request(app, 'GET', '/app/settings', { accept: 'application/json' })).status, 404);
+  assert.equal((await request(app, 'GET', '/missing.js', { accept: 'text/html' })).status, 404);
+});
@@ -836,6 +836,9 @@ function $params() { return {}; }
 function $query() { return {}; }
 function $navigate() { return function(){}; }
 function $animation() { return { ref: { current: null }, start: function(){}, running: function(){ return false; } }; }
+function $url(name, params) { return __veko.url(name, params); }
+function $csrf() { return __veko.csrf(); }
+function $request() { return __veko.request(); }
 
 // Server-side components
 function Show(props) { return props.when ? props.children : (props.fallback || null); }
@@ -921,6 +924,9 @@ module.exports.render = function(props) {
   var $query = VSV.$query;
   var $navigate = VSV.$navigate;
   var $animation = VSV.$animation;
+  var $url = VSV.$url;
+  var $csrf = VSV.$csrf;
+  var $request = VSV.$request;
   
   // Components
   var Show = VSV.Show;
@@ -11,6 +11,8 @@ const VSVRuntime = require('./runtime');
 const VSVRenderer = require('./renderer');
 const VDOM = require('./vdom');
 const VekoPHP = require('./php');
+const { addNonce } = require('../security-headers');
+const { appMetric } = require('../metrics');
 
 class VSV {
   constructor(app, options = {}) {
@@ -24,6 +26,7 @@ class VSV {
       minify: options.minify !== false,
       precompile: options.precompile !== false,
       tailwind: options.tailwind || false,
+      clientRoutes: options.clientRoutes || false,
       ...options
     };
     
@@ -50,6 +53,8 @@ class VSV {
       );
     }
     
+    this.precompiling = false;
+    
     // Performance metrics
     this.metrics = {
       compilations: 0,
@@ -90,10 +95,10 @@ class VSV {
     const fs = require('fs');
     const path = require('path');
     
-    // Serve client runtime
+    // Serve client runtime (with the app's named routes for $url)
     this.app.get('/_vsv/runtime.js', (req, res) => {
       res.setHeader('Content-Type', 'application/javascript');
-      res.end(this.runtime.getClientRuntime());
+      res.end(this.runtime.getClientRuntime() + this.getRoutesScript());
     });
     
     // Serve compiled components
@@ -135,6 +140,37 @@ class VSV {
     }
   }
 
+  /**
+   * Named routes for the client-side $url() helper. The runtime is public,
+   * so only the routes picked by `clientRoutes` are sent: true (all), a
+   * list of names or 'prefix.*' patterns, or (name) => bool.
+   */
+  getRoutesScript() {
+    const pick = this.options.clientRoutes;
+    if (!pick) return '';
+    let include = () => true;
+    if (typeof pick === 'function') {
+      include = pick;
+    } else if (pick !== true) {
+      const patterns = [].concat(pick).map(p => (p.endsWith('*') ? { prefix: p.slice(0, -1) } : { name: p }));
+      include = name => patterns.some(p => (p.prefix !== undefined ? name.startsWith(p.prefix) : name === p.name));
+    }
+
+    const named = this.app.router.namedRoutes();
+    const routes = {};
+    for (const [name, tokens] of Object.entries(named)) {
+      if (!include(name)) continue;
+      routes[name] = tokens.map(t => ({
+        type: t.type,
+        value: t.value,
+        name: t.name,
+        optional: t.optional,
+        suffix: t.suffix
+      }));
+    }
+    return `\nVSV.routes = ${JSON.stringify(routes)};\n`;
+  }
+
   /**
    * Process and register assets from a compiled component
    */
@@ -177,7 +213,7 @@ class VSV {
             path.resolve(path.dirname(filePath), asset.path);
           
           if (!fs.existsSync(resolvedPath)) {
-            console.warn(`[VSV] Asset not found: ${asset.path} (resolved: ${resolvedPath})`);
+            this.app.logger.warn(`[VSV] Asset not found: ${asset.path}`, { resolved: resolvedPath });
             continue;
           }
           
@@ -214,7 +250,7 @@ class VSV {
             }
           }
         } catch (e) {
-          console.warn(`[VSV] Failed to process asset ${asset.path}: ${e.message}`);
+          this.app.logger.warn(`[VSV] Failed to process asset ${asset.path}`, { err: e });
         }
       }
     };
@@ -244,7 +280,7 @@ class VSV {
             resolvedPath
           });
         } catch (e) {
-          console.warn(`[VSV] Failed to process asset ${asset.path}: ${e.message}`);
+          this.app.logger.warn(`[VSV] Failed to process asset ${asset.path}`, { err: e });
         }
       }
     }
@@ -305,8 +341,14 @@ class VSV {
     if (!fs.existsSync(componentsPath)) return;
     
     const files = this.findVSVFiles(componentsPath);
-    for (const file of files) {
-      await this.compileFile(file);
+    // app.health() reports the app as not ready meanwhile
+    this.precompiling = true;
+    try {
+      for (const file of files) {
+        await this.compileFile(file);
+      }
+    } finally {
+      this.precompiling = false;
     }
   }
 
@@ -356,7 +398,7 @@ class VSV {
         render: fn
       };
       this.compiledCache.set(name, compiled);
-      this.metrics.compilations++;
+      this.countMetric('compilations', 'vsv_compilations_total');
       return compiled;
     }
     
@@ -379,7 +421,7 @@ class VSV {
     }
     
     this.compiledCache.set(name, compiled);
-    this.metrics.compilations++;
+    this.countMetric('compilations', 'vsv_compilations_total');
     
     return compiled;
   }
@@ -388,8 +430,6 @@ class VSV {
    * Render a component to HTML (SSR)
    */
   async render(componentName, props = {}, options = {}) {
-    const startTime = Date.now();
-    
     // Check cache
     let compiled = this.compiledCache.get(componentName);
     if (!compiled) {
@@ -401,30 +441,44 @@ class VSV {
         throw new Error(`Component "${componentName}" not found`);
       }
     } else {
-      this.metrics.cacheHits++;
+      this.countMetric('cacheHits', 'vsv_cache_hits_total');
     }
     
+    const start = process.hrtime.bigint();
+    
     // Render
     if (compiled.type === 'php') {
       // PHP template - run the compiled function directly
       const html = await compiled.render(props, options._req || null, options._res || null);
-      this.metrics.renders++;
-      const renderTime = Date.now() - startTime;
-      this.metrics.avgRenderTime = 
-        (this.metrics.avgRenderTime * (this.metrics.renders - 1) + renderTime) / this.metrics.renders;
+      this.recordRender(compiled, start);
       return html;
     }
     
     // JSV/TSV - use VSV renderer
     const html = await this.renderer.render(compiled, props, options);
+    this.recordRender(compiled, start);
     
-    // Update metrics
+    return html;
+  }
+
+  // getMetrics() counter and its Prometheus twin (app option `metrics`)
+  countMetric(key, metricName) {
+    this.metrics[key]++;
+    const metric = appMetric(this.app, metricName);
+    if (metric) metric.inc();
+  }
+
+  recordRender(compiled, start) {
+    const renderTime = Number(process.hrtime.bigint() - start) / 1e6;
     this.metrics.renders++;
-    const renderTime = Date.now() - startTime;
     this.metrics.avgRenderTime = 
       (this.metrics.avgRenderTime * (this.metrics.renders - 1) + renderTime) / this.metrics.renders;
-    
-    return html;
+
+    const renders = appMetric(this.app, 'vsv_renders_total');
+    if (renders) renders.inc({ component: compiled.name });
+    const php = compiled.type === 'php';
+    const duration = appMetric(this.app, php ? 'php_render_duration_seconds' : 'vsv_render_duration_seconds');
+    if (duration) duration.observe(php ? { template: compiled.name } : { component: compiled.name }, renderTime / 1000);
   }
 
   /**
@@ -498,11 +552,22 @@ class VSV {
    * Wrap content in HTML document
    */
   wrapDocument(content, options = {}) {
+    const req = options._req;
+
+    // CSP nonce on every tag emitted here (securityHeaders.csp)
+    const nonce = options.nonce || (req && req.cspNonce) || null;
+    const attr = nonce ? ` nonce="${nonce}"` : '';
+
     const scripts = options.hydrate !== false ? `
-    <script src="/_vsv/runtime.js"></script>
-    <script>VSV.hydrate()</script>
+    <script src="/_vsv/runtime.js"${attr}></script>
+    <script${attr}>VSV.hydrate()</script>
     ` : '';
     
+    // CSRF token for $csrf() and $fetch on the client
+    const csrfMeta = req && req.csrfToken
+      ? `  <meta name="csrf-token" content="${this.renderer.escapeHtml(req.csrfToken())}">\n`
+      : '';
+
     // Tailwind CSS
     const tailwindLink = this.tailwind 
       ? '  <link rel="stylesheet" href="/_vsv/tailwind.css">\n' 
@@ -514,13 +579,13 @@ class VSV {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${options.title || 'VSV App'}</title>
-  ${options.meta || ''}
-${tailwindLink}${options.styles || ''}
+  ${addNonce(options.meta, nonce)}
+${csrfMeta}${tailwindLink}${addNonce(options.styles, nonce)}
 </head>
 <body>
   <div id="app">${content}</div>
   ${scripts}
-  ${options.scripts || ''}
+  ${addNonce(options.scripts, nonce)}
 </body>
 </html>`;
   }
@@ -4,13 +4,30 @@
  * Zero dependencies - complete PHP-like experience in JavaScript
  */
 
+const { MemorySessionStore } = require('../session');
+const { currentRequest } = require('../context');
+const { appMetric } = require('../metrics');
+const { headersCommitted } = require('../compression');
+
+// Markup produced by helpers (csrf_field()), echoed as is by <?= ?>
+class SafeHtml {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
 class VekoPHP {
   constructor(vsv) {
     this.vsv = vsv;
     this.cache = new Map();
     this.globals = {};
     this.functions = {};
-    this.sessions = new Map();
+    this.sessions = new MemorySessionStore();
+    this.sessionTtl = 24 * 60 * 60 * 1000;
     this.includes = new Map();
 
     // Register built-in functions (PHP equivalents)
@@ -207,6 +224,17 @@ class VekoPHP {
     this.functions.basename = (p) => require('path').basename(p);
     this.functions.dirname = (p) => require('path').dirname(p);
     this.functions.pathinfo = (p) => ({ dirname: require('path').dirname(p), basename: require('path').basename(p), extension: require('path').extname(p).slice(1), filename: require('path').basename(p, require('path').extname(p)) });
+    const uploadDir = () => (self.vsv && self.vsv.app && self.vsv.app.options.multipart && self.vsv.app.options.multipart.tmpDir) || undefined;
+    this.functions.is_uploaded_file = (p) => require('../multipart').isUploadPath(p, uploadDir());
+    this.functions.move_uploaded_file = (from, to) => {
+      if (!require('../multipart').isUploadPath(from, uploadDir())) return false;
+      const fs = require('fs');
+      try {
+        fs.mkdirSync(require('path').dirname(to), { recursive: true });
+        try { fs.renameSync(from, to); } catch (e) { fs.copyFileSync(from, to); fs.unlinkSync(from); }
+        return true;
+      } catch { return false; }
+    };
 
     // ---- Header/Output ----
     this.functions.header = () => {}; // handled in render context
@@ -215,6 +243,12 @@ class VekoPHP {
     this.functions.die = (s) => { throw { __die: true, message: s || '' }; };
     this.functions.exit = this.functions.die;
 
+    // ---- Routing ----
+    this.functions.url = (name, params) => {
+      if (!self.vsv || !self.vsv.app) throw new Error('url() requires an app');
+      return self.vsv.app.url(name, params || {});
+    };
+
     // ---- Misc ----
     this.functions.sleep = (s) => new Promise(r => setTimeout(r, s * 1000));
     this.functions.usleep = (us) => new Promise(r => setTimeout(r, us / 1000));
@@ -417,6 +451,7 @@ class VekoPHP {
       // Escape helper
       function __esc(val) {
         if (val === null || val === undefined) return '';
+        if (val instanceof SafeHtml) return val.html;
         return self._escapeHtml(String(val));
       }
 
@@ -451,10 +486,15 @@ class VekoPHP {
         scope['$' + key] = val; // Also expose as $key
       }
 
-      // Superglobals
-      const sessionId = req ? (self._getSessionId(req) || self._createSessionId(res)) : 'default';
-      if (!self.sessions.has(sessionId)) self.sessions.set(sessionId, {});
-      const session = self.sessions.get(sessionId);
+      // Superglobals: $SESSION is req.session when the session middleware
+      // is installed, otherwise a template-only session
+      const shared = Boolean(req && req.session);
+      let sessionId = null;
+      let session = shared ? req.session : null;
+      if (!shared) {
+        sessionId = req ? (self._getSessionId(req) || self._createSessionId(res)) : 'default';
+        session = self.sessions.get(sessionId) || {};
+      }
 
       scope.$SESSION = session;
       scope.$GET = req ? (req.query || {}) : {};
@@ -465,7 +505,10 @@ class VekoPHP {
         REQUEST_URI: req.url,
         HTTP_HOST: req.headers?.host || 'localhost',
         HTTP_USER_AGENT: req.headers?.['user-agent'] || '',
-        REMOTE_ADDR: req.socket?.remoteAddress || '127.0.0.1',
+        SERVER_NAME: req.hostname || 'localhost',
+        REMOTE_ADDR: req.ip || req.socket?.remoteAddress || '127.0.0.1',
+        REQUEST_SCHEME: req.protocol || 'http',
+        HTTPS: req.secure ? 'on' : '',
         SERVER_PORT: req.socket?.localPort || 80,
         DOCUMENT_ROOT: process.cwd(),
         SCRIPT_FILENAME: options.filename || '',
@@ -487,15 +530,50 @@ class VekoPHP {
         }
       };
 
+      // CSRF (needs the csrf middleware)
+      scope.csrf_token = function() {
+        return req && req.csrfToken ? req.csrfToken() : '';
+      };
+      scope.csrf_field = function() {
+        const token = scope.csrf_token();
+        return new SafeHtml(token ? `<input type="hidden" name="_csrf" value="${self._escapeHtml(token)}">` : '');
+      };
+
+      // CSP nonce for inline <script nonce="<?= csp_nonce() ?>"> (securityHeaders.csp)
+      scope.csp_nonce = function() {
+        return req && req.cspNonce ? req.cspNonce : '';
+      };
+
+      // ID of the current request (X-Request-Id), for error pages and support
+      scope.request_id = function() {
+        const current = req || currentRequest();
+        return current && current.id ? current.id : '';
+      };
+
+      // setcookie(name, value, expire, path, domain, secure, httponly)
+      // or setcookie(name, value, { expires, path, domain, secure, httponly, samesite })
       scope.setcookie = function(name, value, expire, path, domain, secure, httponly) {
-        if (!res) return;
-        let cookie = `${name}=${encodeURIComponent(value || '')}`;
-        if (expire) cookie += `; Expires=${new Date(expire * 1000).toUTCString()}`;
-        if (path) cookie += `; Path=${path}`;
-        if (domain) cookie += `; Domain=${domain}`;
-        if (secure) cookie += '; Secure';
-        if (httponly) cookie += '; HttpOnly';
-        res.setHeader('Set-Cookie', cookie);
+        if (!res || headersCommitted(res)) return false;
+        const opts = expire && typeof expire === 'object'
+          ? { ...expire, expire: expire.expires }
+          : { expire, path, domain, secure, httponly };
+        const options = {
+          expires: opts.expire ? new Date(opts.expire * 1000) : undefined,
+          path: opts.path,
+          domain: opts.domain,
+          secure: opts.secure,
+          httpOnly: opts.httponly,
+          sameSite: opts.samesite
+        };
+        for (const key of Object.keys(options)) {
+          if (options[key] === undefined || options[key] === '') delete options[key];
+        }
+        if (res.setCookie) {
+          res.setCookie(name, value || '', options);
+        } else {
+          require('../cookies').setCookie(res, name, value || '', { path: '/', ...options });
+        }
+        return true;
       };
 
       scope.http_response_code = function(code) {
@@ -549,7 +627,11 @@ class VekoPHP {
         const result = await fn(scope);
         
         // Persist session
-        self.sessions.set(sessionId, scope.$SESSION);
+        if (shared) {
+          if (scope.$SESSION !== req.session) Object.assign(req.session, scope.$SESSION);
+        } else {
+          self.sessions.set(sessionId, scope.$SESSION, self.sessionTtl);
+        }
         
         return result;
       } catch (e) {
@@ -590,7 +672,7 @@ class VekoPHP {
 
     const source = fs.readFileSync(filePath, 'utf-8');
     const fn = this.compile(source, { filename: filePath });
-    return fn(data, req, res);
+    return this._timed(path.relative(process.cwd(), filePath), () => fn(data, req, res));
   }
 
   /**
@@ -598,21 +680,40 @@ class VekoPHP {
    */
   async renderString(source, data = {}, req = null, res = null) {
     const fn = this.compile(source, { noCache: true });
-    return fn(data, req, res);
+    return this._timed('inline', () => fn(data, req, res));
+  }
+
+  // php_render_duration_seconds, with the app's `metrics` option
+  async _timed(template, render) {
+    const duration = appMetric(this.vsv && this.vsv.app, 'php_render_duration_seconds');
+    if (!duration) return render();
+    const end = duration.startTimer({ template });
+    try {
+      return await render();
+    } finally {
+      end();
+    }
   }
 
   // Session helpers
   _getSessionId(req) {
     if (!req || !req.headers) return null;
-    const cookies = req.headers.cookie || '';
-    const match = cookies.match(/VEKO_SESSION=([^;]+)/);
-    return match ? match[1] : null;
+    const cookies = req.cookies || require('../cookies').parseCookies(req.headers.cookie);
+    const id = cookies.VEKO_SESSION;
+    return id && /^[a-f0-9]{32}$/.test(id) ? id : null;
   }
 
   _createSessionId(res) {
     const id = require('crypto').randomBytes(16).toString('hex');
-    if (res && !res.headersSent) {
-      try { res.setHeader('Set-Cookie', `VEKO_SESSION=${id}; Path=/; HttpOnly`); } catch {}
+    if (res && !headersCommitted(res)) {
+      const options = { path: '/', httpOnly: true, sameSite: 'Lax' };
+      try {
+        if (res.setCookie) {
+          res.setCookie('VEKO_SESSION', id, options);
+        } else {
+          require('../cookies').setCookie(res, 'VEKO_SESSION', id, options);
+        }
+      } catch {}
     }
     return id;
   }
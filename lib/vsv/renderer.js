@@ -7,6 +7,8 @@
 const VDOM = require('./vdom');
 const path = require('path');
 const fs = require('fs');
+const { addNonce } = require('../security-headers');
+const { currentRequest } = require('../context');
 
 class VSVRenderer {
   constructor(vsv) {
@@ -23,6 +25,26 @@ class VSVRenderer {
     };
   }
 
+  /**
+   * Request being rendered: explicit, then the app request context
+   */
+  currentRequest(options = {}) {
+    return options._req || currentRequest();
+  }
+
+  /**
+   * CSP nonce for the tags the renderer emits (securityHeaders.csp)
+   */
+  nonce(options = {}) {
+    const req = this.currentRequest(options);
+    return options.nonce || (req && req.cspNonce) || null;
+  }
+
+  nonceAttr(options) {
+    const nonce = this.nonce(options);
+    return nonce ? ` nonce="${nonce}"` : '';
+  }
+
   /**
    * Render compiled component
    */
@@ -72,6 +94,10 @@ class VSVRenderer {
       
       return html;
     } catch (error) {
+      // Logged with the request's ID: the page only shows the error in dev
+      const req = this.currentRequest(options);
+      const log = (req && req.log) || (this.vsv.app && this.vsv.app.logger);
+      if (log) log.error('VSV render failed', { err: error, component: compiled.name });
       return this.renderError(error, compiled.name, compiled.server);
     }
   }
@@ -91,13 +117,13 @@ class VSVRenderer {
       
       // Create function from compiled code
       const wrappedCode = `
-        (function(require, module, exports, __dirname, __filename) {
+        (function(require, module, exports, __dirname, __filename, __veko) {
           ${compiled.server}
         })
       `;
       
       const fn = eval(wrappedCode);
-      fn(require, mod, mod.exports, process.cwd(), 'component.js');
+      fn(require, mod, mod.exports, process.cwd(), 'component.js', this.getServerHelpers());
       
       // Get the exported function
       let renderFn;
@@ -130,6 +156,21 @@ class VSVRenderer {
     }
   }
 
+  /**
+   * Framework helpers exposed to server components ($url, ...)
+   */
+  getServerHelpers() {
+    const app = this.vsv.app;
+    return {
+      url: (name, params) => app.url(name, params || {}),
+      csrf: () => {
+        const req = this.currentRequest();
+        return req && req.csrfToken ? req.csrfToken() : '';
+      },
+      request: () => app.context()
+    };
+  }
+
   /**
    * Streaming render
    */
@@ -197,7 +238,7 @@ class VSVRenderer {
 <html>
 <head>
   <title>VSV Compile Error</title>
-  <style>
+  <style${this.nonceAttr()}>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body { 
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -493,18 +534,18 @@ class VSVRenderer {
     const scripts = [];
     
     // Add runtime if hydration needed
+    const nonce = this.nonce(options);
+    const attr = nonce ? ` nonce="${nonce}"` : '';
     if (compiled.metadata.hasState || compiled.metadata.hasEffects || options.hydrate !== false) {
-      scripts.push('<script src="/_vsv/runtime.js" defer></script>');
-      scripts.push(`<script src="/_vsv/components/${compiled.name}.js" defer></script>`);
-      scripts.push('<script>document.addEventListener("DOMContentLoaded",()=>VSV.hydrate())</script>');
+      scripts.push(`<script src="/_vsv/runtime.js" defer${attr}></script>`);
+      scripts.push(`<script src="/_vsv/components/${compiled.name}.js" defer${attr}></script>`);
+      scripts.push(`<script${attr}>document.addEventListener("DOMContentLoaded",()=>VSV.hydrate())</script>`);
     }
     
-    // Custom scripts
+    // Custom scripts (trusted markup from the page options)
     if (options.scripts) {
-      if (Array.isArray(options.scripts)) {
-        scripts.push(...options.scripts);
-      } else {
-        scripts.push(options.scripts);
+      for (const tag of [].concat(options.scripts)) {
+        scripts.push(addNonce(tag, nonce));
       }
     }
     
@@ -519,7 +560,7 @@ class VSVRenderer {
     
     // Critical CSS
     if (options.criticalCSS) {
-      styles.push(`<style>${options.criticalCSS}</style>`);
+      styles.push(`<style${this.nonceAttr(options)}>${options.criticalCSS}</style>`);
     }
     
     // Stylesheets
@@ -531,10 +572,8 @@ class VSVRenderer {
     
     // Inline styles
     if (options.styles) {
-      if (typeof options.styles === 'string') {
-        styles.push(options.styles);
-      } else {
-        styles.push(...options.styles);
+      for (const tag of [].concat(options.styles)) {
+        styles.push(addNonce(tag, this.nonce(options)));
       }
     }
     
@@ -551,12 +590,12 @@ class VSVRenderer {
     ${options.seo || ''}
     ${options.title ? `<title>${VDOM.escapeHtml(options.title)}</title>` : ''}
     ${options.styles || ''}
-    ${options.head || ''}
+    ${addNonce(options.head, this.nonce(options))}
 </head>
 <body${options.bodyClass ? ` class="${options.bodyClass}"` : ''}>
     <div id="app">${content}</div>
     ${options.scripts || ''}
-    ${options.body || ''}
+    ${addNonce(options.body, this.nonce(options))}
 </body>
 </html>`;
   }
@@ -710,7 +710,7 @@ class VSVRuntime {
       setLoading(true);
       setError(null);
       var url = typeof urlOrFn === 'function' ? urlOrFn() : urlOrFn;
-      fetch(url, options)
+      fetch(url, csrfOptions(url, options))
         .then(function(res) { return res.json(); })
         .then(function(d) { setData(d); setLoading(false); })
         .catch(function(e) { setError(e); setLoading(false); });
@@ -784,6 +784,73 @@ class VSVRuntime {
     return { ref: _ref, start: start, running: running };
   }
 
+  // ========================
+  //  CSRF
+  // ========================
+  // Token rendered by the server in <meta name="csrf-token">
+  function $csrf() {
+    var meta = typeof document !== 'undefined' && document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : '';
+  }
+
+  // Request context only exists while rendering on the server
+  function $request() {
+    return null;
+  }
+
+  // Add X-CSRF-Token to same-origin requests that change state
+  function csrfOptions(url, options) {
+    options = options || {};
+    var method = String(options.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD' || method === 'OPTIONS') return options;
+    if (new URL(url, location.href).origin !== location.origin) return options;
+    var token = $csrf();
+    if (!token) return options;
+    var headers = new Headers(options.headers || {});
+    if (!headers.has('X-CSRF-Token')) headers.set('X-CSRF-Token', token);
+    return Object.assign({}, options, { headers: headers });
+  }
+
+  // ========================
+  //  NAMED ROUTES
+  // ========================
+  // VSV.routes is filled by the server with the routes of the clientRoutes option
+  function $url(name, params) {
+    var tokens = VSV.routes && VSV.routes[name];
+    if (!tokens) throw new Error('Route "' + name + '" not found (is it in the clientRoutes option?)');
+    params = params || {};
+    var used = {};
+    var path = '';
+    for (var i = 0; i < tokens.length; i++) {
+      var t = tokens[i];
+      if (t.type === 'static') {
+        if (t.value) path += '/' + t.value;
+        continue;
+      }
+      if (t.type === 'raw') {
+        path += '/' + t.value.replace(/:(\\w+)/g, function(_, k) { used[k] = true; return encodeURIComponent(params[k]); });
+        continue;
+      }
+      var key = t.name || '*';
+      var value = params[key];
+      used[key] = true;
+      if (value == null || value === '') {
+        if (t.optional || t.type === 'wildcard') continue;
+        throw new Error('Missing param "' + key + '" for route "' + name + '"');
+      }
+      if (t.type === 'wildcard') {
+        path += '/' + String(value).split('/').map(encodeURIComponent).join('/');
+      } else {
+        path += '/' + encodeURIComponent(value) + (t.suffix || '');
+      }
+    }
+    var query = [];
+    for (var k in params) {
+      if (!used[k] && params[k] != null) query.push(encodeURIComponent(k) + '=' + encodeURIComponent(params[k]));
+    }
+    return (path || '/') + (query.length ? '?' + query.join('&') : '');
+  }
+
   // ========================
   //  DOM CREATION
   // ========================
@@ -1212,6 +1279,14 @@ class VSVRuntime {
     // Animation
     $animation: $animation,
 
+    // Named routes
+    $url: $url,
+    routes: {},
+
+    // CSRF
+    $csrf: $csrf,
+    $request: $request,
+
     // Props
     PropTypes: PropTypes, resolveProps: resolveProps,
 
@@ -1259,6 +1334,9 @@ class VSVRuntime {
   global.$query = $query;
   global.$navigate = $navigate;
   global.$animation = $animation;
+  global.$url = $url;
+  global.$csrf = $csrf;
+  global.$request = $request;
 
   // Global component utilities
   global.PropTypes = PropTypes;